@@ -0,0 +1,93 @@
+/**
+ * Audit Log - A local record of every request sent to the AI
+ *
+ * With the auditLog setting on, each request is appended to
+ * ~/.errbuddy/audit.log as one JSON line:
+ *
+ *   {
+ *     "time": "2024-03-01T14:05:00.000Z",
+ *     "kind": "explain" | "repair",
+ *     "provider": "Ollama",
+ *     "url": "http://localhost:11434/api/generate",
+ *     "model": "qwen2.5:0.5b",
+ *     "system": "...",                 (system prompt)
+ *     "prompt": "...",                 (user prompt, after redaction)
+ *     "options": { ... },              (the rest of the request body)
+ *     "redactions": { "email": 1 }     (values replaced, per rule)
+ *   }
+ *
+ * WHY a log you can read:
+ * "Your code never leaves your machine" and "paths are stripped" are
+ * promises. The log shows exactly what was sent, and where to.
+ *
+ * WHY JSONL: appending a line is cheap and safe, and each line can be
+ * read on its own (a half-written last line only loses that entry).
+ */
+
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, rmSync } from 'fs';
+
+export class AuditLog {
+  /**
+   * Options:
+   * - path: the log file (default ~/.errbuddy/audit.log)
+   */
+  constructor(options = {}) {
+    this.path = options.path || join(homedir(), '.errbuddy', 'audit.log');
+  }
+
+  /**
+   * Append one request (see the format at the top; time is added)
+   */
+  record(entry) {
+    mkdirSync(dirname(this.path), { recursive: true });
+    // Only readable by the user: prompts contain (redacted) error output and code
+    appendFileSync(this.path, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n', { mode: 0o600 });
+  }
+
+  /**
+   * Every entry, oldest first, numbered from 1 (entry.id)
+   *
+   * Lines that aren't valid JSON are skipped.
+   */
+  readAll() {
+    if (!existsSync(this.path)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of readFileSync(this.path, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push({ id: entries.length + 1, ...JSON.parse(line) });
+      } catch {
+        // Cut off by a crash while writing
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * The most recent entries, newest first
+   */
+  getRecent(limit = 10) {
+    return this.readAll().reverse().slice(0, limit);
+  }
+
+  /**
+   * One entry by number (null if there is none)
+   */
+  getById(id) {
+    return this.readAll().find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Delete the log, returning how many entries it had
+   */
+  clear() {
+    const count = this.readAll().length;
+    rmSync(this.path, { force: true });
+    return count;
+  }
+}
@@ -0,0 +1,491 @@
+/**
+ * Config Service - Loads and edits Error Buddy configuration
+ *
+ * Configuration is layered. Each layer overrides the one before it:
+ * 1. Built-in defaults (CONFIG_SCHEMA below)
+ * 2. Global file: ~/.errbuddy/config.json
+ * 3. Project file: the nearest .errbuddyrc found walking up from cwd
+ * 4. Environment variables: ERRBUDDY_<KEY> (e.g. ERRBUDDY_MODEL)
+ * 5. CLI flags (e.g. --model, --no-ai)
+ *
+ * WHY layered config:
+ * - Global file holds personal preferences (model, Ollama URL)
+ * - Project file lets a team pin settings in the repo
+ * - Env vars and flags are handy for one-off runs and CI
+ *
+ * A project file comes with whatever repo you cloned, so it can't set
+ * where requests go (settings marked trustedOnly): otherwise a repo
+ * could send your errors, code and ERRBUDDY_API_KEY to its own server.
+ * Settings about what is sent only move in the private direction from
+ * a project file (mergeProject): it can send less, never more.
+ */
+
+import { join, dirname, resolve } from 'path';
+import { homedir } from 'os';
+import { mkdirSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { PROVIDERS } from '../../../core/ai/providers.js';
+import { validateRules } from '../../../core/ai/redaction.js';
+import { DEFAULT_MAX_ERROR_LENGTH } from '../../../core/ai/ai-input.js';
+
+export const PROJECT_CONFIG_FILE = '.errbuddyrc';
+
+/**
+ * Every supported setting, its type and default value
+ *
+ * trustedOnly settings can't come from a project file (see the top).
+ * validateProject checks what a project file may set, and mergeProject
+ * combines it with the value from the global file. A project value that
+ * mergeProject leaves unchanged keeps its earlier source.
+ *
+ * WHY a schema:
+ * - Typos in config files are caught instead of silently ignored
+ * - Env vars and `config set` values (always strings) can be coerced
+ * - `errbuddy config` can list every setting, even unset ones
+ */
+export const CONFIG_SCHEMA = {
+  aiEnabled: {
+    type: 'boolean',
+    default: true,
+    description: 'Use AI explanations when the AI server is available',
+  },
+  provider: {
+    type: 'string',
+    trustedOnly: true,
+    default: 'ollama',
+    description: 'AI server type: ollama, or openai for OpenAI-compatible servers',
+    validate: (value) => Object.hasOwn(PROVIDERS, value) || `must be one of: ${Object.keys(PROVIDERS).join(', ')}`,
+  },
+  model: {
+    type: 'string',
+    default: 'qwen2.5:0.5b',  // Small model that works on low-RAM systems
+    description: 'AI model to use',
+  },
+  baseUrl: {
+    type: 'string',
+    trustedOnly: true,
+    default: '',  // Empty = provider default (ollamaUrl for Ollama)
+    description: 'URL of the AI server (e.g. http://localhost:1234/v1 for LM Studio)',
+    validate: (value) => value === '' || /^https?:\/\/\S+$/.test(value) || 'must be an http:// or https:// URL',
+  },
+  ollamaUrl: {
+    type: 'string',
+    trustedOnly: true,
+    default: 'http://localhost:11434',
+    description: 'URL of the Ollama server (used when baseUrl is not set)',
+    validate: (value) => /^https?:\/\/\S+$/.test(value) || 'must be an http:// or https:// URL',
+  },
+  showSpinner: {
+    type: 'boolean',
+    default: true,
+    description: 'Show a spinner while waiting for the AI',
+  },
+  saveHistory: {
+    type: 'boolean',
+    default: true,
+    description: 'Save errors and explanations to ~/.errbuddy history',
+  },
+  auditLog: {
+    type: 'boolean',
+    default: false,
+    description: 'Record every request sent to the AI in ~/.errbuddy/audit.log (see errbuddy audit)',
+    // A repo may turn it on, not off: it's your record of what was sent
+    mergeProject: (current, value) => current || value,
+  },
+  historyRetentionDays: {
+    type: 'number',
+    default: 365,
+    description: 'Delete history entries older than this many days (0 = keep forever)',
+    validate: (value) => (Number.isInteger(value) && value >= 0) || 'must be a whole number of 0 or more',
+  },
+  maxErrorLength: {
+    type: 'number',
+    default: DEFAULT_MAX_ERROR_LENGTH,  // Truncate very long errors
+    description: 'Maximum number of error characters sent to the AI',
+    validate: (value) => (Number.isInteger(value) && value >= 100) || 'must be a whole number of at least 100',
+    // A repo may send less of the error, not more
+    mergeProject: (current, value) => Math.min(current, value),
+  },
+  maxErrors: {
+    type: 'number',
+    default: 3,
+    description: 'Most errors explained per run when the output has several (the rest are listed)',
+    validate: (value) => (Number.isInteger(value) && value >= 1) || 'must be a whole number of at least 1',
+  },
+  streams: {
+    type: 'object',
+    default: {},  // Commands not listed: both streams
+    description: 'Output analyzed per command, e.g. {"tsc": "stdout", "node": "stderr"} (stderr, stdout or both)',
+    validate: (value) => validateStreams(value),
+  },
+  nodeHook: {
+    type: 'boolean',
+    default: false,
+    description: 'Load error-solution-ai-buddy/register into Node.js processes (NODE_OPTIONS) to report the real Error objects',
+  },
+  redactionRules: {
+    type: 'object',
+    default: {},  // Only the built-in rules
+    description: 'Extra redaction rules, e.g. {"customer-id": "CUST-\\d{6}"}; a built-in rule set to false is turned off',
+    validate: (value) => validateRules(value),
+    // A repo may redact more, never less: it can't turn rules off, and
+    // its rules are added to yours instead of replacing them
+    validateProject: (value) => {
+      const disabled = Object.keys(value).filter(name => value[name] === false);
+      return disabled.length === 0 || `built-in rules can only be turned off in your own config (${disabled.join(', ')})`;
+    },
+    mergeProject: (current, value) => ({ ...value, ...current }),
+  },
+  includeSourceContext: {
+    type: 'boolean',
+    default: true,
+    description: 'Send the code around the failing line to the AI',
+    // A repo may turn it off, not back on
+    mergeProject: (current, value) => current && value,
+  },
+  sourceContextLines: {
+    type: 'number',
+    default: 3,
+    description: 'Lines of code shown before and after the failing line',
+    validate: (value) => (Number.isInteger(value) && value >= 0 && value <= 20) || 'must be a whole number from 0 to 20',
+    // A repo may send fewer lines, not more
+    mergeProject: (current, value) => Math.min(current, value),
+  },
+};
+
+const STREAM_CHOICES = ['stderr', 'stdout', 'both'];
+
+function validateStreams(value) {
+  if (value === null || Array.isArray(value)) {
+    return 'must be an object like {"tsc": "stdout"}';
+  }
+  for (const [command, streams] of Object.entries(value)) {
+    if (!STREAM_CHOICES.includes(streams)) {
+      return `"${command}" must be one of: ${STREAM_CHOICES.join(', ')}`;
+    }
+  }
+  return true;
+}
+
+/**
+ * Error thrown for invalid config files, keys or values
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+export class ConfigService {
+  constructor(options = {}) {
+    this.globalPath = options.globalPath || join(homedir(), '.errbuddy', 'config.json');
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.projectPath = this.findProjectFile(this.cwd);
+
+    this.values = {};
+    this.sources = {};
+  }
+
+  /**
+   * Resolve every setting from all layers
+   *
+   * `flags` holds values from the command line. Undefined entries are
+   * skipped so that flags the user did not pass don't override anything.
+   */
+  load(flags = {}) {
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+      this.values[key] = spec.default;
+      this.sources[key] = { source: 'default', path: null };
+    }
+
+    this.applyLayer(this.readFile(this.globalPath), 'global', this.globalPath);
+
+    if (this.projectPath) {
+      this.applyLayer(this.readFile(this.projectPath), 'project', this.projectPath);
+    }
+
+    this.applyLayer(this.readEnv(), 'env', null);
+    this.applyLayer(this.definedOnly(flags), 'flag', null);
+
+    return this.values;
+  }
+
+  /**
+   * Get the effective value of a setting
+   */
+  get(key) {
+    this.assertKnownKey(key);
+    return this.values[key];
+  }
+
+  /**
+   * Describe every setting with its effective value and where it came from
+   */
+  describe() {
+    return Object.keys(CONFIG_SCHEMA).map(key => ({
+      key,
+      value: this.values[key],
+      source: this.sources[key]?.source || 'default',
+      path: this.sources[key]?.path || null,
+      description: CONFIG_SCHEMA[key].description,
+    }));
+  }
+
+  /**
+   * Write a setting to the global or project config file
+   *
+   * `rawValue` is a string as typed on the command line.
+   * Returns the coerced value that was stored.
+   */
+  set(key, rawValue, scope = 'global') {
+    this.assertKnownKey(key);
+    const value = this.coerce(key, rawValue, 'command line');
+
+    const filePath = this.pathForScope(scope);
+    if (scope === 'project') {
+      this.assertProjectValue(key, value, filePath);
+    }
+    const data = this.readFile(filePath);
+    data[key] = value;
+    this.writeFile(filePath, data);
+
+    return value;
+  }
+
+  /**
+   * Remove a setting from the global or project config file
+   *
+   * Returns false if the file did not contain the setting.
+   */
+  unset(key, scope = 'global') {
+    this.assertKnownKey(key);
+
+    const filePath = this.pathForScope(scope);
+    const data = this.readFile(filePath);
+    if (!(key in data)) {
+      return false;
+    }
+
+    delete data[key];
+    this.writeFile(filePath, data);
+    return true;
+  }
+
+  /**
+   * Find the nearest project config file, walking up from `startDir`
+   */
+  findProjectFile(startDir) {
+    let dir = resolve(startDir);
+
+    while (true) {
+      const candidate = join(dir, PROJECT_CONFIG_FILE);
+      if (existsSync(candidate)) {
+        return candidate;
+      }
+
+      const parent = dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
+  /**
+   * Read a JSON config file (missing file = empty config)
+   *
+   * WHY we throw instead of ignoring a broken file:
+   * A silently ignored typo means settings "don't work" with no clue why.
+   */
+  readFile(filePath) {
+    if (!existsSync(filePath)) {
+      return {};
+    }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+      throw new ConfigError(`Invalid JSON in ${filePath}: ${err.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ConfigError(`${filePath} must contain a JSON object`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Write a JSON config file, creating its directory if needed
+   */
+  writeFile(filePath, data) {
+    const dir = dirname(filePath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  /**
+   * Collect ERRBUDDY_* environment variables
+   */
+  readEnv() {
+    const layer = {};
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+      const name = this.envName(key);
+      if (this.env[name] !== undefined && this.env[name] !== '') {
+        layer[key] = this.env[name];
+      }
+    }
+    return layer;
+  }
+
+  /**
+   * Convert a setting name to its environment variable (model -> ERRBUDDY_MODEL)
+   */
+  envName(key) {
+    return 'ERRBUDDY_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  }
+
+  /**
+   * Validate a layer and merge it into the effective config
+   */
+  applyLayer(layer, source, path) {
+    for (const [key, rawValue] of Object.entries(layer)) {
+      // Env values are traced back to their variable name
+      const origin = source === 'env' ? this.envName(key) : path;
+      const where = origin || 'command line';
+
+      if (!CONFIG_SCHEMA[key]) {
+        throw new ConfigError(`Unknown setting "${key}" in ${where}.${this.suggest(key)}`);
+      }
+
+      let value = this.coerce(key, rawValue, where);
+      if (source === 'project') {
+        this.assertProjectValue(key, value, where);
+        if (CONFIG_SCHEMA[key].mergeProject) {
+          value = CONFIG_SCHEMA[key].mergeProject(this.values[key], value);
+          if (value === this.values[key]) {
+            continue;
+          }
+        }
+      }
+
+      this.values[key] = value;
+      this.sources[key] = { source, path: origin };
+    }
+  }
+
+  /**
+   * Throw for a value a project file may not set
+   *
+   * WHY throw instead of skipping it: the user should learn that the
+   * repo tried to redirect their requests or send more of their data,
+   * not wonder why a setting is ignored.
+   */
+  assertProjectValue(key, value, where) {
+    const spec = CONFIG_SCHEMA[key];
+    const trusted = `${this.globalPath}, ${this.envName(key)} or a command-line flag`;
+    if (spec.trustedOnly) {
+      throw new ConfigError(
+        `"${key}" can't be set in ${where}: a project file must not choose where your errors are sent. ` +
+        `Set it in ${trusted}.`
+      );
+    }
+
+    const result = spec.validateProject ? spec.validateProject(value) : true;
+    if (result !== true) {
+      throw new ConfigError(`Invalid value for "${key}" in ${where}: ${result}. Use ${trusted}.`);
+    }
+  }
+
+  /**
+   * Convert a raw value to the setting's type and validate it
+   *
+   * Strings are accepted for every type because env vars and
+   * `config set` arguments are always strings.
+   */
+  coerce(key, rawValue, where) {
+    const spec = CONFIG_SCHEMA[key];
+    let value = rawValue;
+
+    if (spec.type === 'boolean' && typeof value === 'string') {
+      const lower = value.trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(lower)) value = true;
+      else if (['false', '0', 'no', 'off'].includes(lower)) value = false;
+    } else if (spec.type === 'number' && typeof value === 'string' && value.trim() !== '') {
+      const parsed = Number(value);
+      if (!Number.isNaN(parsed)) value = parsed;
+    } else if (spec.type === 'object' && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        // Reported as the wrong type below
+      }
+    }
+
+    if (typeof value !== spec.type) {
+      throw new ConfigError(
+        `Invalid value for "${key}" in ${where}: expected ${spec.type === 'object' ? 'an' : 'a'} ${spec.type}, got ${JSON.stringify(rawValue)}`
+      );
+    }
+
+    if (spec.validate) {
+      const result = spec.validate(value);
+      if (result !== true) {
+        throw new ConfigError(`Invalid value for "${key}" in ${where}: ${result}`);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Map a scope name to the file it edits
+   *
+   * Project scope writes to the nearest existing .errbuddyrc,
+   * or creates one in the current directory.
+   */
+  pathForScope(scope) {
+    if (scope === 'project') {
+      return this.projectPath || join(resolve(this.cwd), PROJECT_CONFIG_FILE);
+    }
+    return this.globalPath;
+  }
+
+  /**
+   * Throw a helpful error for unknown setting names
+   */
+  assertKnownKey(key) {
+    if (!CONFIG_SCHEMA[key]) {
+      throw new ConfigError(`Unknown setting "${key}".${this.suggest(key)}`);
+    }
+  }
+
+  /**
+   * Suggest the closest known setting name (for typos)
+   */
+  suggest(key) {
+    const lower = key.toLowerCase();
+    const match = Object.keys(CONFIG_SCHEMA).find(known => {
+      const knownLower = known.toLowerCase();
+      return knownLower.includes(lower) || lower.includes(knownLower);
+    });
+
+    if (match) {
+      return ` Did you mean "${match}"?`;
+    }
+    return ` Valid settings: ${Object.keys(CONFIG_SCHEMA).join(', ')}`;
+  }
+
+  /**
+   * Drop undefined entries (flags the user didn't pass)
+   */
+  definedOnly(obj) {
+    return Object.fromEntries(
+      Object.entries(obj).filter(([, value]) => value !== undefined)
+    );
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * JSON History Store - Keeps error history in a single JSON file
+ *
+ * This is the fallback store, used when SQLite is not available
+ * (Node.js without the built-in `node:sqlite` module).
+ *
+ * WHY keep a JSON fallback:
+ * 1. No native compilation needed (works on all systems)
+ * 2. Error Buddy supports Node.js 18+, but node:sqlite is newer
+ * 3. Simple to understand and debug
+ *
+ * Trade-off: the whole file is rewritten on every change, so large
+ * histories are slower than with SQLite.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, openSync, closeSync, unlinkSync, statSync } from 'fs';
+
+// How long to wait for another process to release the lock
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY_DELAY = 20;
+
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_AGE = 10000;
+
+export class JsonHistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+  }
+
+  /**
+   * Read history from file
+   *
+   * Returns null (instead of throwing) if the file is corrupt.
+   */
+  read() {
+    if (!existsSync(this.filePath)) {
+      return { errors: [], nextId: 1 };
+    }
+
+    try {
+      const data = JSON.parse(readFileSync(this.filePath, 'utf-8'));
+      if (Array.isArray(data?.errors)) {
+        return data;
+      }
+    } catch {
+      // Corrupt file
+    }
+    return null;
+  }
+
+  /**
+   * Read the latest data from disk (other processes may have written)
+   */
+  refresh() {
+    return this.read() || { errors: [], nextId: 1 };
+  }
+
+  /**
+   * Change history safely when several errbuddy processes run at once
+   *
+   * 1. Take the lock file (other processes wait)
+   * 2. Re-read the file, so entries saved by others are kept
+   * 3. Apply the change and write to a temp file
+   * 4. Rename the temp file over history.json (atomic)
+   *
+   * WHY rename: readers never see a half-written file, and a crash
+   * mid-write leaves the old file intact.
+   *
+   * WHY back up a corrupt file instead of ignoring it:
+   * Starting fresh would overwrite the old file, losing every entry
+   * that might still be recoverable by hand.
+   */
+  update(change) {
+    this.lock();
+    try {
+      let data = this.read();
+      if (!data) {
+        renameSync(this.filePath, `${this.filePath}.corrupt-${Date.now()}`);
+        data = { errors: [], nextId: 1 };
+      }
+
+      // nextId can't be lower than an existing ID (e.g. after a hand edit)
+      const maxId = data.errors.reduce((max, e) => Math.max(max, e.id || 0), 0);
+      data.nextId = Math.max(data.nextId || 1, maxId + 1);
+
+      const result = change(data);
+
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      renameSync(tempPath, this.filePath);
+
+      return result;
+    } finally {
+      this.unlock();
+    }
+  }
+
+  /**
+   * Take the advisory lock (history.json.lock), waiting for other processes
+   */
+  lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+
+    while (true) {
+      try {
+        // 'wx' fails if the file exists - only one process can create it
+        const fd = openSync(this.lockPath, 'wx');
+        writeFileSync(fd, String(process.pid));
+        closeSync(fd);
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      if (this.removeStaleLock()) {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for history lock: ${this.lockPath}`);
+      }
+      sleep(LOCK_RETRY_DELAY);
+    }
+  }
+
+  unlock() {
+    try {
+      unlinkSync(this.lockPath);
+    } catch {
+      // Already removed (e.g. treated as stale by another process)
+    }
+  }
+
+  /**
+   * Remove the lock if its owner crashed; returns true if removed
+   */
+  removeStaleLock() {
+    try {
+      const pid = Number(readFileSync(this.lockPath, 'utf-8'));
+      const age = Date.now() - statSync(this.lockPath).mtimeMs;
+
+      if (age > STALE_LOCK_AGE || (pid && !isProcessRunning(pid))) {
+        unlinkSync(this.lockPath);
+        return true;
+      }
+    } catch {
+      // Lock was released while we looked at it - just retry
+    }
+    return false;
+  }
+
+  /**
+   * Add an entry (without `id`) and return its new ID
+   */
+  insert(entry) {
+    return this.update(data => {
+      const id = data.nextId++;
+      data.errors.push({ id, ...entry });
+      return id;
+    });
+  }
+
+  /**
+   * Get a single entry by ID (null if it doesn't exist)
+   */
+  getById(id) {
+    return this.refresh().errors.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Set the helpful flag; returns false if no entry has this ID
+   */
+  setHelpful(id, helpful) {
+    return this.update(data => {
+      const entry = data.errors.find(e => e.id === id);
+      if (!entry) {
+        return false;
+      }
+
+      entry.helpful = helpful;
+      return true;
+    });
+  }
+
+  /**
+   * Record a re-run outcome and the helpful flag it implies
+   */
+  setFixOutcome(id, outcome, helpful) {
+    return this.update(data => {
+      const entry = data.errors.find(e => e.id === id);
+      if (!entry) {
+        return false;
+      }
+
+      entry.fixOutcome = outcome;
+      entry.helpful = helpful;
+      return true;
+    });
+  }
+
+  /**
+   * Get recent entries (newest first)
+   */
+  getRecent(limit) {
+    return this.refresh().errors
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Find entries whose type, message or explanation contains every word
+   * of the query (newest first)
+   */
+  search(query, limit) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const fields = ['errorType', 'errorMessage', 'explanationWhat', 'explanationWhy', 'explanationFix'];
+
+    return this.refresh().errors
+      .filter(e => {
+        const text = fields.map(field => e[field] || '').join('\n').toLowerCase();
+        return words.every(word => text.includes(word));
+      })
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * All entries with this fingerprint (oldest first)
+   */
+  findByFingerprint(fingerprint) {
+    return this.refresh().errors.filter(e => e.fingerprint === fingerprint);
+  }
+
+  /**
+   * Entries with the same type and language (newest first)
+   */
+  findByType(errorType, language, limit) {
+    return this.refresh().errors
+      .filter(e => e.errorType === errorType && e.language === language)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Get error statistics
+   */
+  getStats() {
+    const errors = this.refresh().errors;
+
+    // Count by language
+    const byLanguage = {};
+    errors.forEach(e => {
+      if (e.language) {
+        byLanguage[e.language] = (byLanguage[e.language] || 0) + 1;
+      }
+    });
+
+    // Count by error type
+    const byType = {};
+    errors.forEach(e => {
+      if (e.errorType) {
+        byType[e.errorType] = (byType[e.errorType] || 0) + 1;
+      }
+    });
+
+    // Sort and format
+    const sortedByLanguage = Object.entries(byLanguage)
+      .map(([language, count]) => ({ language, count }))
+      .sort((a, b) => b.count - a.count);
+
+    const sortedByType = Object.entries(byType)
+      .map(([errorType, count]) => ({ errorType, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+
+    // Helpful stats
+    const helpful = errors.filter(e => e.helpful === true).length;
+    const notHelpful = errors.filter(e => e.helpful === false).length;
+    const noFeedback = errors.filter(e => e.helpful === null).length;
+
+    return {
+      total: errors.length,
+      byLanguage: sortedByLanguage,
+      topErrors: sortedByType,
+      feedback: { helpful, notHelpful, noFeedback }
+    };
+  }
+
+  /**
+   * Every entry (oldest first) - used to import into SQLite
+   */
+  getAll() {
+    return this.refresh().errors;
+  }
+
+  /**
+   * Delete entries saved before `timestamp` (ISO string); returns the count
+   */
+  deleteBefore(timestamp) {
+    // Check without the lock first - pruning runs on every start
+    if (!this.refresh().errors.some(e => e.timestamp < timestamp)) {
+      return 0;
+    }
+
+    return this.update(data => {
+      const kept = data.errors.filter(e => e.timestamp >= timestamp);
+      const removed = data.errors.length - kept.length;
+      data.errors = kept;
+      return removed;
+    });
+  }
+
+  /**
+   * Delete everything; returns the number of entries removed
+   *
+   * IDs keep counting up, so an ID never points at a different error.
+   */
+  clear() {
+    return this.update(data => {
+      const removed = data.errors.length;
+      data.errors = [];
+      return removed;
+    });
+  }
+
+  close() {
+    // Nothing to release - the file is written on every change
+  }
+}
+
+/**
+ * Block for `ms` milliseconds (the store API is synchronous)
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process ID is still running
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: running, but owned by another user
+    return err.code === 'EPERM';
+  }
+}
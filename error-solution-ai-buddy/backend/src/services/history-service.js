@@ -1,11 +1,13 @@
 /**
  * Error History Service - Stores and retrieves past errors
  * 
- * WHY JSON file instead of SQLite:
- * 1. No native compilation needed (works on all systems without Visual Studio)
- * 2. Simple to understand and debug
- * 3. Good enough for local history
- * 4. Can be upgraded to SQLite later if needed
+ * Storage:
+ * - SQLite (~/.errbuddy/history.db) when Node's built-in node:sqlite exists
+ * - JSON file (~/.errbuddy/history.json) as a fallback on older Node.js
+ *
+ * Both stores have the same interface, so the rest of the app doesn't
+ * care which one is used. The first time SQLite is used, an existing
+ * history.json is imported and renamed to history.json.imported.
  * 
  * This service allows:
  * - Saving errors and their explanations for later reference
@@ -15,51 +17,134 @@
 
 import { join } from 'path';
 import { homedir } from 'os';
-import { mkdirSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { mkdirSync, existsSync, renameSync } from 'fs';
+import { JsonHistoryStore } from './history-json-store.js';
+import { SqliteHistoryStore, loadSqlite } from './history-sqlite-store.js';
+
+// Saved error output is cut at this length
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Build a fingerprint that identifies "the same error" across runs
+ *
+ * Made from: language + error type + message with variable parts
+ * stripped + the top user-code frame (file name and function).
+ *
+ * WHY strip variable parts:
+ * Numbers, hex addresses and paths change between runs of the same bug
+ * (temp dirs, ports, object IDs). Quoted names are kept because
+ * "Cannot find module 'express'" and "... 'lodash'" need different fixes.
+ *
+ * WHY no line number:
+ * Line numbers shift as soon as you edit code above the error.
+ */
+export function errorFingerprint(error) {
+  const message = (error.errorMessage || '')
+    .replace(/(?:[A-Za-z]:)?[\\/][^\s:'"()]+/g, '<path>')
+    .replace(/0x[0-9a-f]+/gi, '<hex>')
+    .replace(/\d+/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const frame = (error.frames || []).find(f => f.isUserCode && f.file);
+  const fileName = frame?.file.split(/[\\/]/).pop();
+  const location = frame ? `${fileName}:${frame.function || ''}` : '';
+
+  return createHash('sha1')
+    .update([error.language, error.errorType, message, location].join('|'))
+    .digest('hex')
+    .substring(0, 16);
+}
 
 export class HistoryService {
-  constructor(filePath = null) {
-    // Default location: ~/.errbuddy/history.json
-    if (!filePath) {
-      const errbuddyDir = join(homedir(), '.errbuddy');
-      if (!existsSync(errbuddyDir)) {
-        mkdirSync(errbuddyDir, { recursive: true });
+  /**
+   * Options:
+   * - dir:           where history is stored (default ~/.errbuddy)
+   * - storage:       'auto' (SQLite if available), 'sqlite' or 'json'
+   * - retentionDays: delete entries older than this (0 = keep forever)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || join(homedir(), '.errbuddy');
+    if (!existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+
+    this.jsonPath = join(this.dir, 'history.json');
+    this.dbPath = join(this.dir, 'history.db');
+    this.store = this.openStore(options.storage || 'auto');
+    this.storage = this.store instanceof SqliteHistoryStore ? 'sqlite' : 'json';
+    this.filePath = this.storage === 'sqlite' ? this.dbPath : this.jsonPath;
+
+    if (this.storage === 'sqlite') {
+      this.importJsonHistory();
+    }
+    this.applyRetention(options.retentionDays ?? 0);
+  }
+
+  /**
+   * Is SQLite storage available in this Node.js?
+   */
+  static isSqliteAvailable() {
+    return loadSqlite() !== null;
+  }
+
+  /**
+   * Open the SQLite store, falling back to JSON
+   *
+   * WHY fall back even when SQLite exists but fails to open:
+   * History is not critical - a locked or damaged database must
+   * never stop errbuddy from explaining the error.
+   */
+  openStore(storage) {
+    if (storage === 'json') {
+      return new JsonHistoryStore(this.jsonPath);
+    }
+
+    if (storage === 'sqlite' || HistoryService.isSqliteAvailable()) {
+      try {
+        return new SqliteHistoryStore(this.dbPath);
+      } catch (err) {
+        if (storage === 'sqlite') throw err;
       }
-      filePath = join(errbuddyDir, 'history.json');
     }
 
-    this.filePath = filePath;
-    this.data = this.load();
+    return new JsonHistoryStore(this.jsonPath);
   }
 
   /**
-   * Load history from file
+   * Move entries from an old history.json into SQLite
+   *
+   * Entries keep their IDs, so running this twice (e.g. two errbuddy
+   * processes at once) fails on the duplicate IDs and changes nothing.
    */
-  load() {
+  importJsonHistory() {
+    if (!existsSync(this.jsonPath)) {
+      return;
+    }
+
     try {
-      if (existsSync(this.filePath)) {
-        const content = readFileSync(this.filePath, 'utf-8');
-        return JSON.parse(content);
-      }
-    } catch (err) {
-      // Silently fail and use default
+      const entries = new JsonHistoryStore(this.jsonPath).getAll();
+      this.store.insertMany(entries);
+      renameSync(this.jsonPath, `${this.jsonPath}.imported`);
+    } catch {
+      // Already imported by another process, or unreadable - not critical
     }
-    
-    // Return default structure
-    return {
-      errors: [],
-      nextId: 1
-    };
   }
 
   /**
-   * Save history to file
+   * Delete entries older than the retention period
    */
-  save() {
+  applyRetention(retentionDays) {
+    if (!retentionDays) {
+      return;
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
     try {
-      writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
-    } catch (err) {
-      // Silently fail - history is not critical
+      this.store.deleteBefore(cutoff.toISOString());
+    } catch {
+      // History is not critical
     }
   }
 
@@ -67,13 +152,12 @@ export class HistoryService {
    * Save an error and its explanation
    */
   saveError(error, explanation, command = null) {
-    const entry = {
-      id: this.data.nextId++,
+    return this.store.insert({
       timestamp: new Date().toISOString(),
       language: error.language || null,
       errorType: error.errorType || null,
       errorMessage: error.errorMessage || null,
-      errorFull: (error.fullText && error.fullText.length > 2000) ? error.fullText.substring(0, 2000) + '... (truncated)' : (error.fullText || null),
+      errorFull: (error.fullText && error.fullText.length > MAX_ERROR_LENGTH) ? error.fullText.substring(0, MAX_ERROR_LENGTH) + '... (truncated)' : (error.fullText || null),
       filePath: error.file || null,
       lineNumber: error.line || null,
       explanationWhat: explanation?.what || null,
@@ -81,114 +165,108 @@ export class HistoryService {
       explanationFix: explanation?.fix || null,
       explanationExample: explanation?.example || null,
       command: command,
+      fingerprint: errorFingerprint(error),
+      patch: explanation?.patch || null,
+      patchFile: explanation?.patch ? explanation.patchFile || null : null,
+      fixOutcome: null,
       helpful: null
-    };
-
-    this.data.errors.push(entry);
-    
-    // Keep only last 500 errors to prevent file from growing too large
-    if (this.data.errors.length > 500) {
-      this.data.errors = this.data.errors.slice(-500);
-    }
-    
-    this.save();
-    return entry.id;
+    });
   }
 
   /**
    * Mark an explanation as helpful or not
+   *
+   * Returns false if no entry has this ID.
    */
   markHelpful(id, helpful) {
-    const entry = this.data.errors.find(e => e.id === id);
-    if (entry) {
-      entry.helpful = helpful;
-      this.save();
-    }
+    return this.store.setHelpful(id, helpful);
+  }
+
+  /**
+   * Record what happened when the command was re-run (--until-fixed)
+   *
+   * 'fixed' and 'changed' (the error is gone, another one showed up)
+   * count as helpful, 'persists' as not helpful - the same signal as
+   * `errbuddy history feedback`, so a fix that worked is reused next time.
+   *
+   * Returns false if no entry has this ID.
+   */
+  recordFixOutcome(id, outcome) {
+    return this.store.setFixOutcome(id, outcome, outcome !== 'persists');
+  }
+
+  /**
+   * Get a single entry by ID (null if it doesn't exist)
+   */
+  getById(id) {
+    return this.store.getById(id);
   }
 
   /**
    * Get recent errors
    */
   getRecent(limit = 10) {
-    return this.data.errors
-      .slice(-limit)
-      .reverse();
+    return this.store.getRecent(limit);
   }
 
   /**
-   * Search errors by type or message
+   * Search errors by type, message or explanation (newest first)
    */
   search(query, limit = 20) {
-    const lowerQuery = query.toLowerCase();
-    return this.data.errors
-      .filter(e => 
-        (e.errorType && e.errorType.toLowerCase().includes(lowerQuery)) ||
-        (e.errorMessage && e.errorMessage.toLowerCase().includes(lowerQuery))
-      )
-      .slice(-limit)
-      .reverse();
+    return this.store.search(query, limit);
   }
 
   /**
-   * Find similar errors (useful for "have I seen this before?")
+   * Find errors with the same type and language
    */
   findSimilar(errorType, language) {
-    return this.data.errors
-      .filter(e => e.errorType === errorType && e.language === language)
-      .slice(-5)
-      .reverse();
+    return this.store.findByType(errorType, language, 5);
   }
 
   /**
-   * Get error statistics
+   * Look up earlier occurrences of an error ("seen this before?")
+   *
+   * Returns { count, lastSeen, entry } where `entry` is a saved
+   * explanation worth reusing: the most recent one with feedback,
+   * if that feedback was "helpful". Otherwise `entry` is null.
    */
-  getStats() {
-    const errors = this.data.errors;
-    
-    // Count by language
-    const byLanguage = {};
-    errors.forEach(e => {
-      if (e.language) {
-        byLanguage[e.language] = (byLanguage[e.language] || 0) + 1;
-      }
-    });
+  recall(error) {
+    const matches = this.store.findByFingerprint(errorFingerprint(error));
 
-    // Count by error type
-    const byType = {};
-    errors.forEach(e => {
-      if (e.errorType) {
-        byType[e.errorType] = (byType[e.errorType] || 0) + 1;
-      }
-    });
-
-    // Sort and format
-    const sortedByLanguage = Object.entries(byLanguage)
-      .map(([language, count]) => ({ language, count }))
-      .sort((a, b) => b.count - a.count);
-
-    const sortedByType = Object.entries(byType)
-      .map(([errorType, count]) => ({ errorType, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 10);
+    if (matches.length === 0) {
+      return { count: 0, lastSeen: null, entry: null };
+    }
 
-    // Helpful stats
-    const helpful = errors.filter(e => e.helpful === true).length;
-    const notHelpful = errors.filter(e => e.helpful === false).length;
-    const noFeedback = errors.filter(e => e.helpful === null).length;
+    const rated = matches.filter(e => e.helpful !== null);
+    const latestRated = rated[rated.length - 1];
 
     return {
-      total: errors.length,
-      byLanguage: sortedByLanguage,
-      topErrors: sortedByType,
-      feedback: { helpful, notHelpful, noFeedback }
+      count: matches.length,
+      lastSeen: matches[matches.length - 1].timestamp,
+      entry: latestRated?.helpful === true ? latestRated : null,
     };
   }
 
+  /**
+   * Get error statistics
+   */
+  getStats() {
+    return this.store.getStats();
+  }
+
   /**
    * Clear all history
+   *
+   * Returns the number of entries removed.
    */
   clearHistory() {
-    this.data = { errors: [], nextId: 1 };
-    this.save();
+    return this.store.clear();
+  }
+
+  /**
+   * Release the database (SQLite only)
+   */
+  close() {
+    this.store.close();
   }
 }
@@ -0,0 +1,342 @@
+/**
+ * SQLite History Store - Keeps error history in ~/.errbuddy/history.db
+ *
+ * Uses Node's built-in `node:sqlite` module (Node.js 22.5+), so there
+ * is nothing to compile or install.
+ *
+ * WHY SQLite (see docs/decisions.md, Decision 5):
+ * 1. Saving an error inserts one row instead of rewriting a whole file
+ * 2. Full-text search over messages and explanations (FTS5)
+ * 3. No need for an entry cap to keep things fast
+ *
+ * The schema is versioned with `PRAGMA user_version`. To change it, add
+ * a new entry to MIGRATIONS - never edit one that has already shipped.
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Schema migrations, applied in order. Index + 1 = schema version.
+ */
+const MIGRATIONS = [
+  // 1: Error entries
+  `
+  CREATE TABLE errors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    language TEXT,
+    error_type TEXT,
+    error_message TEXT,
+    error_full TEXT,
+    file_path TEXT,
+    line_number TEXT,
+    explanation_what TEXT,
+    explanation_why TEXT,
+    explanation_fix TEXT,
+    explanation_example TEXT,
+    command TEXT,
+    fingerprint TEXT,
+    helpful INTEGER
+  );
+  CREATE INDEX idx_errors_timestamp ON errors (timestamp);
+  CREATE INDEX idx_errors_fingerprint ON errors (fingerprint);
+  CREATE INDEX idx_errors_type ON errors (error_type, language);
+  `,
+
+  // 2: Full-text search over messages and explanations
+  `
+  CREATE VIRTUAL TABLE errors_fts USING fts5(
+    error_type, error_message, explanation_what, explanation_why, explanation_fix,
+    content='errors', content_rowid='id'
+  );
+  CREATE TRIGGER errors_fts_insert AFTER INSERT ON errors BEGIN
+    INSERT INTO errors_fts (rowid, error_type, error_message, explanation_what, explanation_why, explanation_fix)
+    VALUES (new.id, new.error_type, new.error_message, new.explanation_what, new.explanation_why, new.explanation_fix);
+  END;
+  CREATE TRIGGER errors_fts_delete AFTER DELETE ON errors BEGIN
+    INSERT INTO errors_fts (errors_fts, rowid, error_type, error_message, explanation_what, explanation_why, explanation_fix)
+    VALUES ('delete', old.id, old.error_type, old.error_message, old.explanation_what, old.explanation_why, old.explanation_fix);
+  END;
+  INSERT INTO errors_fts (errors_fts) VALUES ('rebuild');
+  `,
+
+  // 3: Suggested patch and the file it applies to
+  `
+  ALTER TABLE errors ADD COLUMN patch TEXT;
+  ALTER TABLE errors ADD COLUMN patch_file TEXT;
+  `,
+
+  // 4: What happened on the re-run after the explanation (--until-fixed)
+  `
+  ALTER TABLE errors ADD COLUMN fix_outcome TEXT;
+  `,
+];
+
+// Entry property -> column name
+const COLUMNS = {
+  id: 'id',
+  timestamp: 'timestamp',
+  language: 'language',
+  errorType: 'error_type',
+  errorMessage: 'error_message',
+  errorFull: 'error_full',
+  filePath: 'file_path',
+  lineNumber: 'line_number',
+  explanationWhat: 'explanation_what',
+  explanationWhy: 'explanation_why',
+  explanationFix: 'explanation_fix',
+  explanationExample: 'explanation_example',
+  command: 'command',
+  fingerprint: 'fingerprint',
+  patch: 'patch',
+  patchFile: 'patch_file',
+  fixOutcome: 'fix_outcome',
+  helpful: 'helpful',
+};
+
+let sqliteModule;
+
+/**
+ * Load node:sqlite, or return null if this Node.js doesn't have it
+ *
+ * WHY hide the ExperimentalWarning:
+ * It would be printed to stderr in the middle of the user's error output.
+ */
+export function loadSqlite() {
+  if (sqliteModule !== undefined) {
+    return sqliteModule;
+  }
+
+  const emitWarning = process.emitWarning;
+  process.emitWarning = (warning, ...args) => {
+    if (String(warning).includes('SQLite')) return;
+    emitWarning.call(process, warning, ...args);
+  };
+
+  try {
+    sqliteModule = require('node:sqlite');
+  } catch {
+    sqliteModule = null;
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+
+  return sqliteModule;
+}
+
+export class SqliteHistoryStore {
+  constructor(dbPath) {
+    const sqlite = loadSqlite();
+    if (!sqlite) {
+      throw new Error('node:sqlite is not available in this Node.js version');
+    }
+
+    this.dbPath = dbPath;
+    this.db = new sqlite.DatabaseSync(dbPath);
+
+    // Wait for other errbuddy processes instead of failing with SQLITE_BUSY
+    this.db.exec('PRAGMA busy_timeout = 5000');
+    this.db.exec('PRAGMA journal_mode = WAL');
+
+    this.migrate();
+  }
+
+  /**
+   * Bring the schema up to the latest version
+   */
+  migrate() {
+    if (this.schemaVersion >= MIGRATIONS.length) {
+      return;
+    }
+
+    // Check again inside the transaction: another errbuddy process
+    // may have migrated while we waited for the lock
+    this.transaction(() => {
+      for (let i = this.schemaVersion; i < MIGRATIONS.length; i++) {
+        this.db.exec(MIGRATIONS[i]);
+      }
+      this.db.exec(`PRAGMA user_version = ${MIGRATIONS.length}`);
+    });
+  }
+
+  /**
+   * Current schema version
+   */
+  get schemaVersion() {
+    return this.db.prepare('PRAGMA user_version').get().user_version;
+  }
+
+  /**
+   * Run `fn` inside a transaction (all or nothing)
+   */
+  transaction(fn) {
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  /**
+   * Add an entry and return its new ID
+   *
+   * An `id` in the entry is kept (used when importing history.json).
+   */
+  insert(entry) {
+    const keys = Object.keys(COLUMNS).filter(key => entry[key] !== undefined);
+    const values = keys.map(key => this.toColumnValue(key, entry[key]));
+
+    const result = this.db
+      .prepare(`INSERT INTO errors (${keys.map(key => COLUMNS[key]).join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+      .run(...values);
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Add many entries in one transaction
+   */
+  insertMany(entries) {
+    this.transaction(() => {
+      for (const entry of entries) {
+        this.insert(entry);
+      }
+    });
+  }
+
+  getById(id) {
+    const row = this.db.prepare('SELECT * FROM errors WHERE id = ?').get(id);
+    return row ? this.toEntry(row) : null;
+  }
+
+  setHelpful(id, helpful) {
+    const result = this.db
+      .prepare('UPDATE errors SET helpful = ? WHERE id = ?')
+      .run(this.toColumnValue('helpful', helpful), id);
+    return result.changes > 0;
+  }
+
+  setFixOutcome(id, outcome, helpful) {
+    const result = this.db
+      .prepare('UPDATE errors SET fix_outcome = ?, helpful = ? WHERE id = ?')
+      .run(outcome, this.toColumnValue('helpful', helpful), id);
+    return result.changes > 0;
+  }
+
+  getRecent(limit) {
+    return this.all('SELECT * FROM errors ORDER BY id DESC LIMIT ?', limit);
+  }
+
+  /**
+   * Full-text search; every word must match (as a word prefix)
+   *
+   * Example: "cannot read" matches "Cannot read properties of undefined"
+   */
+  search(query, limit) {
+    const match = query
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => `"${word.replace(/"/g, '""')}"*`)
+      .join(' ');
+
+    if (!match) {
+      return [];
+    }
+
+    return this.all(`
+      SELECT errors.* FROM errors_fts
+      JOIN errors ON errors.id = errors_fts.rowid
+      WHERE errors_fts MATCH ?
+      ORDER BY errors.id DESC
+      LIMIT ?
+    `, match, limit);
+  }
+
+  findByFingerprint(fingerprint) {
+    return this.all('SELECT * FROM errors WHERE fingerprint = ? ORDER BY id', fingerprint);
+  }
+
+  findByType(errorType, language, limit) {
+    return this.all(
+      'SELECT * FROM errors WHERE error_type IS ? AND language IS ? ORDER BY id DESC LIMIT ?',
+      errorType, language, limit
+    );
+  }
+
+  getStats() {
+    const count = (sql) => this.db.prepare(sql).get().count;
+
+    const byLanguage = this.db.prepare(`
+      SELECT language, COUNT(*) AS count FROM errors
+      WHERE language IS NOT NULL
+      GROUP BY language ORDER BY count DESC, MIN(id)
+    `).all().map(row => ({ language: row.language, count: row.count }));
+
+    const topErrors = this.db.prepare(`
+      SELECT error_type, COUNT(*) AS count FROM errors
+      WHERE error_type IS NOT NULL
+      GROUP BY error_type ORDER BY count DESC, MIN(id) LIMIT 10
+    `).all().map(row => ({ errorType: row.error_type, count: row.count }));
+
+    return {
+      total: count('SELECT COUNT(*) AS count FROM errors'),
+      byLanguage,
+      topErrors,
+      feedback: {
+        helpful: count('SELECT COUNT(*) AS count FROM errors WHERE helpful = 1'),
+        notHelpful: count('SELECT COUNT(*) AS count FROM errors WHERE helpful = 0'),
+        noFeedback: count('SELECT COUNT(*) AS count FROM errors WHERE helpful IS NULL'),
+      },
+    };
+  }
+
+  deleteBefore(timestamp) {
+    return Number(this.db.prepare('DELETE FROM errors WHERE timestamp < ?').run(timestamp).changes);
+  }
+
+  clear() {
+    return Number(this.db.prepare('DELETE FROM errors').run().changes);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Run a query and convert every row to an entry
+   */
+  all(sql, ...params) {
+    return this.db.prepare(sql).all(...params).map(row => this.toEntry(row));
+  }
+
+  /**
+   * Convert a database row to the entry shape used by HistoryService
+   */
+  toEntry(row) {
+    const entry = {};
+    for (const [key, column] of Object.entries(COLUMNS)) {
+      entry[key] = row[column] ?? null;
+    }
+    entry.id = Number(entry.id);
+    // Stored as text (entries from before line numbers were numbers)
+    entry.lineNumber = entry.lineNumber === null ? null : Number(entry.lineNumber);
+    entry.helpful = entry.helpful === null ? null : entry.helpful === 1;
+    return entry;
+  }
+
+  /**
+   * Convert an entry value to something SQLite can store
+   */
+  toColumnValue(key, value) {
+    if (value === undefined || value === null) return null;
+    if (key === 'helpful') return value ? 1 : 0;
+    if (key === 'id') return value;
+    return String(value);
+  }
+}
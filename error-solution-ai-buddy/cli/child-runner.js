@@ -0,0 +1,233 @@
+/**
+ * Child Runner - Runs the wrapped command and passes signals on to it
+ *
+ * The command runs in one of two ways:
+ * - pipes (default): stdout and stderr are forwarded and captured
+ *   separately (see output-streams.js)
+ * - a pseudo-terminal (--pty): the command sees a real terminal, so
+ *   progress bars, prompts and color detection work as they do without
+ *   errbuddy. A terminal has one output stream (stdout and stderr are
+ *   mixed), which is captured as stdout.
+ *
+ * WHY forward signals:
+ * `kill`, a process manager or CI sends SIGTERM to errbuddy only.
+ * Without forwarding, errbuddy would die and leave the command running.
+ * Ctrl+C in a terminal already reaches the command (it's in the same
+ * process group), so errbuddy just waits for it to exit.
+ *
+ * A command killed by a signal exits with 128 + the signal number
+ * (130 for SIGINT), like in a shell.
+ */
+
+import { spawn } from 'child_process';
+import { constants } from 'os';
+import { OutputCapture, errorOutput } from './output-streams.js';
+import { cleanLogText } from './log-input.js';
+import { REPORT_DIR_ENV, createReportDir, readReports, withNodeHook } from './error-report.js';
+
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+// Lines the shell has to run itself ("a && b", "x | y", "FOO=1 cmd")
+const SHELL_SYNTAX = /[;&|<>()`\n]|^\w+=/;
+
+/**
+ * Thrown when --pty is used but node-pty can't be loaded
+ */
+export class PtyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PtyError';
+  }
+}
+
+/**
+ * Load node-pty (an optional dependency, only needed for --pty)
+ *
+ * `importPty` loads the module; tests pass one that fails.
+ */
+export async function loadPty(importPty = () => import('node-pty')) {
+  try {
+    return await importPty();
+  } catch (err) {
+    throw new PtyError(`--pty needs the node-pty package (npm install node-pty): ${err.message}`);
+  }
+}
+
+/**
+ * Exit code of a command, with 128 + signal number if it was killed
+ *
+ * `signal` is a name ('SIGTERM') from child_process or a number from
+ * node-pty (0 = none).
+ */
+export function exitCodeFor(code, signal) {
+  if (signal) {
+    return 128 + (typeof signal === 'number' ? signal : constants.signals[signal] || 0);
+  }
+  return code ?? 1;
+}
+
+/**
+ * The command line the shell runs
+ *
+ * On Unix a single command is started with "exec", so the shell is
+ * replaced by the command and forwarded signals reach the command
+ * itself (not only /bin/sh, which would die and leave it running).
+ */
+export function shellCommandLine(command, args, platform = process.platform) {
+  const line = [command, ...args].join(' ');
+  return platform !== 'win32' && !SHELL_SYNTAX.test(line) ? `exec ${line}` : line;
+}
+
+/**
+ * Run the wrapped command once, forwarding its output
+ *
+ * Options: { errorListener, streams, pty, nodeHook } - `pty` is the
+ * node-pty module for --pty (see loadPty), or null for pipes;
+ * `nodeHook` loads error-solution-ai-buddy/register into node processes.
+ *
+ * Resolves with { exitCode, stdout, stderr, errorText, reports, interrupted }:
+ * - errorText: the output worth analyzing ('' if the run had no
+ *   error, see output-streams.js)
+ * - reports: errors reported by error-solution-ai-buddy/register (see error-report.js)
+ * - interrupted: the signal errbuddy received while the command ran
+ *   (null if none)
+ * Rejects if the command can't be started.
+ */
+export async function runChild(command, args, options) {
+  const reportDir = createReportDir();
+  const env = { ...process.env, [REPORT_DIR_ENV]: reportDir };
+  const childOptions = { ...options, env: options.nodeHook ? withNodeHook(env) : env };
+
+  try {
+    const run = options.pty ? await runInPty(command, args, childOptions) : await runWithPipes(command, args, childOptions);
+    return { ...run, reports: readReports(reportDir) };
+  } catch (err) {
+    readReports(reportDir);  // Removes the directory
+    throw err;
+  }
+}
+
+function runWithPipes(command, args, { errorListener, streams, env }) {
+  return new Promise((resolve, reject) => {
+    // Spawn the child process
+    // stdio: ['inherit', 'pipe', 'pipe'] means:
+    // - stdin: inherited (user can type input)
+    // - stdout: piped (we forward and capture it)
+    // - stderr: piped (we forward and capture it)
+    const child = spawn(shellCommandLine(command, args), [], {
+      stdio: ['inherit', 'pipe', 'pipe'],
+      shell: true,  // Required for Windows compatibility
+      env: { ...env, FORCE_COLOR: '1' }  // Preserve colors
+    });
+
+    // Only the end of each stream is kept (see OutputCapture)
+    const stdout = new OutputCapture();
+    const stderr = new OutputCapture();
+
+    // Forward output immediately (no delay), then buffer it for analysis
+    child.stdout.on('data', (data) => {
+      process.stdout.write(data);
+      stdout.append(data);
+    });
+
+    child.stderr.on('data', (data) => {
+      process.stderr.write(data);
+      stderr.append(data);
+    });
+
+    let interrupted = null;
+    const stopForwarding = forwardSignals((signal) => {
+      interrupted = signal;
+      // Ctrl+C in a terminal was already delivered to the command
+      if (signal !== 'SIGINT' || !process.stdin.isTTY) {
+        child.kill(signal);
+      }
+    });
+
+    // Analyzed once the exit code is known (stdout only counts on failure)
+    child.on('close', (code, signal) => {
+      stopForwarding();
+      const run = { exitCode: exitCodeFor(code, signal), stdout: stdout.read(), stderr: stderr.read() };
+      resolve({ ...run, errorText: errorOutput(run, streams, errorListener), interrupted });
+    });
+    child.on('error', (err) => {
+      stopForwarding();
+      reject(err);
+    });
+  });
+}
+
+function runInPty(command, args, { errorListener, pty, env }) {
+  return new Promise((resolve, reject) => {
+    const windows = process.platform === 'win32';
+    const line = shellCommandLine(command, args);
+
+    let term;
+    try {
+      term = pty.spawn(windows ? process.env.ComSpec || 'cmd.exe' : '/bin/sh', windows ? ['/d', '/s', '/c', line] : ['-c', line], {
+        name: process.env.TERM || 'xterm-256color',
+        cols: process.stdout.columns || 80,
+        rows: process.stdout.rows || 24,
+        cwd: process.cwd(),
+        env,
+      });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    const output = new OutputCapture();
+    term.onData((data) => {
+      process.stdout.write(data);
+      output.append(data);
+    });
+
+    // Keys go to the command's terminal as they are typed (Ctrl+C too,
+    // which the pseudo-terminal turns into SIGINT for the command)
+    const stdin = process.stdin;
+    const onInput = (data) => term.write(data.toString());
+    if (stdin.isTTY) {
+      stdin.setRawMode(true);
+    }
+    stdin.on('data', onInput);
+    stdin.resume();
+
+    const onResize = () => term.resize(process.stdout.columns, process.stdout.rows);
+    process.stdout.on('resize', onResize);
+
+    let interrupted = null;
+    const stopForwarding = forwardSignals((signal) => {
+      interrupted = signal;
+      if (!windows) {
+        term.kill(signal);
+      }
+    });
+
+    term.onExit(({ exitCode, signal }) => {
+      stopForwarding();
+      process.stdout.off('resize', onResize);
+      stdin.off('data', onInput);
+      if (stdin.isTTY) {
+        stdin.setRawMode(false);
+      }
+      stdin.pause();
+
+      // Terminal output is full of cursor moves and \r redraws
+      const run = { exitCode: exitCodeFor(exitCode, signal), stdout: cleanLogText(output.read()), stderr: '' };
+      resolve({ ...run, errorText: errorOutput(run, ['stdout'], errorListener), interrupted });
+    });
+  });
+}
+
+/**
+ * Call `onSignal(name)` for signals errbuddy receives until the
+ * returned function is called
+ *
+ * While a handler is installed, the signal no longer ends errbuddy
+ * itself: it waits for the command to exit.
+ */
+function forwardSignals(onSignal) {
+  const handlers = FORWARDED_SIGNALS.map(signal => [signal, () => onSignal(signal)]);
+  handlers.forEach(([signal, handler]) => process.on(signal, handler));
+  return () => handlers.forEach(([signal, handler]) => process.off(signal, handler));
+}
@@ -0,0 +1,190 @@
+/**
+ * Error Report - Structured errors from inside a Node.js process
+ *
+ * stderr only has what Node printed: the real Error object is gone.
+ * With error-solution-ai-buddy/register (cli/register.js) loaded in the user's
+ * process, every uncaught error is written as JSON to a directory
+ * errbuddy passes in ERRBUDDY_REPORT_DIR:
+ *
+ *   {
+ *     "version": 1,
+ *     "pid": 1234,
+ *     "origin": "uncaughtException" | "unhandledRejection",
+ *     "error": {
+ *       "name": "TypeError", "message": "...", "code": "ERR_X" | null,
+ *       "stack": "...",                     (source-mapped)
+ *       "props": { "errno": -2, ... },      (other own primitive properties)
+ *       "cause": { ...same shape } | null,  (error.cause chain)
+ *       "errors": [ ...same shape ]         (AggregateError members)
+ *     }
+ *   }
+ *
+ * One file per process, so `npm test` starting several node processes
+ * doesn't lose any. When reports exist, errbuddy explains them instead
+ * of parsing the output with regexes.
+ */
+
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { inspect } from 'util';
+
+export const REPORT_DIR_ENV = 'ERRBUDDY_REPORT_DIR';
+export const REPORT_VERSION = 1;
+
+// error-solution-ai-buddy/register as a URL for --import (works from any directory)
+const REGISTER_URL = new URL('./register.js', import.meta.url).href;
+
+// Enough for real cause chains, without looping on self-references
+const MAX_CAUSE_DEPTH = 5;
+const MAX_AGGREGATE_ERRORS = 10;
+
+/**
+ * Install the reporter in this process (called by error-solution-ai-buddy/register)
+ *
+ * Does nothing when not running under errbuddy, so the hook can stay in
+ * NODE_OPTIONS or package.json scripts.
+ *
+ * WHY uncaughtExceptionMonitor instead of uncaughtException and
+ * unhandledRejection listeners:
+ * Adding those listeners changes what the process does: it would no
+ * longer crash, print the error or exit with code 1. The monitor only
+ * watches, and sees unhandled rejections too (Node turns them into
+ * uncaught exceptions, origin "unhandledRejection").
+ *
+ * Returns true if installed.
+ */
+export function installErrorReporter(proc = process) {
+  const dir = proc.env[REPORT_DIR_ENV];
+  if (!dir) {
+    return false;
+  }
+
+  // Stack traces point at .ts sources instead of compiled files
+  proc.setSourceMapsEnabled?.(true);
+
+  proc.on('uncaughtExceptionMonitor', (error, origin) => {
+    try {
+      // Synchronous: the process is about to exit
+      const report = { version: REPORT_VERSION, pid: proc.pid, origin, error: serializeError(error) };
+      writeFileSync(join(dir, `${Date.now()}-${proc.pid}.json`), JSON.stringify(report));
+    } catch {
+      // Never get in the way of the real crash
+    }
+  });
+  return true;
+}
+
+/**
+ * Turn a thrown value into plain JSON (see the format at the top)
+ */
+export function serializeError(value, depth = 0, seen = new Set()) {
+  if (!(value instanceof Error)) {
+    // throw 'oops', Promise.reject({ status: 404 })
+    return { name: null, message: inspect(value, { depth: 2, breakLength: Infinity }), code: null, stack: null, props: {}, cause: null, errors: [] };
+  }
+
+  seen.add(value);
+  const nested = (inner) => (depth < MAX_CAUSE_DEPTH && inner !== undefined && inner !== null && !seen.has(inner)
+    ? serializeError(inner, depth + 1, seen)
+    : null);
+
+  const props = {};
+  for (const [key, prop] of Object.entries(value)) {
+    if (!['code', 'cause', 'errors'].includes(key) && (prop === null || typeof prop !== 'object') && typeof prop !== 'function') {
+      props[key] = prop;
+    }
+  }
+
+  return {
+    name: value.name,
+    message: value.message,
+    code: value.code !== undefined ? String(value.code) : null,
+    stack: typeof value.stack === 'string' ? value.stack : null,
+    props,
+    cause: nested(value.cause),
+    errors: Array.isArray(value.errors)
+      ? value.errors.slice(0, MAX_AGGREGATE_ERRORS).map(nested).filter(Boolean)
+      : [],
+  };
+}
+
+/**
+ * Create the directory a run's reports are written to
+ */
+export function createReportDir() {
+  return mkdtempSync(join(tmpdir(), 'errbuddy-report-'));
+}
+
+/**
+ * Read (and remove) the reports of a run, oldest first
+ *
+ * Files that can't be read or have an unknown version are skipped.
+ */
+export function readReports(dir) {
+  const reports = [];
+  try {
+    for (const name of readdirSync(dir).sort()) {
+      try {
+        const report = JSON.parse(readFileSync(join(dir, name), 'utf-8'));
+        if (report.version === REPORT_VERSION && report.error) {
+          reports.push(report);
+        }
+      } catch {
+        // Half-written or not ours
+      }
+    }
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  return reports;
+}
+
+/**
+ * Whether a Node.js version can load the hook from NODE_OPTIONS
+ *
+ * --import came with Node.js 20.6 and was backported to 18.19. Older
+ * versions refuse to start with it in NODE_OPTIONS.
+ */
+export function supportsNodeHook(version = process.versions.node) {
+  const [major, minor] = version.split('.').map(Number);
+  return major > 20 || (major === 20 && minor >= 6) || (major === 18 && minor >= 19);
+}
+
+/**
+ * Environment that loads error-solution-ai-buddy/register into node processes
+ *
+ * Used for the nodeHook setting: the hook is added to NODE_OPTIONS, so
+ * it also reaches node processes started by npm, jest, etc.
+ */
+export function withNodeHook(env) {
+  const nodeOptions = [env.NODE_OPTIONS, `--import=${REGISTER_URL}`].filter(Boolean).join(' ');
+  return { ...env, NODE_OPTIONS: nodeOptions };
+}
+
+/**
+ * The report as text, like Node prints it plus what it leaves out
+ *
+ * This is what the AI gets instead of the raw stderr. (The origin is
+ * left out: with --import, Node runs the main script as a module, so a
+ * plain throw there also arrives as "unhandledRejection".)
+ */
+export function reportText(report) {
+  const lines = [];
+  describeError(report.error, '', lines);
+  return lines.join('\n');
+}
+
+function describeError(error, label, lines) {
+  lines.push(label + (error.stack || [error.name, error.message].filter(Boolean).join(': ')));
+  if (error.code) {
+    lines.push(`  code: ${error.code}`);
+  }
+  for (const [key, value] of Object.entries(error.props)) {
+    lines.push(`  ${key}: ${value}`);
+  }
+  error.errors.forEach((member, i) => describeError(member, `[errors ${i + 1} of ${error.errors.length}] `, lines));
+  if (error.cause) {
+    describeError(error.cause, 'Caused by: ', lines);
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Fix Watcher - Waits for a fix, so `--until-fixed` can re-run the command
+ *
+ * After an error is explained, the user edits their code. Instead of
+ * re-running the command by hand, errbuddy waits until one of the files
+ * from the stack trace is saved (or Enter is pressed) and runs it again.
+ *
+ * The new run is compared with the old error by fingerprint (see
+ * errorFingerprint in history-service.js):
+ * - fixed:    no error any more
+ * - changed:  a different error (the old one is gone)
+ * - persists: the same error again
+ *
+ * WHY fingerprints instead of comparing the output:
+ * Line numbers, paths and timings change on every run, even when the
+ * bug is exactly the same.
+ */
+
+import { watch, existsSync } from 'fs';
+import { resolve } from 'path';
+import { errorFingerprint } from '../backend/src/services/history-service.js';
+
+// Editors often write a file in several steps (truncate, write, rename)
+const SETTLE_MS = 300;
+
+export const FIX_OUTCOMES = ['fixed', 'changed', 'persists'];
+
+/**
+ * Compare a new run with the error it should have fixed
+ *
+ * `analysis` is the new error, or null when the run had none.
+ */
+export function fixOutcome(previous, analysis) {
+  if (!analysis?.isError) {
+    return 'fixed';
+  }
+  return errorFingerprint(analysis) === errorFingerprint(previous) ? 'persists' : 'changed';
+}
+
+/**
+ * Files worth watching for an error: the user-code files in its stack
+ * trace (plus the file the error points at), if they exist
+ */
+export function filesToWatch(analysis, cwd = process.cwd()) {
+  const files = (analysis.frames || [])
+    .filter(frame => frame.isUserCode && frame.file)
+    .map(frame => frame.file);
+  if (analysis.file) {
+    files.push(analysis.file);
+  }
+
+  const paths = files
+    .map(file => file.replace(/^file:\/\//, ''))
+    .map(file => resolve(cwd, file))
+    .filter(path => existsSync(path));
+  return [...new Set(paths)];
+}
+
+export class FixWatcher {
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.settleMs = options.settleMs ?? SETTLE_MS;
+  }
+
+  /**
+   * Whether Enter can be used to re-run (stdin is a terminal)
+   */
+  get interactive() {
+    return Boolean(this.input.isTTY);
+  }
+
+  /**
+   * Wait until one of `files` changes or Enter is pressed
+   *
+   * Resolves with 'change' or 'enter'. Stdin is only read when it is a
+   * terminal, and is released again before the command is re-run (the
+   * child process inherits it).
+   */
+  waitForChange(files) {
+    return new Promise((resolvePromise) => {
+      const watchers = [];
+      let timer = null;
+
+      const done = (reason) => {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+        if (this.interactive) {
+          this.input.off('data', onInput);
+          this.input.pause();
+        }
+        resolvePromise(reason);
+      };
+
+      const onInput = () => done('enter');
+      const onChange = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => done('change'), this.settleMs);
+      };
+
+      for (const file of files) {
+        try {
+          watchers.push(watch(file, onChange));
+        } catch {
+          // Deleted since, or not watchable: Enter still works
+        }
+      }
+
+      if (this.interactive) {
+        this.input.on('data', onInput);
+        this.input.resume();
+      }
+    });
+  }
+}
@@ -13,6 +13,13 @@
 import chalk from 'chalk';
 import boxen from 'boxen';
 
+// How a --until-fixed re-run went, as shown in `history show`
+const FIX_OUTCOME_LABELS = {
+  fixed: 'fixed',
+  changed: 'fixed, new error',
+  persists: 'same error',
+};
+
 export class Formatter {
   constructor(options = {}) {
     this.useColor = options.useColor !== false;
@@ -28,14 +35,44 @@ export class Formatter {
    *   what: "What the error is",
    *   why: "Why it happened",
    *   fix: "How to fix it",
-   *   example: "Code example"
+   *   fixSteps: ["Step 1", "Step 2"],   // optional
+   *   example: "Code example",
+   *   patch: "--- a/app.js ...",         // optional: checked unified diff
+   *   confidence: "high"                // optional: high, medium, low
    * }
+   *
+   * `analysis` (optional) adds the user-code stack above the explanation.
    */
-  printAIExplanation(explanation) {
+  printAIExplanation(explanation, analysis = null) {
     const header = this.useEmoji ? '🤖 Error Buddy Explanation:' : '[Error Buddy]';
     
     let content = '';
+
+    // Where did it happen?
+    content += this.formatWhereSection(analysis);
     
+    // What / Why / Fix / Example
+    content += this.formatExplanationSections(explanation);
+
+    // Print in a box
+    const box = boxen(content.trim(), {
+      title: header,
+      titleAlignment: 'left',
+      padding: 1,
+      margin: { top: 0, bottom: 1, left: 0, right: 0 },
+      borderStyle: this.boxStyle,
+      borderColor: 'cyan',
+    });
+
+    console.log(box);
+  }
+
+  /**
+   * Format the WHAT/WHY/FIX/EXAMPLE sections of an AI explanation
+   */
+  formatExplanationSections(explanation) {
+    let content = '';
+
     // What is this?
     if (explanation.what) {
       content += chalk.cyan.bold(this.useEmoji ? '📘 What is this?' : '[What]') + '\n';
@@ -49,7 +86,10 @@ export class Formatter {
     }
     
     // How to fix?
-    if (explanation.fix) {
+    if (explanation.fixSteps?.length) {
+      content += chalk.green.bold(this.useEmoji ? '✅ How to fix it:' : '[Fix]') + '\n';
+      content += this.formatSteps(explanation.fixSteps) + '\n';
+    } else if (explanation.fix) {
       content += chalk.green.bold(this.useEmoji ? '✅ How to fix it:' : '[Fix]') + '\n';
       content += this.wrapText(explanation.fix) + '\n';
     }
@@ -60,17 +100,71 @@ export class Formatter {
       content += chalk.gray(this.formatCode(explanation.example));
     }
 
-    // Print in a box
-    const box = boxen(content.trim(), {
-      title: header,
-      titleAlignment: 'left',
-      padding: 1,
-      margin: { top: 0, bottom: 1, left: 0, right: 0 },
-      borderStyle: this.boxStyle,
-      borderColor: 'cyan',
-    });
+    // Suggested patch (already checked against the file)
+    if (explanation.patch) {
+      content = content.trimEnd() + '\n\n' + chalk.blue.bold(this.useEmoji ? '🩹 Suggested patch:' : '[Patch]') + '\n';
+      content += this.formatDiff(explanation.patch);
+    }
 
-    console.log(box);
+    // How sure the AI is
+    if (explanation.confidence) {
+      content = content.trimEnd() + '\n\n' + this.formatConfidence(explanation.confidence);
+    }
+
+    return content;
+  }
+
+  /**
+   * Color a unified diff: additions green, removals red, hunks cyan
+   */
+  formatDiff(patch) {
+    return patch
+      .split('\n')
+      .map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        return chalk.gray(line);
+      })
+      .join('\n');
+  }
+
+  /**
+   * Print a patch before it is applied (errbuddy apply)
+   */
+  printPatch(patch, file) {
+    const header = this.useEmoji ? `🩹 Patch for ${file}:` : `[Patch] ${file}`;
+    console.log('\n' + chalk.blue.bold(header) + '\n');
+    console.log(this.formatDiff(patch) + '\n');
+  }
+
+  /**
+   * Format fix steps as a numbered list, wrapping long steps
+   */
+  formatSteps(steps) {
+    return steps
+      .map((step, i) => {
+        const number = `${i + 1}. `;
+        const indent = ' '.repeat(number.length);
+        const lines = this.wrapText(step, 70 - number.length).split('\n');
+        return number + lines.join('\n' + indent);
+      })
+      .join('\n');
+  }
+
+  /**
+   * Format the AI's own confidence ("Confidence: low - double-check this")
+   *
+   * WHY show it:
+   * Small models are often wrong. A low-confidence answer is a hint
+   * to check the docs before changing code.
+   */
+  formatConfidence(confidence) {
+    if (confidence === 'low') {
+      return chalk.yellow('Confidence: low - double-check this before changing your code');
+    }
+    return chalk.gray(`Confidence: ${confidence}`);
   }
 
   /**
@@ -89,13 +183,16 @@ export class Formatter {
     
     // Language detected
     if (analysis.language && analysis.language !== 'unknown') {
-      content += chalk.gray(`Language: ${this.formatLanguage(analysis.language)}`) + '\n';
+      content += chalk.gray(`Language: ${this.formatLanguageGuess(analysis)}`) + '\n';
       if (analysis.errorType) {
         content += chalk.gray(`Error: ${analysis.errorType}`) + '\n';
       }
       content += '\n';
     }
 
+    // Where
+    content += this.formatWhereSection(analysis);
+
     // What
     content += chalk.cyan.bold(this.useEmoji ? '📘 What:' : '[What]') + '\n';
     content += this.wrapText(explanation.what) + '\n\n';
@@ -129,6 +226,340 @@ export class Formatter {
     console.log(box);
   }
 
+  /**
+   * Print the request that would be sent to the AI (--dry-run)
+   */
+  printRequestPreview(preview) {
+    this.printRequest(preview, 'AI Request Preview (not sent)');
+  }
+
+  /**
+   * Print a request to the AI: where it goes, the prompts and the
+   * other options (from AIService.previewRequest or the audit log)
+   *
+   * Printed as-is (no box) so the prompts match what is sent exactly.
+   */
+  printRequest(request, title) {
+    const rule = chalk.gray('─'.repeat(70));
+    const section = name => chalk.gray(`── ${name} `.padEnd(70, '─'));
+
+    console.log(chalk.magenta.bold(this.useEmoji ? `🔎 ${title}:` : `[${title}]`));
+    console.log(rule);
+    if (request.time) {
+      console.log(chalk.gray(`When:     ${this.formatDate(request.time)}`));
+    }
+    if (request.kind === 'repair') {
+      console.log(chalk.gray('Kind:     repair (the first answer was not valid JSON)'));
+    }
+    console.log(chalk.gray(`To:       ${request.provider} ${request.url}`));
+    console.log(chalk.gray(`Model:    ${request.model}`));
+    console.log(chalk.gray(`Redacted: ${this.formatRedactions(request.redactions)}`));
+    console.log(section('System prompt'));
+    console.log(request.system);
+    console.log(section('User prompt'));
+    console.log(request.prompt.trim());
+    console.log(section('Request options'));
+    console.log(JSON.stringify(request.options, null, 2));
+    console.log(rule + '\n');
+  }
+
+  /**
+   * "2 secret-assignment, 1 email" (values replaced per redaction rule)
+   */
+  formatRedactions(redactions) {
+    const parts = Object.entries(redactions || {}).map(([rule, count]) => `${count} ${rule}`);
+    return parts.length > 0 ? parts.join(', ') : 'nothing';
+  }
+
+  /**
+   * Print audit log entries as a table
+   */
+  printAuditTable(entries) {
+    console.log(this.formatAuditTable(entries));
+  }
+
+  /**
+   * Format audit log entries as a table (newest first)
+   *
+   * Example:
+   * ID  When              Model         URL                                  Redacted
+   * 7   2024-03-01 14:05  qwen2.5:0.5b  http://localhost:11434/api/generate  1 email
+   */
+  formatAuditTable(entries) {
+    if (!entries || entries.length === 0) {
+      return chalk.gray('No requests in the audit log.');
+    }
+
+    const headers = ['ID', 'When', 'Model', 'URL', 'Redacted'];
+    const rows = entries.map(entry => [
+      entry.kind === 'repair' ? `${entry.id} (repair)` : String(entry.id),
+      this.formatDate(entry.time),
+      entry.model || '-',
+      entry.url || '-',
+      this.formatRedactions(entry.redactions),
+    ]);
+
+    return this.formatTable(headers, rows);
+  }
+
+  /**
+   * Print the rules of all loaded packs as a table
+   */
+  printRulesTable(rules) {
+    console.log(this.formatRulesTable(rules));
+  }
+
+  /**
+   * Format rules (RuleSet.rules) as a table, in the order they are tried
+   *
+   * Example:
+   * Rule                  Language    Priority  Does               From
+   * acme/quota            java        10        detects, explains  project
+   * javascript/tsc-error  javascript  0         detects            built-in
+   */
+  formatRulesTable(rules) {
+    if (!rules || rules.length === 0) {
+      return chalk.gray('No rules loaded.');
+    }
+
+    const headers = ['Rule', 'Language', 'Priority', 'Does', 'From'];
+    const rows = rules.map(rule => [
+      rule.id,
+      rule.language || 'any',
+      String(rule.priority),
+      [rule.captures && 'detects', rule.explanation && 'explains'].filter(Boolean).join(', '),
+      rule.source,
+    ]);
+
+    return this.formatTable(headers, rows);
+  }
+
+  /**
+   * Print the result of `errbuddy rules test`
+   *
+   * `examples` comes from runExamples(); each sample is
+   * { label, errors, passed } with `matched` set on the errors a rule
+   * of the pack detected or explained.
+   */
+  printRuleTest(pack, examples, samples) {
+    const count = `${pack.rules.length} rule${pack.rules.length === 1 ? '' : 's'}`;
+    console.log(chalk.green(`${this.useEmoji ? '✅ ' : ''}${pack.name}: ${count}, valid`));
+
+    if (examples.length === 0 && samples.length === 0) {
+      console.log(chalk.gray('\nNothing to try it on: add "examples" to the rules, or pass sample log files.'));
+      return;
+    }
+
+    if (examples.length > 0) {
+      console.log(chalk.bold('\nExamples'));
+      for (const example of examples) {
+        const passed = example.failures.length === 0;
+        const firstLine = this.truncate(example.log.trim().split('\n')[0], 60);
+        console.log(`  ${passed ? chalk.green('✓') : chalk.red('✗')} ${example.rule}  ${chalk.gray(firstLine)}`);
+        for (const failure of example.failures) {
+          console.log(chalk.red(`      ${failure}`));
+        }
+      }
+    }
+
+    for (const sample of samples) {
+      console.log(chalk.bold(`\n${sample.label}`));
+      if (sample.errors.length === 0) {
+        console.log(`  ${chalk.red('✗')} No error found`);
+        continue;
+      }
+      for (const error of sample.errors) {
+        const { rule, localExplanation } = error.analysis;
+        const via = [
+          rule && `detected by ${rule}`,
+          localExplanation && `explained by ${localExplanation.rule}`,
+        ].filter(Boolean).join(', ');
+        const mark = error.matched ? chalk.green('✓') : chalk.gray('·');
+        console.log(`  ${mark} ${this.truncate(this.describeError(error), 60)}  ${chalk.gray(via)}`);
+      }
+      if (!sample.passed) {
+        console.log(chalk.red(`  No rule from ${pack.name} matched.`));
+      }
+    }
+  }
+
+  /**
+   * Print a list of history entries as a table
+   */
+  printHistoryTable(entries) {
+    console.log(this.formatHistoryTable(entries));
+  }
+
+  /**
+   * Format history entries as a table (newest first)
+   *
+   * Example:
+   * ID  When              Language            Error      Message                 Helpful
+   * 12  2024-03-01 14:05  JavaScript/Node.js  TypeError  Cannot read properties  yes
+   */
+  formatHistoryTable(entries) {
+    if (!entries || entries.length === 0) {
+      return chalk.gray('No matching errors in history.');
+    }
+
+    const headers = ['ID', 'When', 'Language', 'Error', 'Message', 'Helpful'];
+    const rows = entries.map(entry => [
+      String(entry.id),
+      this.formatDate(entry.timestamp),
+      entry.language ? this.formatLanguage(entry.language) : '-',
+      entry.errorType || '-',
+      this.truncate(entry.errorMessage || '-', 50),
+      this.formatFeedback(entry.helpful),
+    ]);
+
+    return this.formatTable(headers, rows);
+  }
+
+  /**
+   * Print a saved history entry with its stored explanation
+   *
+   * WHY: Re-reading an old explanation should be instant and work
+   * offline, so nothing is sent to the AI here.
+   */
+  printHistoryEntry(entry) {
+    const header = this.useEmoji ? `📜 History #${entry.id}:` : `[History #${entry.id}]`;
+
+    let content = '';
+    content += chalk.gray(`When:     ${this.formatDate(entry.timestamp)}`) + '\n';
+    if (entry.command) {
+      content += chalk.gray(`Command:  ${entry.command}`) + '\n';
+    }
+    if (entry.language) {
+      content += chalk.gray(`Language: ${this.formatLanguage(entry.language)}`) + '\n';
+    }
+    if (entry.filePath) {
+      const location = entry.lineNumber ? `${entry.filePath}:${entry.lineNumber}` : entry.filePath;
+      content += chalk.gray(`File:     ${location}`) + '\n';
+    }
+    const outcome = entry.fixOutcome ? ` (re-run: ${FIX_OUTCOME_LABELS[entry.fixOutcome] || entry.fixOutcome})` : '';
+    content += chalk.gray(`Helpful:  ${this.formatFeedback(entry.helpful)}${outcome}`) + '\n\n';
+
+    // The error itself
+    const error = [entry.errorType, entry.errorMessage].filter(Boolean).join(': ');
+    if (error) {
+      content += chalk.red.bold(this.useEmoji ? '❌ Error:' : '[Error]') + '\n';
+      content += this.wrapText(error) + '\n\n';
+    }
+
+    const sections = this.formatExplanationSections({
+      what: entry.explanationWhat,
+      why: entry.explanationWhy,
+      fix: entry.explanationFix,
+      example: entry.explanationExample,
+      patch: entry.patch,
+    });
+    content += sections || chalk.gray.italic('(No explanation was saved for this error)');
+
+    const box = boxen(content.trim(), {
+      title: header,
+      titleAlignment: 'left',
+      padding: 1,
+      margin: { top: 0, bottom: 1, left: 0, right: 0 },
+      borderStyle: this.boxStyle,
+      borderColor: 'blue',
+    });
+
+    console.log(box);
+  }
+
+  /**
+   * Print history statistics from HistoryService.getStats()
+   */
+  printHistoryStats(stats) {
+    console.log(chalk.cyan(this.useEmoji ? '\n📊 Error History Stats:\n' : '\n[History Stats]\n'));
+    console.log(`  Total errors: ${chalk.yellow(stats.total)}`);
+
+    if (stats.byLanguage.length > 0) {
+      console.log(chalk.bold('\n  By language:'));
+      for (const { language, count } of stats.byLanguage) {
+        console.log(`    ${this.formatLanguage(language).padEnd(20)} ${count}`);
+      }
+    }
+
+    if (stats.topErrors.length > 0) {
+      console.log(chalk.bold('\n  Most common errors:'));
+      for (const { errorType, count } of stats.topErrors) {
+        console.log(`    ${errorType.padEnd(30)} ${count}`);
+      }
+    }
+
+    const { helpful, notHelpful, noFeedback } = stats.feedback;
+    console.log(chalk.bold('\n  Feedback:'));
+    console.log(`    Helpful: ${chalk.green(helpful)}  Not helpful: ${chalk.red(notHelpful)}  None: ${chalk.gray(noFeedback)}`);
+    console.log('');
+  }
+
+  /**
+   * Print the list of errors found in one run (ErrorListener.splitErrors)
+   */
+  printErrorSummary(errors, shownCount) {
+    const icon = this.useEmoji ? '🧩 ' : '';
+    console.log(chalk.cyan.bold(`${icon}Found ${errors.length} errors:`));
+
+    errors.forEach((error, i) => {
+      const { file, line } = error.analysis;
+      const location = file ? chalk.gray(`  ${file}${line ? `:${line}` : ''}`) : '';
+      const repeated = error.count > 1 ? chalk.gray(`  (${error.count}×)`) : '';
+      console.log(`   ${i + 1}. ${this.truncate(this.describeError(error), 60)}${location}${repeated}`);
+    });
+
+    if (shownCount < errors.length) {
+      console.log(chalk.gray(`   Explaining the first ${shownCount} (set maxErrors to change this).`));
+    }
+  }
+
+  /**
+   * Print the heading above one of several explained errors
+   */
+  printErrorHeading(number, total, analysis) {
+    const name = analysis.errorType || 'Error';
+    console.log(chalk.cyan.bold(`\n── Error ${number} of ${total}: ${name} ──`));
+  }
+
+  /**
+   * One-line description of an error record: "Type: message", else its first line
+   */
+  describeError(error) {
+    const { errorType, errorMessage } = error.analysis;
+    if (errorType && errorMessage && errorType !== errorMessage) {
+      return `${errorType}: ${errorMessage}`;
+    }
+    return errorMessage || errorType || error.text.split('\n')[0];
+  }
+
+  /**
+   * Print the "seen this before" banner from HistoryService.recall()
+   */
+  printSeenBefore(recall) {
+    const icon = this.useEmoji ? '🔁 ' : '';
+    const times = recall.count === 1 ? 'once' : `${recall.count} times`;
+
+    console.log(chalk.yellow.bold(`${icon}You've hit this error ${times} before, last on ${this.formatDate(recall.lastSeen)}.`));
+    const reason = recall.entry.fixOutcome ? 'that fixed it last time' : 'you marked helpful';
+    console.log(chalk.gray(`   Showing the explanation ${reason} (history #${recall.entry.id}).\n`));
+  }
+
+  /**
+   * Print what a --until-fixed re-run found (see fix-watcher.js)
+   */
+  printFixOutcome(outcome, exitCode) {
+    if (outcome === 'fixed') {
+      console.log(chalk.green.bold(`\n${this.useEmoji ? '✅ ' : ''}Fixed! The error is gone.`));
+      if (exitCode) {
+        console.log(chalk.gray(`   (the command still exited with code ${exitCode})`));
+      }
+    } else if (outcome === 'changed') {
+      console.log(chalk.yellow.bold(`\n${this.useEmoji ? '🔀 ' : ''}That error is gone, but there is a new one:`));
+    } else {
+      console.log(chalk.red.bold(`\n${this.useEmoji ? '🔁 ' : ''}Same error as before - not fixed yet.`));
+    }
+  }
+
   /**
    * Print generic help when no pattern matches
    */
@@ -138,7 +569,7 @@ export class Formatter {
     let content = '';
     
     if (analysis.language && analysis.language !== 'unknown') {
-      content += chalk.gray(`Language: ${this.formatLanguage(analysis.language)}`) + '\n';
+      content += chalk.gray(`Language: ${this.formatLanguageGuess(analysis)}`) + '\n';
     }
     
     if (analysis.errorType) {
@@ -153,6 +584,16 @@ export class Formatter {
       content += chalk.gray(`Line: ${analysis.line}`) + '\n';
     }
 
+    if (analysis.generated) {
+      content += chalk.gray(`Compiled: ${this.formatLocation(analysis.generated)}`) + '\n';
+    }
+
+    const stack = this.formatStack(analysis.frames);
+    if (stack) {
+      content += '\n' + chalk.blue.bold(this.useEmoji ? '📍 Stack (your code):' : '[Stack]') + '\n';
+      content += stack + '\n';
+    }
+
     content += '\n';
     content += chalk.cyan('Start Ollama for detailed AI explanations:') + '\n';
     content += chalk.white('  1. Install Ollama: https://ollama.ai') + '\n';
@@ -171,6 +612,57 @@ export class Formatter {
     console.log(box);
   }
 
+  /**
+   * Build the "Where" section from the analysis stack frames
+   *
+   * Compiler errors (javac, tsc, dotnet build) have no stack, only the
+   * file and line they were parsed from, so those are shown instead.
+   */
+  formatWhereSection(analysis) {
+    const stack = this.formatStack(analysis?.frames);
+    const where = stack || (analysis?.file && !analysis.frames?.length ? `at ${this.formatLocation(analysis)}` : '');
+    if (!where) return '';
+
+    return chalk.blue.bold(this.useEmoji ? '📍 Where:' : '[Where]') + '\n' + where + '\n\n';
+  }
+
+  /**
+   * Format the user-code part of a stack trace
+   *
+   * WHY: Raw stack traces are mostly runtime and library frames.
+   * Showing only the developer's own frames points straight at the code to fix.
+   */
+  formatStack(frames, maxFrames = 5) {
+    if (!frames || frames.length === 0) return '';
+
+    const userFrames = frames.filter(frame => frame.isUserCode && frame.file);
+    if (userFrames.length === 0) return '';
+
+    const shown = userFrames.slice(0, maxFrames);
+    const lines = shown.map(frame => {
+      const location = this.formatLocation(frame);
+      const line = frame.function ? `at ${frame.function} (${location})` : `at ${location}`;
+      // Source-mapped: the compiled location is what the raw trace showed
+      return frame.generated ? line + chalk.gray(` ← ${this.formatLocation(frame.generated)}`) : line;
+    });
+
+    const hidden = frames.length - shown.length;
+    if (hidden > 0) {
+      lines.push(chalk.gray(`... ${hidden} more frame${hidden === 1 ? '' : 's'} hidden (libraries/runtime)`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * "file:line:column" (missing parts left out)
+   */
+  formatLocation({ file, line, column }) {
+    return [file, line, column]
+      .filter(part => part !== null && part !== undefined)
+      .join(':');
+  }
+
   /**
    * Format language name nicely
    */
@@ -185,11 +677,82 @@ export class Formatter {
     return names[lang] || lang;
   }
 
+  /**
+   * Format the detected language with how sure the classifier is:
+   * "Java", "probably Java (82%)" or "possibly Java (40%)"
+   *
+   * Analyses without a confidence (reports, old history entries) show
+   * just the name.
+   */
+  formatLanguageGuess(analysis) {
+    const name = this.formatLanguage(analysis.language);
+    const confidence = analysis.confidence;
+    if (typeof confidence !== 'number' || confidence >= 0.9) return name;
+
+    const percent = `${Math.round(confidence * 100)}%`;
+    return confidence >= 0.5 ? `probably ${name} (${percent})` : `possibly ${name} (${percent})`;
+  }
+
+  /**
+   * Format an ISO timestamp as local "YYYY-MM-DD HH:MM"
+   */
+  formatDate(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return '-';
+
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Format helpful feedback (true / false / null)
+   */
+  formatFeedback(helpful) {
+    if (helpful === true) return 'yes';
+    if (helpful === false) return 'no';
+    return '-';
+  }
+
+  /**
+   * Format rows of text cells as a table under a bold header row
+   *
+   * Each column is as wide as its longest cell, two spaces apart.
+   */
+  formatTable(headers, rows) {
+    const widths = headers.map((header, i) =>
+      Math.max(header.length, ...rows.map(row => row[i].length))
+    );
+    const formatRow = row => row
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd();
+
+    return [
+      chalk.bold(formatRow(headers)),
+      ...rows.map(formatRow),
+    ].join('\n');
+  }
+
+  /**
+   * Shorten text to a single line of at most `maxLength` characters
+   */
+  truncate(text, maxLength) {
+    const line = text.split('\n')[0];
+    if (line.length <= maxLength) return line;
+    return line.substring(0, maxLength - 3) + '...';
+  }
+
   /**
    * Wrap text to terminal width
    */
   wrapText(text, maxWidth = 70) {
     if (!text) return '';
+
+    // Keep the model's own line breaks (e.g. numbered fix steps)
+    if (text.includes('\n')) {
+      return text.split('\n').map(line => this.wrapText(line, maxWidth)).join('\n');
+    }
     
     const words = text.split(' ');
     const lines = [];
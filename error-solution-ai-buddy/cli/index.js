@@ -11,27 +11,43 @@
  *          errbuddy npm start
  *          errbuddy java MyApp
  *          errbuddy dotnet run
+ *
+ * Errors from logs: errbuddy explain build.log
+ *                   kubectl logs pod | errbuddy explain
  */
 
 import { Command } from 'commander';
-import { spawn } from 'child_process';
-import { ErrorListener } from './error-listener.js';
+import { parse as parseYaml } from 'yaml';
+import { readFileSync } from 'fs';
+import { relative } from 'path';
 import { Formatter } from './formatter.js';
-import { AIService } from '../backend/src/ai/ollama-service.js';
+import { StreamRenderer } from './stream-renderer.js';
+import { FixWatcher, filesToWatch, fixOutcome } from './fix-watcher.js';
+import { readErrorInput, focusOnError, cleanLogText, InputError } from './log-input.js';
+import { streamsFor } from './output-streams.js';
+import { runChild, loadPty, PtyError } from './child-runner.js';
+import { reportText, supportsNodeHook } from './error-report.js';
+import {
+  ErrorListener,
+  SourceContextReader,
+  AIService,
+  buildAIInput,
+  applyPatch,
+  checkPatch,
+  isPatchApplied,
+  writePatchedFile,
+  PatchError,
+  RulePackError,
+  RulePackLoader,
+  runExamples,
+} from '../core/index.js';
 import { HistoryService } from '../backend/src/services/history-service.js';
+import { ConfigService, ConfigError } from '../backend/src/services/config-service.js';
+import { AuditLog } from '../backend/src/services/audit-log.js';
 import chalk from 'chalk';
 
 const program = new Command();
 
-// Configuration
-const CONFIG = {
-  aiEnabled: true,
-  ollamaModel: 'qwen2.5:0.5b',  // Small model that works on low-RAM systems
-  ollamaUrl: 'http://localhost:11434',
-  showSpinner: true,
-  maxErrorLength: 2000,  // Truncate very long errors
-};
-
 program
   .name('errbuddy')
   .description('AI-powered error explanations directly in your terminal')
@@ -39,12 +55,47 @@ program
   .argument('<command>', 'Command to run (node, npm, java, dotnet, etc.)')
   .argument('[args...]', 'Arguments to pass to the command')
   .option('--no-ai', 'Disable AI explanations (show errors only)')
-  .option('--model <model>', 'Ollama model to use', 'qwen2.5:0.5b')
+  .option('--provider <name>', 'AI server type: ollama or openai (overrides config)')
+  .option('--model <model>', 'AI model to use (overrides config)')
   .option('--offline', 'Force offline mode (pattern matching only)')
+  .option('--dry-run', 'Show what would be sent to the AI without sending it')
+  .option('--fresh', 'Ask the AI again even if a helpful explanation was saved before')
+  .option('--until-fixed', 'After an error, re-run the command each time you save a fix, until the error is gone')
+  .option('--pty', 'Run the command in a pseudo-terminal (progress bars, prompts, colors; needs node-pty)')
+  .option('--node-hook', 'Load error-solution-ai-buddy/register into Node.js processes to report the real Error objects')
   .action(async (command, args, options) => {
     await runCommand(command, args, options);
   });
 
+// Explain an error from a log instead of a command
+program
+  .command('explain [input]')
+  .description('Explain an error from a log file, pasted text or stdin (e.g. kubectl logs pod | errbuddy explain)')
+  .configureHelp({ showGlobalOptions: true })  // --offline, --model, --dry-run, ... apply here too
+  .action(async (input, _options, command) => {
+    let text, label;
+    try {
+      ({ text, label } = await readErrorInput(input));
+    } catch (err) {
+      if (!(err instanceof InputError)) throw err;
+      exitWithError(err.message);
+    }
+
+    // Split after cutting the log down, so the first error doesn't
+    // start with unrelated lines from far above it
+    const errorListener = createErrorListener();
+    const errors = errorListener.splitErrors(focusOnError(text, errorListener.analyzeError(text)));
+    if (errors.length === 0) {
+      console.log(chalk.yellow(`No error found in ${label === 'text' ? 'the text' : label}.`));
+      process.exitCode = 1;
+      return;
+    }
+
+    const context = await prepareExplain(command.optsWithGlobals());
+    const commandLine = label === 'stdin' || label === 'text' ? null : `errbuddy explain ${label}`;
+    await explainErrors(errors, { ...context, commandLine });
+  });
+
 // Help command with examples
 program
   .command('examples')
@@ -61,46 +112,506 @@ program
     console.log('  ' + chalk.gray('→ Run .NET project with error explanations\n'));
     console.log('  ' + chalk.green('errbuddy --no-ai node app.js'));
     console.log('  ' + chalk.gray('→ Run without AI (pattern matching only)\n'));
+    console.log('  ' + chalk.green('kubectl logs my-pod | errbuddy explain'));
+    console.log('  ' + chalk.gray('→ Explain an error from a log (or: errbuddy explain build.log)\n'));
+    console.log('  ' + chalk.green('errbuddy history show 12'));
+    console.log('  ' + chalk.gray('→ Show a past error and its saved explanation\n'));
+    console.log('  ' + chalk.green('errbuddy apply 12'));
+    console.log('  ' + chalk.gray('→ Apply the patch suggested for error #12 (asks first)\n'));
+    console.log('  ' + chalk.green('errbuddy rules test .errbuddy/rules/acme.yaml app.log'));
+    console.log('  ' + chalk.gray('→ Check your own rule pack against a sample log\n'));
   });
 
 // Config command
-program
+const configCommand = program
   .command('config')
-  .description('Show current configuration')
-  .action(() => {
+  .description('Show current configuration and where each value comes from')
+  .configureHelp({ showGlobalOptions: true })  // --model, --provider, ... show up as "command line"
+  .action((_options, command) => {
+    const config = loadConfig(command.optsWithGlobals());
+    const sourceLabels = {
+      default: 'default',
+      global: 'global config',
+      project: 'project config',
+      env: 'environment',
+      flag: 'command line',
+    };
+
     console.log(chalk.cyan('\n⚙️  Current Configuration:\n'));
-    console.log(`  AI Enabled:    ${CONFIG.aiEnabled ? chalk.green('Yes') : chalk.red('No')}`);
-    console.log(`  Ollama Model:  ${chalk.yellow(CONFIG.ollamaModel)}`);
-    console.log(`  Ollama URL:    ${chalk.gray(CONFIG.ollamaUrl)}`);
+    const settings = config.describe();
+    const width = Math.max(...settings.map(({ key }) => key.length));
+    for (const { key, value, source, path } of settings) {
+      const label = sourceLabels[source] + (path ? ` (${path})` : '');
+      console.log(`  ${key.padEnd(width)} ${chalk.yellow(JSON.stringify(value).padEnd(26))} ${chalk.gray(label)}`);
+    }
+    console.log('');
+    console.log(chalk.gray(`  Global file:  ${config.globalPath}`));
+    console.log(chalk.gray(`  Project file: ${config.projectPath || '(none found)'}`));
     console.log('');
   });
 
+configCommand
+  .command('get <key>')
+  .description('Print the effective value of a setting')
+  .action((key, _options, command) => {
+    const config = loadConfig(command.optsWithGlobals());
+    runConfigAction(() => console.log(JSON.stringify(config.get(key))));
+  });
+
+configCommand
+  .command('set <key> <value>')
+  .description('Save a setting to the global config (or project with --project)')
+  .option('--project', 'Write to the nearest .errbuddyrc instead')
+  .action((key, value, options) => {
+    const config = new ConfigService();
+    const scope = options.project ? 'project' : 'global';
+    runConfigAction(() => {
+      const stored = config.set(key, value, scope);
+      console.log(chalk.green(`✅ ${key} = ${JSON.stringify(stored)}`) + chalk.gray(` (${config.pathForScope(scope)})`));
+    });
+  });
+
+configCommand
+  .command('unset <key>')
+  .description('Remove a setting from the global config (or project with --project)')
+  .option('--project', 'Remove from the nearest .errbuddyrc instead')
+  .action((key, options) => {
+    const config = new ConfigService();
+    const scope = options.project ? 'project' : 'global';
+    runConfigAction(() => {
+      if (config.unset(key, scope)) {
+        console.log(chalk.green(`✅ Removed ${key}`) + chalk.gray(` (${config.pathForScope(scope)})`));
+      } else {
+        console.log(chalk.gray(`${key} is not set in ${config.pathForScope(scope)}`));
+      }
+    });
+  });
+
+// History commands
+const historyCommand = program
+  .command('history')
+  .description('Browse past errors and their explanations');
+
+// `errbuddy history` on its own lists recent errors
+historyCommand
+  .command('list', { isDefault: true })
+  .description('List recent errors (newest first)')
+  .option('-n, --limit <number>', 'Number of entries to show', '10')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((options) => {
+    const entries = openHistory(loadConfig()).getRecent(parseLimit(options.limit));
+    if (options.json) {
+      printJson(entries);
+    } else {
+      new Formatter().printHistoryTable(entries);
+    }
+  });
+
+historyCommand
+  .command('search <query>')
+  .description('Find past errors by type or message')
+  .option('-n, --limit <number>', 'Maximum number of results', '20')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((query, options) => {
+    const entries = openHistory(loadConfig()).search(query, parseLimit(options.limit));
+    if (options.json) {
+      printJson(entries);
+    } else {
+      new Formatter().printHistoryTable(entries);
+    }
+  });
+
+historyCommand
+  .command('show <id>')
+  .description('Show a past error with its saved explanation (no AI call)')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((id, options) => {
+    const entry = openHistory(loadConfig()).getById(parseEntryId(id));
+    if (!entry) {
+      exitWithError(`No history entry with ID ${id}. Run "errbuddy history" to see IDs.`);
+    }
+
+    if (options.json) {
+      printJson(entry);
+    } else {
+      new Formatter().printHistoryEntry(entry);
+      if (entry.patch) {
+        console.log(chalk.gray(`   Apply the suggested patch with "errbuddy apply ${entry.id}".\n`));
+      }
+    }
+  });
+
+historyCommand
+  .command('stats')
+  .description('Show which errors you hit most often')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((options) => {
+    const stats = openHistory(loadConfig()).getStats();
+    if (options.json) {
+      printJson(stats);
+    } else {
+      new Formatter().printHistoryStats(stats);
+    }
+  });
+
+historyCommand
+  .command('clear')
+  .description('Delete all saved history')
+  .option('-y, --yes', 'Don\'t ask for confirmation')
+  .option('--json', 'Output JSON (for scripts)')
+  .action(async (options) => {
+    if (!options.yes && !(await confirm('Delete all error history?'))) {
+      console.log(chalk.gray('Cancelled.'));
+      return;
+    }
+
+    const removed = openHistory(loadConfig()).clearHistory();
+    if (options.json) {
+      printJson({ removed });
+    } else {
+      console.log(chalk.green(`✅ Removed ${removed} entr${removed === 1 ? 'y' : 'ies'} from history`));
+    }
+  });
+
+historyCommand
+  .command('feedback <id>')
+  .description('Record whether an explanation was helpful')
+  .option('--helpful', 'The explanation helped')
+  .option('--not-helpful', 'The explanation did not help')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((id, options) => {
+    if (Boolean(options.helpful) === Boolean(options.notHelpful)) {
+      exitWithError('Pass either --helpful or --not-helpful.');
+    }
+
+    const helpful = Boolean(options.helpful);
+    const entryId = parseEntryId(id);
+    if (!openHistory(loadConfig()).markHelpful(entryId, helpful)) {
+      exitWithError(`No history entry with ID ${id}. Run "errbuddy history" to see IDs.`);
+    }
+
+    if (options.json) {
+      printJson({ id: entryId, helpful });
+    } else {
+      console.log(chalk.green(`✅ Marked #${entryId} as ${helpful ? 'helpful' : 'not helpful'}. Thanks!`));
+    }
+  });
+
+// Audit log commands
+const auditCommand = program
+  .command('audit')
+  .description('Browse the log of requests sent to the AI (auditLog setting)');
+
+// `errbuddy audit` on its own lists recent requests
+auditCommand
+  .command('list', { isDefault: true })
+  .description('List recent requests (newest first)')
+  .option('-n, --limit <number>', 'Number of entries to show', '10')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((options) => {
+    const config = loadConfig();
+    const entries = new AuditLog().getRecent(parseLimit(options.limit));
+    if (options.json) {
+      printJson(entries);
+      return;
+    }
+
+    new Formatter().printAuditTable(entries);
+    if (!config.get('auditLog')) {
+      console.log(chalk.gray('\nThe audit log is off. Turn it on with "errbuddy config set auditLog true".'));
+    }
+  });
+
+auditCommand
+  .command('show <id>')
+  .description('Show exactly what a request sent: URL, model, prompts and options')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((id, options) => {
+    const entry = new AuditLog().getById(parseEntryId(id));
+    if (!entry) {
+      exitWithError(`No audit log entry with ID ${id}. Run "errbuddy audit" to see IDs.`);
+    }
+
+    if (options.json) {
+      printJson(entry);
+    } else {
+      new Formatter().printRequest(entry, `Request #${entry.id}`);
+    }
+  });
+
+auditCommand
+  .command('clear')
+  .description('Delete the audit log')
+  .option('-y, --yes', 'Don\'t ask for confirmation')
+  .option('--json', 'Output JSON (for scripts)')
+  .action(async (options) => {
+    if (!options.yes && !(await confirm('Delete the audit log?'))) {
+      console.log(chalk.gray('Cancelled.'));
+      return;
+    }
+
+    const removed = new AuditLog().clear();
+    if (options.json) {
+      printJson({ removed });
+    } else {
+      console.log(chalk.green(`✅ Removed ${removed} entr${removed === 1 ? 'y' : 'ies'} from the audit log`));
+    }
+  });
+
+// Rule pack commands
+const rulesCommand = program
+  .command('rules')
+  .description('List and test rule packs (error patterns and offline explanations)');
+
+// `errbuddy rules` on its own lists the rules
+rulesCommand
+  .command('list', { isDefault: true })
+  .description('List every rule, in the order they are tried')
+  .option('--json', 'Output JSON (for scripts)')
+  .action((options) => {
+    const rules = createErrorListener().ruleSet.rules;
+    if (options.json) {
+      printJson(rules.map(({ id, pack, source, file, language, priority, captures, explanation }) => (
+        { id, pack, source, file, language, priority, detects: Boolean(captures), explains: Boolean(explanation) }
+      )));
+      return;
+    }
+
+    new Formatter().printRulesTable(rules);
+  });
+
+rulesCommand
+  .command('test <file> [logs...]')
+  .description('Check a rule pack: validate it, run its examples and try it on sample logs')
+  .action((file, logs) => {
+    testRulePack(file, logs);
+  });
+
+// Apply a suggested patch
+program
+  .command('apply <id>')
+  .description('Apply the patch suggested for a past error (asks first, keeps a backup)')
+  .option('-y, --yes', 'Don\'t ask for confirmation')
+  .action(async (id, options) => {
+    const entryId = parseEntryId(id);
+    const entry = openHistory(loadConfig()).getById(entryId);
+    if (!entry) {
+      exitWithError(`No history entry with ID ${id}. Run "errbuddy history" to see IDs.`);
+    }
+    if (!entry.patch || !entry.patchFile) {
+      exitWithError(`History entry #${entryId} has no suggested patch.`);
+    }
+
+    let content;
+    try {
+      content = readFileSync(entry.patchFile, 'utf-8');
+    } catch {
+      exitWithError(`Can't read ${entry.patchFile}.`);
+    }
+
+    // The file may have changed since the patch was suggested
+    let patched;
+    try {
+      patched = applyPatch(content, entry.patch).content;
+    } catch (err) {
+      if (!(err instanceof PatchError)) throw err;
+      if (isPatchApplied(content, entry.patch)) {
+        console.log(chalk.gray(`This patch is already applied to ${entry.patchFile}.`));
+        return;
+      }
+      exitWithError(`The patch no longer applies to ${entry.patchFile} (${err.message}). Was the file changed?`);
+    }
+
+    new Formatter().printPatch(entry.patch, entry.patchFile);
+    if (!options.yes && !(await confirm(`Apply this patch to ${entry.patchFile}?`))) {
+      console.log(chalk.gray('Cancelled. Nothing was changed.'));
+      return;
+    }
+
+    const backupPath = writePatchedFile(entry.patchFile, patched, entryId);
+    console.log(chalk.green(`✅ Patched ${entry.patchFile}`));
+    console.log(chalk.gray(`   Original saved as ${backupPath}`));
+  });
+
 /**
- * Sanitize error text before sending to AI
- * 
- * WHY: Privacy protection - we don't want to leak:
- * - File paths (might contain project names, usernames)
- * - Environment variables
- * - API keys that might appear in errors
- */
-function sanitizeError(errorText) {
-  let sanitized = errorText;
-  
-  // Remove Windows-style absolute paths (C:\Users\...)
-  sanitized = sanitized.replace(/[A-Za-z]:\\(?:[^\\/:*?"<>|\r\n]+\\)*/g, '[path]\\');
-  
-  // Remove Unix-style absolute paths (/home/user/...)
-  sanitized = sanitized.replace(/\/(?:home|Users|var|usr|opt)\/[^\s:]+/g, '[path]');
-  
-  // Remove common secret patterns
-  sanitized = sanitized.replace(/(?:api[_-]?key|secret|password|token)\s*[:=]\s*['"]?[^'"\s]+['"]?/gi, '[REDACTED]');
-  
-  // Truncate if too long
-  if (sanitized.length > CONFIG.maxErrorLength) {
-    sanitized = sanitized.substring(0, CONFIG.maxErrorLength) + '\n... (truncated)';
-  }
-  
-  return sanitized;
+ * Open the error history with the configured retention
+ */
+function openHistory(config) {
+  return new HistoryService({ retentionDays: config.get('historyRetentionDays') });
+}
+
+/**
+ * Parse a history (or audit log) entry ID argument
+ */
+function parseEntryId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    exitWithError(`Invalid ID "${value}". IDs are positive whole numbers.`);
+  }
+  return id;
+}
+
+/**
+ * Parse a --limit option
+ */
+function parseLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    exitWithError(`Invalid limit "${value}". Use a positive whole number.`);
+  }
+  return limit;
+}
+
+/**
+ * Ask a yes/no question (defaults to "no" when stdin isn't interactive)
+ */
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    console.error(chalk.yellow(`${question} Re-run with --yes to confirm.`));
+    return false;
+  }
+
+  const { createInterface } = await import('readline/promises');
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(`${question} (y/N) `);
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+/**
+ * Print machine-readable output
+ */
+function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Print an error message and exit
+ */
+function exitWithError(message) {
+  console.error(chalk.red(`❌ ${message}`));
+  process.exit(1);
+}
+
+/**
+ * Load the layered configuration, applying CLI flags last
+ *
+ * Exits with a readable message if a config file or value is invalid.
+ */
+function loadConfig(options = {}) {
+  const config = new ConfigService();
+  runConfigAction(() => config.load({
+    provider: options.provider,
+    model: options.model,
+    aiEnabled: options.ai === false ? false : undefined,
+    nodeHook: options.nodeHook,
+  }));
+  return config;
+}
+
+/**
+ * An ErrorListener with the project and user rule packs loaded
+ *
+ * Exits with a readable message if a pack is invalid.
+ */
+function createErrorListener() {
+  try {
+    return new ErrorListener({ rulePacks: new RulePackLoader({ parseYaml }).load() });
+  } catch (err) {
+    if (!(err instanceof RulePackError)) throw err;
+    exitWithError(`${err.message}\n   Check it with "errbuddy rules test <file>".`);
+  }
+}
+
+/**
+ * `errbuddy rules test`: validate a pack, run its examples, and show
+ * what it makes of each sample log
+ *
+ * The pack is tested with only the built-in packs next to it, so the
+ * result doesn't depend on the packs installed. A sample log passes
+ * when a rule of the pack detects or explains an error in it. Exits
+ * with 1 if anything failed.
+ */
+function testRulePack(file, logs) {
+  let pack, errorListener;
+  try {
+    pack = new RulePackLoader({ parseYaml }).readPack(file);
+    errorListener = new ErrorListener({ rulePacks: [pack] });
+  } catch (err) {
+    if (!(err instanceof RulePackError)) throw err;
+    exitWithError(err.message);
+  }
+
+  const fromPack = rule => rule?.startsWith(`${pack.name}/`);
+  const examples = runExamples(pack, errorListener);
+  const samples = logs.map((log) => {
+    let text;
+    try {
+      text = cleanLogText(readFileSync(log, 'utf-8'));
+    } catch (err) {
+      exitWithError(`Cannot read ${log}: ${err.message}`);
+    }
+    const errors = errorListener.splitErrors(text).map(error => ({
+      ...error,
+      matched: fromPack(error.analysis.rule) || fromPack(error.analysis.localExplanation?.rule),
+    }));
+    return { label: log, errors, passed: errors.some(error => error.matched) };
+  });
+
+  new Formatter().printRuleTest(pack, examples, samples);
+  if (examples.some(example => example.failures.length > 0) || samples.some(sample => !sample.passed)) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run a config operation, turning ConfigError into a friendly exit
+ */
+function runConfigAction(fn) {
+  try {
+    fn();
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(chalk.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Create the AI service for the configured provider
+ *
+ * The API key comes only from the ERRBUDDY_API_KEY environment variable,
+ * never from config files (which may be committed to a repo).
+ */
+function createAIService(config) {
+  const provider = config.get('provider');
+  const baseUrl = config.get('baseUrl') || (provider === 'ollama' ? config.get('ollamaUrl') : null);
+
+  return new AIService(baseUrl, config.get('model'), {
+    provider,
+    apiKey: process.env.ERRBUDDY_API_KEY || null,
+    auditLog: config.get('auditLog') ? new AuditLog() : null,
+  });
+}
+
+/**
+ * Prepare everything the AI receives for one error (redacted, within
+ * the maxErrorLength budget; see core/ai/ai-input.js)
+ *
+ * Returns { sanitizedError, sourceContext, redactions } - redactions
+ * counts the values replaced per rule (for the preview and audit log).
+ */
+function aiInputFor(errorText, analysis, config) {
+  const reader = config.get('includeSourceContext')
+    ? new SourceContextReader({ contextLines: config.get('sourceContextLines') })
+    : null;
+
+  const { errorText: sanitizedError, sourceContext, redactions } = buildAIInput(errorText, {
+    maxErrorLength: config.get('maxErrorLength'),
+    redactionRules: config.get('redactionRules'),
+    readSource: reader && (options => reader.read(analysis, options)),
+  });
+  return { sanitizedError, sourceContext, redactions };
 }
 
 /**
@@ -111,115 +622,347 @@ function sanitizeError(errorText) {
  * - exec() buffers everything (user waits too long)
  */
 async function runCommand(command, args, options) {
-  const formatter = new Formatter();
-  const errorListener = new ErrorListener();
-  const aiService = new AIService(CONFIG.ollamaUrl, options.model || CONFIG.ollamaModel);
-  const history = new HistoryService();
-
-  // Check if Ollama is available (non-blocking)
-  let ollamaAvailable = false;
-  if (!options.offline && options.ai !== false) {
-    ollamaAvailable = await aiService.checkConnection();
-    if (!ollamaAvailable) {
-      console.log(chalk.yellow('⚠️  Ollama not detected. Using pattern matching only.'));
-      console.log(chalk.gray('   Run "ollama serve" to enable AI explanations.\n'));
-    }
-  }
-
-  // Spawn the child process
-  // stdio: ['inherit', 'pipe', 'pipe'] means:
-  // - stdin: inherited (user can type input)
-  // - stdout: piped (we capture and forward it)
-  // - stderr: piped (we capture, analyze, then forward it)
-  const child = spawn(command, args, {
-    stdio: ['inherit', 'pipe', 'pipe'],
-    shell: true,  // Required for Windows compatibility
-    env: { ...process.env, FORCE_COLOR: '1' }  // Preserve colors
-  });
-
-  let stderrBuffer = '';
-  let errorDetected = false;
-
-  // Forward stdout immediately (no delay)
-  child.stdout.on('data', (data) => {
-    process.stdout.write(data);
-  });
-
-  // Capture and analyze stderr
-  child.stderr.on('data', (data) => {
-    const text = data.toString();
-    
-    // Always show the original error first
-    process.stderr.write(data);
-    
-    // Buffer stderr for analysis
-    stderrBuffer += text;
-    
-    // Check if this looks like an error
-    if (errorListener.detectError(text)) {
-      errorDetected = true;
-    }
-  });
-
-  // When process ends, analyze collected errors
-  child.on('close', async (exitCode) => {
-    if (errorDetected && stderrBuffer.trim()) {
-      // Analyze the error
-      const analysis = errorListener.analyzeError(stderrBuffer);
-      
-      if (analysis.isError) {
-        console.log(''); // Blank line for readability
-        
-        // Try AI explanation if available
-        if (ollamaAvailable && options.ai !== false) {
-          const explanation = await explainWithAI(stderrBuffer, analysis, aiService, formatter);
-          try { history.saveError({ ...analysis, fullText: stderrBuffer }, explanation, `${command} ${args.join(' ')}`); } catch {}
-        } else {
-          // Fall back to pattern-based explanation
-          formatter.printPatternExplanation(analysis);
-          try { history.saveError({ ...analysis, fullText: stderrBuffer }, analysis.localExplanation, `${command} ${args.join(' ')}`); } catch {}
-        }
-      }
+  const context = { command, args, commandLine: `${command} ${args.join(' ')}`, ...(await prepareExplain(options)) };
+  context.streams = streamsFor(command, args, context.config.get('streams'));
+  context.nodeHook = context.config.get('nodeHook');
+  if (context.nodeHook && !supportsNodeHook()) {
+    console.error(chalk.yellow(`⚠️  The Node.js hook needs Node.js 18.19+ or 20.6+ (this is ${process.version}). Running without it.`));
+    context.nodeHook = false;
+  }
+  const { errorListener } = context;
+
+  if (options.pty) {
+    try {
+      context.pty = await loadPty();
+    } catch (err) {
+      if (!(err instanceof PtyError)) throw err;
+      exitWithError(err.message);
     }
-    
-    // Exit with the same code as the child process
-    process.exit(exitCode);
-  });
+  }
 
-  // Handle spawn errors (command not found, etc.)
-  child.on('error', (err) => {
+  let run;
+  try {
+    run = await runChild(command, args, context);
+  } catch (err) {
+    // Spawn errors (command not found, etc.)
     console.error(chalk.red(`\n❌ Failed to run command: ${command}`));
     console.error(chalk.gray(`   ${err.message}`));
-    
+
     if (err.code === 'ENOENT') {
       console.error(chalk.yellow(`\n💡 Tip: Make sure "${command}" is installed and in your PATH.`));
     }
-    
+
     process.exit(1);
-  });
+  }
+
+  // Stopped with Ctrl+C or a signal: the user knows why it ended
+  if (run.interrupted) {
+    process.exit(run.exitCode);
+  }
+
+  const reported = await reportError(run, errorListener, context);
+  if (reported && options.untilFixed && !options.dryRun) {
+    run = await rerunUntilFixed(reported, errorListener, context) || run;
+  }
+
+  // Exit with the same code as the child process
+  process.exit(run.exitCode);
+}
+
+/**
+ * Set up everything needed to explain errors (shared by runCommand
+ * and `errbuddy explain`)
+ */
+async function prepareExplain(options) {
+  const config = loadConfig(options);
+  const aiService = createAIService(config);
+  const aiEnabled = config.get('aiEnabled');
+
+  // Check if the AI server is available (non-blocking)
+  let aiAvailable = false;
+  if (!options.offline && !options.dryRun && aiEnabled) {
+    aiAvailable = await aiService.checkConnection();
+    if (!aiAvailable) {
+      console.log(chalk.yellow(`⚠️  ${aiService.providerName} not detected. Using pattern matching only.`));
+      if (config.get('provider') === 'ollama') {
+        console.log(chalk.gray('   Run "ollama serve" to enable AI explanations.\n'));
+      } else {
+        console.log(chalk.gray(`   Start your server at ${aiService.baseUrl} to enable AI explanations.\n`));
+      }
+    }
+  }
+
+  return {
+    options,
+    config,
+    formatter: new Formatter(),
+    errorListener: createErrorListener(),
+    aiService,
+    history: config.get('saveHistory') ? openHistory(config) : null,
+    aiEnabled,
+    aiAvailable,
+  };
+}
+
+/**
+ * Analyze a finished run and explain its error, if it had one
+ *
+ * Returns { analysis, id } for an explained error (id is the history
+ * entry, null if not saved), or null when there was no error.
+ */
+async function reportError(run, errorListener, context) {
+  return explainErrors(findErrors(run, errorListener), context);
+}
+
+/**
+ * The errors of a finished run, as [{ text, analysis, count }]
+ *
+ * Errors reported by error-solution-ai-buddy/register are used when there are any:
+ * they have the real Error objects. Otherwise the output is parsed.
+ */
+function findErrors(run, errorListener) {
+  if (run.reports.length > 0 && (run.errorText || run.exitCode !== 0)) {
+    return run.reports.map((report) => {
+      const text = reportText(report);
+      return { text, analysis: errorListener.analyzeReport(report.error, text), count: 1 };
+    });
+  }
+  return run.errorText ? errorListener.splitErrors(run.errorText) : [];
+}
+
+/**
+ * Explain every error found in the output, up to maxErrors
+ *
+ * With several errors, a summary listing all of them comes first.
+ * Returns what explainAnalyzedError returned for the first error
+ * (null if there is none).
+ */
+async function explainErrors(errors, context) {
+  if (errors.length === 0) {
+    return null;
+  }
+  if (errors.length === 1) {
+    return explainAnalyzedError(errors[0].text, errors[0].analysis, context);
+  }
+
+  const shown = errors.slice(0, context.config.get('maxErrors'));
+  console.log('');
+  context.formatter.printErrorSummary(errors, shown.length);
+
+  let first = null;
+  for (const [i, error] of shown.entries()) {
+    context.formatter.printErrorHeading(i + 1, errors.length, error.analysis);
+    const reported = await explainAnalyzedError(error.text, error.analysis, context);
+    first = first || reported;
+  }
+  return first;
+}
+
+/**
+ * Explain an analyzed error (AI, saved explanation or patterns) and save it
+ *
+ * Returns { analysis, id } - id is the history entry, null if not saved.
+ */
+async function explainAnalyzedError(errorText, analysis, context) {
+  const { commandLine, options, config, formatter, aiService, history, aiEnabled, aiAvailable } = context;
+
+  console.log(''); // Blank line for readability
+
+  // Dry run: show the request, never call the AI
+  if (options.dryRun) {
+    const { sanitizedError, sourceContext, redactions } = aiInputFor(errorText, analysis, config);
+    formatter.printRequestPreview({ ...aiService.previewRequest(sanitizedError, analysis.language, sourceContext), redactions });
+    return { analysis, id: null };
+  }
+
+  const recalled = options.fresh ? null : showRecalledExplanation(analysis, history, formatter);
+
+  if (recalled) {
+    // Seen before and marked helpful: no need to ask the AI again
+    return { analysis, id: saveToHistory(history, analysis, errorText, recalled, commandLine) };
+  }
+
+  if (aiAvailable && aiEnabled) {
+    // Try AI explanation if available
+    const explanation = await explainWithAI(errorText, analysis, aiService, formatter, config);
+    const id = saveToHistory(history, analysis, errorText, explanation, commandLine);
+    if (id && explanation.patch) {
+      console.log(chalk.gray(`   Apply the suggested patch with "errbuddy apply ${id}" (you'll be asked first).`));
+    }
+    if (id && explanation !== analysis.localExplanation && !options.untilFixed) {
+      console.log(chalk.gray(`   Helpful? Run "errbuddy history feedback ${id} --helpful" to reuse it next time.\n`));
+    }
+    return { analysis, id };
+  }
+
+  // Fall back to pattern-based explanation
+  formatter.printPatternExplanation(analysis);
+  return { analysis, id: saveToHistory(history, analysis, errorText, analysis.localExplanation, commandLine) };
+}
+
+/**
+ * --until-fixed: wait for a fix, re-run, and repeat until the error is gone
+ *
+ * Each re-run is recorded on the history entry of the error it was
+ * meant to fix (see HistoryService.recordFixOutcome), so explanations
+ * that led to a fix are reused next time without asking.
+ *
+ * Returns the last run (null if there is nothing to wait for).
+ */
+async function rerunUntilFixed(reported, errorListener, context) {
+  const { command, args, formatter, history } = context;
+  const watcher = new FixWatcher();
+  let run = null;
+
+  for (;;) {
+    const files = filesToWatch(reported.analysis);
+    if (files.length === 0 && !watcher.interactive) {
+      console.log(chalk.gray('   No source files to watch and no terminal to press Enter in - not waiting for a fix.'));
+      return run;
+    }
+
+    const watching = files.length > 0 ? `Watching ${files.map(file => relative(process.cwd(), file)).join(', ')}` : 'Waiting';
+    const enter = watcher.interactive ? ' (or press Enter)' : '';
+    console.log(chalk.cyan(`\n👀 ${watching} - will re-run "${command} ${args.join(' ')}" when you save a fix${enter}. Ctrl+C to stop.\n`));
+    await watcher.waitForChange(files);
+
+    run = await runChild(command, args, context);
+    if (run.interrupted) {
+      return run;
+    }
+    const analysis = findErrors(run, errorListener)[0]?.analysis || null;
+    const outcome = fixOutcome(reported.analysis, analysis);
+
+    recordFixOutcome(history, reported.id, outcome);
+    formatter.printFixOutcome(outcome, run.exitCode);
+
+    if (outcome === 'fixed') {
+      return run;
+    }
+    if (outcome === 'changed') {
+      reported = await reportError(run, errorListener, context) || reported;
+    }
+  }
+}
+
+/**
+ * Save the result of a re-run to history (not critical)
+ */
+function recordFixOutcome(history, id, outcome) {
+  if (!history || !id) {
+    return;
+  }
+  try {
+    history.recordFixOutcome(id, outcome);
+  } catch {
+    // History is not critical
+  }
+}
+
+/**
+ * Show a saved explanation if this error was seen before and marked helpful
+ *
+ * WHY: Repeated errors (a forgotten env var, a stopped database) are
+ * common. Reusing an answer the user already liked is instant and
+ * doesn't need the AI server. Pass --fresh to ask the AI again.
+ *
+ * Returns the explanation shown, or null if there was nothing to reuse.
+ */
+function showRecalledExplanation(analysis, history, formatter) {
+  let recall;
+  try {
+    recall = history?.recall(analysis);
+  } catch {
+    return null;  // History is not critical
+  }
+  if (!recall?.entry) {
+    return null;
+  }
+
+  const explanation = {
+    what: recall.entry.explanationWhat,
+    why: recall.entry.explanationWhy,
+    fix: recall.entry.explanationFix,
+    example: recall.entry.explanationExample,
+  };
+
+  formatter.printSeenBefore(recall);
+  formatter.printAIExplanation(explanation, analysis);
+  console.log(chalk.gray('   Not right this time? Run again with --fresh for a new AI explanation.\n'));
+  return explanation;
+}
+
+/**
+ * Save an error to history, returning its ID (null if not saved)
+ */
+function saveToHistory(history, analysis, errorText, explanation, commandLine) {
+  try {
+    return history?.saveError({ ...analysis, fullText: errorText }, explanation, commandLine) ?? null;
+  } catch {
+    return null;  // History is not critical
+  }
+}
+
+/**
+ * Keep a suggested patch only if it applies cleanly to the real file
+ *
+ * WHY check now: the AI only saw a few (sanitized) lines, so its patch
+ * may not match the file. Showing a patch that can't be applied would
+ * just be confusing.
+ */
+function checkSuggestedPatch(patch, sourceContext) {
+  if (!patch || !sourceContext) {
+    return null;
+  }
+
+  try {
+    const content = readFileSync(sourceContext.path, 'utf-8');
+    return checkPatch(patch, content, sourceContext.file, sourceContext.line);
+  } catch {
+    return null;
+  }
 }
 
 /**
  * Get AI explanation for an error
+ *
+ * The explanation is streamed: the spinner shows until the first token
+ * arrives, then the text is printed live and finally replaced by the
+ * formatted box. If the stream breaks midway, the live text is cleared
+ * and the pattern-based explanation is shown instead.
  */
-async function explainWithAI(errorText, analysis, aiService, formatter) {
+async function explainWithAI(errorText, analysis, aiService, formatter, config) {
   const ora = (await import('ora')).default;
   const spinner = ora({
     text: 'Getting AI explanation...',
-    color: 'cyan'
+    color: 'cyan',
+    isSilent: !config.get('showSpinner'),
   }).start();
+  const renderer = new StreamRenderer({ useEmoji: formatter.useEmoji });
 
   try {
-    // Sanitize the error before sending to AI
-    const sanitizedError = sanitizeError(errorText);
-    
-    const explanation = await aiService.explainError(sanitizedError, analysis.language);
+    // Sanitize the error (and source context) before sending to AI
+    const { sanitizedError, sourceContext, redactions } = aiInputFor(errorText, analysis, config);
+
+    const explanation = await aiService.explainError(sanitizedError, analysis.language, sourceContext, {
+      redactions,
+      onText: (text) => {
+        if (spinner.isSpinning) spinner.stop();
+        renderer.write(text);
+      },
+    });
     spinner.stop();
-    
-    formatter.printAIExplanation(explanation);
+
+    explanation.patch = checkSuggestedPatch(explanation.patch, sourceContext);
+    explanation.patchFile = explanation.patch ? sourceContext.path : null;
+
+    renderer.end();
+    renderer.clear();
+    formatter.printAIExplanation(explanation, analysis);
     return explanation;
   } catch (err) {
     spinner.stop();
+    renderer.clear();
     console.log(chalk.yellow('⚠️  AI explanation failed. Showing pattern-based help:'));
     formatter.printPatternExplanation(analysis);
     return analysis.localExplanation;
@@ -0,0 +1,151 @@
+/**
+ * Log Input - Reads error text for `errbuddy explain`
+ *
+ * Errors don't always come from a command errbuddy can run: a CI log,
+ * `kubectl logs`, a message pasted from chat. `errbuddy explain` reads
+ * the text from one of:
+ * - stdin:     kubectl logs pod | errbuddy explain
+ * - a file:    errbuddy explain build.log
+ * - argument:  errbuddy explain "TypeError: x is not a function"
+ *
+ * Logs are noisier than a child's stderr, so the text is cleaned up
+ * (colors, timestamps) and cut down to the part around the error.
+ */
+
+import { existsSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { resolve } from 'path';
+import { stripAnsi } from '../core/index.js';
+
+// Only the end of a huge log is read (bytes of a file, characters of
+// stdin): builds fail at the end
+const MAX_INPUT_SIZE = 256 * 1024;
+
+// Lines kept above the error line (the command or test that failed)
+const LINES_BEFORE_ERROR = 5;
+
+// "2024-03-01T12:00:00.1234567Z " (GitHub Actions, kubectl --timestamps)
+// and "[2024-03-01 12:00:00] " / "12:00:00.123 " style prefixes
+const TIMESTAMP_PREFIX = /^\[?(?:\d{4}-\d{2}-\d{2}[T ])?\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?\]?\s/;
+
+// CI annotations: "##[error]", "::error::" (kept: the text after them)
+const CI_PREFIX = /^(?:##\[(?:error|warning|group|endgroup)\]|::(?:error|warning)[^:]*::)/;
+
+// One word with a path separator or a file extension ("./build.log",
+// "logs\ci", "app.txt"). Lowercase extensions only: "java.lang.Error"
+// is an error, not a file.
+const LOOKS_LIKE_PATH = /^\S*(?:[/\\]\S*|\.[a-z0-9]{1,5})$/;
+
+export class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
+
+/**
+ * Read the text to explain
+ *
+ * `source` is a file path, the error text itself, '-' or undefined for
+ * stdin. Returns { text, label } where `label` describes the source
+ * ("build.log", "stdin", "text") for messages and history.
+ *
+ * An argument that looks like a path but doesn't exist is an error, not
+ * the text to explain: a typo in a file name shouldn't be sent to the AI.
+ */
+export async function readErrorInput(source, options = {}) {
+  const stdin = options.stdin || process.stdin;
+  const cwd = options.cwd || process.cwd();
+
+  if (source === undefined || source === '-') {
+    if (stdin.isTTY) {
+      throw new InputError('Nothing to explain. Pipe a log in, or pass a file or the error text.');
+    }
+    return { text: cleanLogText(await readStream(stdin)), label: 'stdin' };
+  }
+
+  const path = resolve(cwd, source);
+  if (!source.includes('\n') && existsSync(path) && statSync(path).isFile()) {
+    return { text: cleanLogText(readTail(path)), label: source };
+  }
+  if (LOOKS_LIKE_PATH.test(source) && !existsSync(path)) {
+    throw new InputError(`No such file: ${source}`);
+  }
+
+  return { text: cleanLogText(source), label: 'text' };
+}
+
+/**
+ * Read a stream to the end, keeping only the last MAX_INPUT_SIZE characters
+ */
+async function readStream(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk.toString();
+    if (text.length > MAX_INPUT_SIZE * 2) {
+      text = text.slice(-MAX_INPUT_SIZE);
+    }
+  }
+  return text.slice(-MAX_INPUT_SIZE);
+}
+
+/**
+ * Read the last MAX_INPUT_SIZE bytes of a file
+ */
+function readTail(path) {
+  const size = statSync(path).size;
+  const length = Math.min(size, MAX_INPUT_SIZE);
+  const buffer = Buffer.alloc(length);
+
+  const fd = openSync(path, 'r');
+  try {
+    readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    closeSync(fd);
+  }
+
+  const text = buffer.toString('utf-8');
+  // Don't start in the middle of a line
+  return length < size ? text.slice(text.indexOf('\n') + 1) : text;
+}
+
+/**
+ * Remove what logs add around the real output
+ *
+ * Timestamps are only removed when most lines have one, so a timestamp
+ * that is part of an error message stays.
+ */
+export function cleanLogText(text) {
+  const lines = stripAnsi(text)
+    .split(/\r?\n/)
+    .map(line => line.replace(/^[\s\S]*\r(?=[\s\S])/, ''));  // progress bars: keep the last redraw
+
+  const nonEmpty = lines.filter(line => line.trim());
+  const stamped = nonEmpty.filter(line => TIMESTAMP_PREFIX.test(line)).length;
+  const stripTimestamps = nonEmpty.length > 0 && stamped / nonEmpty.length >= 0.5;
+
+  return lines
+    .map(line => (stripTimestamps ? line.replace(TIMESTAMP_PREFIX, '') : line))
+    .map(line => line.replace(CI_PREFIX, ''))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Cut a log down to the error and what follows it
+ *
+ * Uses the error the listener found (`analysis`), keeping a few lines
+ * above it. Returns the text unchanged if the error can't be located.
+ */
+export function focusOnError(text, analysis) {
+  const needle = /^Traceback \(most recent call last\):/m.test(text)
+    ? 'Traceback (most recent call last):'
+    : analysis?.errorMessage || analysis?.errorType;
+  const at = needle ? text.indexOf(needle) : -1;
+  if (at <= 0) {
+    return text;
+  }
+
+  const lines = text.split('\n');
+  const errorLine = text.slice(0, at).split('\n').length - 1;
+  return lines.slice(Math.max(0, errorLine - LINES_BEFORE_ERROR)).join('\n');
+}
@@ -0,0 +1,86 @@
+/**
+ * Output Streams - Which output of the wrapped command is analyzed
+ *
+ * Runtimes (node, python, java) print crashes to stderr, but many build
+ * and test tools print their failures to stdout: tsc, dotnet build,
+ * Maven, Gradle. So both streams are captured, and the `streams` setting
+ * chooses per command which ones are analyzed:
+ *
+ *   { "tsc": "stdout", "npm test": "both", "node": "stderr" }
+ *
+ * Keys are matched against "command firstArg" first, then "command".
+ * Anything not listed uses both streams.
+ *
+ * WHY output only counts when the command failed:
+ * Normal output is full of log lines like "0 errors" or "error handler
+ * registered", and stderr of a working command carries warnings,
+ * progress and caught errors it logged and recovered from. A command
+ * that exits with 0 didn't fail, so neither stream is explained.
+ */
+
+import { basename } from 'path';
+
+// Only the end of each stream is kept: failures are printed last
+const MAX_CAPTURE_SIZE = 256 * 1024;
+
+/**
+ * A stream buffer that keeps only its last `maxSize` characters
+ */
+export class OutputCapture {
+  constructor(maxSize = MAX_CAPTURE_SIZE) {
+    this.maxSize = maxSize;
+    this.text = '';
+  }
+
+  append(chunk) {
+    this.text += chunk.toString();
+    // Trim in batches, not on every chunk
+    if (this.text.length > this.maxSize * 2) {
+      this.trim();
+    }
+  }
+
+  /**
+   * The captured text (without a partial first line if it was cut)
+   */
+  read() {
+    this.trim();
+    return this.text;
+  }
+
+  trim() {
+    if (this.text.length > this.maxSize) {
+      const tail = this.text.slice(-this.maxSize);
+      this.text = tail.slice(tail.indexOf('\n') + 1);
+    }
+  }
+}
+
+/**
+ * The streams to analyze for a command, as a list ('stderr', 'stdout')
+ */
+export function streamsFor(command, args, setting = {}) {
+  const name = basename(command).replace(/\.(?:exe|cmd|bat)$/i, '');
+  const candidates = args.length > 0 ? [`${name} ${args[0]}`, name] : [name];
+
+  const match = candidates.find(key => Object.hasOwn(setting, key));
+  const choice = match ? setting[match] : 'both';
+  return choice === 'both' ? ['stderr', 'stdout'] : [choice];
+}
+
+/**
+ * Text worth analyzing from a finished run ('' if none)
+ *
+ * `run` is { exitCode, stderr, stdout }. Nothing is used when the
+ * command succeeded (see the note at the top).
+ */
+export function errorOutput(run, streams, errorListener) {
+  if (run.exitCode === 0) {
+    return '';
+  }
+
+  return streams
+    .map(stream => run[stream])
+    .filter(text => text.trim() && errorListener.detectError(text))
+    .join('\n');
+}
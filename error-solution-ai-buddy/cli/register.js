@@ -0,0 +1,16 @@
+/**
+ * error-solution-ai-buddy/register - Reports uncaught errors from inside Node.js
+ *
+ * Load it into the process errbuddy runs:
+ *
+ *   errbuddy node --import error-solution-ai-buddy/register app.js
+ *   errbuddy --node-hook npm test      (adds it to NODE_OPTIONS)
+ *
+ * errbuddy then explains the real Error objects (cause chains,
+ * AggregateError members, error.code, unhandled rejections) instead of
+ * parsing stderr. Outside errbuddy it does nothing. See error-report.js.
+ */
+
+import { installErrorReporter } from './error-report.js';
+
+installErrorReporter();
@@ -0,0 +1,189 @@
+/**
+ * Stream Renderer - Shows an AI explanation while it is being generated
+ *
+ * Small models on CPU-only machines can take 10-30 seconds to answer.
+ * Instead of a spinner for the whole time, tokens are printed as they
+ * arrive, with the WHAT/WHY/FIX/EXAMPLE labels turned into the same
+ * headings the final box uses.
+ *
+ * When the answer is complete, clear() erases the live text so the
+ * formatter can print the finished box in its place.
+ *
+ * WHY only on a TTY:
+ * Piped output can't be erased, so the live text would be printed twice.
+ */
+
+import chalk from 'chalk';
+import { cursorTo, moveCursor, clearScreenDown } from 'readline';
+import { stripAnsi } from '../core/index.js';
+
+const SECTIONS = ['WHAT', 'WHY', 'FIX', 'EXAMPLE'];
+
+// "WHAT:", "**Why:**", "  FIX :" at the start of a line
+const SECTION_LABEL = /^\s*\**\s*(WHAT|WHY|FIX|EXAMPLE)\s*\**\s*:\s*\**[ \t]*/i;
+
+// Start of a line that may still turn into a label ("WH", "**Fi")
+const PARTIAL_LABEL = /^\s*\**\s*([a-z]*)\s*\**$/i;
+
+export class StreamRenderer {
+  constructor(options = {}) {
+    this.output = options.output || process.stdout;
+    this.useEmoji = options.useEmoji !== false;
+    this.live = Boolean(this.output.isTTY);
+
+    this.text = '';        // Everything received so far
+    this.pending = '';     // Start of the current line, held back until we know if it's a label
+    this.lineStarted = false;
+    this.rows = 0;         // Terminal rows written (for clear())
+    this.column = 0;
+  }
+
+  /**
+   * Add a chunk of streamed text
+   */
+  write(chunk) {
+    this.text += chunk;
+    if (!this.live) return;
+
+    this.pending += chunk;
+    this.flush(false);
+  }
+
+  /**
+   * Print everything held back (call when the stream ends)
+   */
+  end() {
+    if (this.live) {
+      this.flush(true);
+    }
+    return this.text;
+  }
+
+  /**
+   * Erase the live text from the terminal
+   *
+   * If the text scrolled past the top of the screen it can't be erased,
+   * so it is left in place and the box is printed below it.
+   */
+  clear() {
+    if (!this.live) return false;
+
+    // The cursor is `rows` rows below where the live text started
+    const screenRows = this.output.rows || Infinity;
+    if (this.rows >= screenRows) {
+      if (this.column > 0) this.output.write('\n');
+      return false;
+    }
+
+    cursorTo(this.output, 0);
+    moveCursor(this.output, 0, -this.rows);
+    clearScreenDown(this.output);
+
+    this.rows = 0;
+    this.column = 0;
+    return true;
+  }
+
+  /**
+   * Print complete lines and any text that can't be a label
+   */
+  flush(final) {
+    while (this.pending) {
+      if (!this.lineStarted) {
+        const label = this.pending.match(SECTION_LABEL);
+        if (label) {
+          this.printHeading(label[1].toUpperCase());
+          this.pending = this.pending.slice(label[0].length);
+          this.lineStarted = true;
+          continue;
+        }
+
+        if (!final && this.couldBeLabel(this.pending)) {
+          return;
+        }
+        this.lineStarted = true;
+      }
+
+      const newline = this.pending.indexOf('\n');
+      if (newline === -1) {
+        this.print(this.pending);
+        this.pending = '';
+        return;
+      }
+
+      this.print(this.pending.slice(0, newline + 1));
+      this.pending = this.pending.slice(newline + 1);
+      this.lineStarted = false;
+    }
+  }
+
+  /**
+   * Is this unfinished line still the beginning of a section label?
+   */
+  couldBeLabel(text) {
+    if (text.includes('\n')) return false;
+
+    const match = text.match(PARTIAL_LABEL);
+    if (!match) return false;
+
+    const word = match[1].toUpperCase();
+    return SECTIONS.some(section => section.startsWith(word));
+  }
+
+  /**
+   * Print a section heading (same wording as Formatter.printAIExplanation)
+   */
+  printHeading(section) {
+    const headings = {
+      WHAT: [chalk.cyan.bold, '📘 What is this?', '[What]'],
+      WHY: [chalk.yellow.bold, '❓ Why it happens?', '[Why]'],
+      FIX: [chalk.green.bold, '✅ How to fix it:', '[Fix]'],
+      EXAMPLE: [chalk.magenta.bold, '💡 Example:', '[Example]'],
+    };
+    const [color, emojiText, plainText] = headings[section];
+
+    // Blank line between sections
+    if (this.rows > 0 || this.column > 0) {
+      this.print(this.column > 0 ? '\n\n' : '\n');
+    }
+    this.print(color(this.useEmoji ? emojiText : plainText) + '\n');
+  }
+
+  /**
+   * Write to the terminal, counting the rows used (including wrapped lines)
+   */
+  print(text) {
+    this.output.write(text);
+
+    const columns = this.output.columns || 80;
+    for (const char of stripAnsi(text)) {
+      if (char === '\n') {
+        this.rows++;
+        this.column = 0;
+      } else {
+        const width = charWidth(char);
+        if (this.column + width > columns) {
+          this.rows++;
+          this.column = 0;
+        }
+        this.column += width;
+      }
+    }
+  }
+}
+
+/**
+ * Approximate terminal width of a character (emoji and CJK take 2 columns)
+ */
+function charWidth(char) {
+  const code = char.codePointAt(0);
+  if (code >= 0xfe00 && code <= 0xfe0f) return 0;  // Variation selectors
+  if (code >= 0x1f000) return 2;
+  if (code >= 0x2600 && code <= 0x27bf) return 2;
+  if (code >= 0x1100 && code <= 0x115f) return 2;
+  if (code >= 0x2e80 && code <= 0xa4cf) return 2;
+  if (code >= 0xac00 && code <= 0xd7a3) return 2;
+  if (code >= 0xf900 && code <= 0xfaff) return 2;
+  if (code >= 0xff00 && code <= 0xff60) return 2;
+  return 1;
+}
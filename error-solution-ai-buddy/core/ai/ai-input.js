@@ -0,0 +1,63 @@
+/**
+ * AI Input - Prepares what the AI receives for one error
+ *
+ * Both the CLI and the VS Code extension send the error text and,
+ * when the file can be read, the code around the failing line. Before
+ * anything leaves the machine it is:
+ * 1. Stripped of terminal color codes
+ * 2. Redacted (see redaction.js)
+ * 3. Cut to the maxErrorLength budget
+ *
+ * The error text always comes first. Source context only gets the part
+ * of the budget the error didn't use.
+ */
+
+import { Redactor, buildRules } from './redaction.js';
+import { stripAnsi } from '../ansi.js';
+
+export const DEFAULT_MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Prepare everything the AI receives for one error
+ *
+ * Options:
+ * - maxErrorLength: character budget for the error and source context
+ * - redactionRules: the redactionRules setting (see buildRules)
+ * - readSource(options): returns the source context or null, given
+ *   { maxLength, sanitize } (SourceContextReader.read or .snippet)
+ *
+ * Returns { errorText, sourceContext, redactions } - redactions counts
+ * the values replaced per rule (for the preview and audit log).
+ */
+export function buildAIInput(errorText, options = {}) {
+  const maxErrorLength = options.maxErrorLength ?? DEFAULT_MAX_ERROR_LENGTH;
+  // One redactor for both, so a value gets the same placeholder in each
+  const redactor = new Redactor(buildRules(options.redactionRules));
+  const sanitized = sanitizeError(errorText, maxErrorLength, redactor);
+
+  const sourceContext = options.readSource
+    ? options.readSource({ maxLength: maxErrorLength - sanitized.length, sanitize: text => redactor.redact(text) })
+    : null;
+
+  return { errorText: sanitized, sourceContext, redactions: redactor.redactions };
+}
+
+/**
+ * Sanitize error text before sending to AI
+ *
+ * WHY: Privacy protection - we don't want to leak:
+ * - File paths (might contain project names, usernames)
+ * - Environment variables
+ * - API keys that might appear in errors
+ */
+export function sanitizeError(errorText, maxErrorLength = DEFAULT_MAX_ERROR_LENGTH, redactor = new Redactor()) {
+  // Remove terminal color codes (the CLI forces colors in the child process)
+  let sanitized = redactor.redact(stripAnsi(errorText));
+
+  // Truncate if too long
+  if (sanitized.length > maxErrorLength) {
+    sanitized = sanitized.substring(0, maxErrorLength) + '\n... (truncated)';
+  }
+
+  return sanitized;
+}
@@ -0,0 +1,201 @@
+/**
+ * AI Provider - Base class for the servers Error Buddy can talk to
+ *
+ * A provider only moves text: it sends a system prompt + user prompt
+ * and returns the model's answer. Prompt design and response parsing
+ * stay in AIService, so every provider gets the same explanations.
+ *
+ * Every provider implements:
+ * - listModels()        -> ['model-a', 'model-b']
+ * - complete(request)   -> full answer text
+ * - stream(request)     -> async iterator of text chunks
+ * - generatePath, buildBody(...) -> where a request goes and its body
+ *
+ * `request` is { system, prompt, format, options: { temperature, topP, maxTokens }, timeout }
+ * where `format` (optional) is a JSON schema the answer must match.
+ *
+ * WHY a provider layer:
+ * Many people run llama.cpp server, LM Studio or vLLM instead of Ollama.
+ * They all speak the OpenAI API, so one extra provider covers them all.
+ */
+
+export const TIMEOUT_MESSAGE = 'AI explanation timed out. Try a smaller model.';
+
+export class AIProvider {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+    this.model = options.model;
+    this.apiKey = options.apiKey || null;
+  }
+
+  /**
+   * Name shown to the user (e.g. "Ollama not detected")
+   */
+  get displayName() {
+    return 'AI server';
+  }
+
+  /**
+   * Check the server is reachable (3 second limit)
+   */
+  async checkConnection() {
+    try {
+      await this.listModels(3000);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Where a request goes and the exact JSON body that is sent
+   *
+   * Used to show (--dry-run) and log (audit log) what leaves the machine.
+   */
+  describeRequest({ system, prompt, format, options = {} }, stream) {
+    return {
+      url: `${this.baseUrl}${this.generatePath}`,
+      body: this.buildBody(system, prompt, format, options, stream),
+    };
+  }
+
+  async listModels() {
+    throw new Error(`${this.constructor.name} does not implement listModels()`);
+  }
+
+  async complete() {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  stream() {
+    throw new Error(`${this.constructor.name} does not implement stream()`);
+  }
+
+  /**
+   * Send a request and return the parsed JSON body
+   *
+   * The whole request (including reading the body) must finish in `timeout` ms.
+   */
+  async requestJson(path, { method = 'GET', body, timeout }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await this.send(path, { method, body, signal: controller.signal });
+      const data = await response.json();
+      this.throwIfErrorBody(data);
+      return data;
+    } catch (error) {
+      throw this.translateError(error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Send a streaming request and yield each line of the response
+   *
+   * `timeout` is the longest allowed gap between chunks, so a slow but
+   * steady model is never cut off.
+   */
+  async *streamLines(path, { body, timeout }) {
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await this.send(path, { method: 'POST', body, signal: controller.signal });
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        // A line can be split across chunks - keep the unfinished part
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (line.trim()) yield line;
+        }
+      }
+
+      if (buffer.trim()) {
+        yield buffer;
+      }
+    } catch (error) {
+      throw this.translateError(error);
+    } finally {
+      clearTimeout(timeoutId);
+      // Stop the request if the caller stopped reading early
+      controller.abort();
+    }
+  }
+
+  /**
+   * fetch() with JSON headers, API key and HTTP error handling
+   */
+  async send(path, { method, body, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw this.httpError(response.status, await this.readErrorMessage(response));
+    }
+    return response;
+  }
+
+  /**
+   * Get the error text from a failed response ({"error": ...} or plain text)
+   */
+  async readErrorMessage(response) {
+    const text = await response.text();
+    try {
+      const data = JSON.parse(text);
+      return data.error?.message || data.error || text;
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Build the error for a failed HTTP request (providers add hints)
+   */
+  httpError(status, message) {
+    return new Error(`${this.displayName} returned ${status}: ${message}`);
+  }
+
+  /**
+   * Some servers report errors inside a 200 response
+   */
+  throwIfErrorBody(data) {
+    if (data?.error) {
+      throw new Error(data.error.message || data.error);
+    }
+  }
+
+  /**
+   * Turn aborts into a readable timeout message
+   */
+  translateError(error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return new Error(TIMEOUT_MESSAGE);
+    }
+    return error;
+  }
+}
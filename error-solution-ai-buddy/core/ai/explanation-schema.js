@@ -0,0 +1,221 @@
+/**
+ * Explanation Schema - The JSON shape the AI must answer with
+ *
+ * The schema is sent with every request (Ollama `format`, OpenAI
+ * `response_format`), so the server constrains the model to valid JSON
+ * of this shape while it generates.
+ *
+ * Example answer:
+ * {
+ *   "what": "TypeError: user is undefined",
+ *   "why": "getUser() returned nothing for this ID",
+ *   "fixSteps": ["Check the ID exists", "Handle the missing user"],
+ *   "example": { "language": "javascript", "code": "if (!user) return;" },
+ *   "confidence": "medium"
+ * }
+ *
+ * WHY JSON instead of WHAT:/WHY: text:
+ * Small models (like the default qwen2.5:0.5b) often skip labels, add
+ * markdown or merge sections, and the text parser then guesses wrong.
+ * With a schema the answer either has every field or is clearly invalid.
+ */
+
+/**
+ * An explanation as used everywhere else (toExplanation(), or the
+ * WHAT:/WHY: text parser for answers that aren't valid JSON)
+ *
+ * @typedef {Object} Explanation
+ * @property {string|null} what
+ * @property {string|null} why
+ * @property {string|null} fix - The steps, numbered, as one string
+ * @property {string[]} [fixSteps]
+ * @property {string|null} example
+ * @property {string|null} [exampleLanguage]
+ * @property {string} [confidence] - One of CONFIDENCE_LEVELS
+ * @property {string|null} [patch] - Unified diff (only when the AI saw the source)
+ * @property {string} raw - The answer as received
+ */
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+export const EXPLANATION_SCHEMA = explanationSchema();
+
+/**
+ * Build the schema; `{ patch: true }` adds a "patch" field for a
+ * unified diff (only asked for when the AI can see the source code)
+ */
+export function explanationSchema(options = {}) {
+  const schema = {
+    type: 'object',
+    properties: {
+      what: { type: 'string' },
+      why: { type: 'string' },
+      fixSteps: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      example: {
+        type: ['object', 'null'],
+        properties: {
+          language: { type: 'string' },
+          code: { type: 'string' },
+        },
+        required: ['language', 'code'],
+        additionalProperties: false,
+      },
+      confidence: { type: 'string', enum: CONFIDENCE_LEVELS },
+    },
+    required: ['what', 'why', 'fixSteps', 'example', 'confidence'],
+    additionalProperties: false,
+  };
+
+  if (options.patch) {
+    schema.properties.patch = { type: ['string', 'null'] };
+    schema.required.push('patch');
+  }
+  return schema;
+}
+
+/**
+ * Parse and validate an answer
+ *
+ * Returns { data, errors } - `errors` is empty when the answer is valid.
+ * A ```json fence around the object is accepted (some servers ignore
+ * the schema and the model adds one).
+ */
+export function parseExplanationJson(text) {
+  const json = (text || '').trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    return { data: null, errors: [`not valid JSON (${err.message})`] };
+  }
+
+  return { data, errors: validateExplanation(data) };
+}
+
+/**
+ * Check an answer against EXPLANATION_SCHEMA
+ *
+ * Returns a list of problems, written so they can be sent back to the
+ * model in a repair request ("fixSteps must be a list of strings").
+ */
+export function validateExplanation(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['answer must be a JSON object'];
+  }
+
+  const errors = [];
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+  for (const field of ['what', 'why']) {
+    if (!isText(data[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  if (!Array.isArray(data.fixSteps) || data.fixSteps.length === 0 || !data.fixSteps.every(isText)) {
+    errors.push('fixSteps must be a non-empty list of strings');
+  }
+
+  if (data.example !== null && data.example !== undefined) {
+    if (typeof data.example !== 'object' || typeof data.example.language !== 'string' || typeof data.example.code !== 'string') {
+      errors.push('example must be null or { "language": string, "code": string }');
+    }
+  }
+
+  if (data.patch !== undefined && data.patch !== null && typeof data.patch !== 'string') {
+    errors.push('patch must be a unified diff string or null');
+  }
+
+  if (!CONFIDENCE_LEVELS.includes(data.confidence)) {
+    errors.push(`confidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a valid answer into the explanation object used everywhere else
+ *
+ * `fix` and `example` stay plain strings so the formatter, history and
+ * the pattern-based explanations keep working unchanged.
+ *
+ * @returns {Explanation}
+ */
+export function toExplanation(data, raw) {
+  // Models sometimes number the steps themselves ("1. Check ...")
+  const fixSteps = data.fixSteps.map(step => step.trim().replace(/^(?:\d+[.)]|[-*])\s+/, ''));
+  const code = data.example?.code?.trim() || null;
+
+  return {
+    what: data.what.trim(),
+    why: data.why.trim(),
+    fix: fixSteps.map((step, i) => `${i + 1}. ${step}`).join('\n'),
+    fixSteps,
+    example: code,
+    exampleLanguage: code ? data.example.language || null : null,
+    confidence: data.confidence,
+    patch: data.patch?.trim() || null,
+    raw,
+  };
+}
+
+/**
+ * Turn a partly streamed JSON answer into WHAT:/WHY:/FIX:/EXAMPLE: text
+ *
+ * Used to show the answer live while it is generated. Fields are read
+ * with patterns instead of JSON.parse because the JSON isn't complete yet.
+ * An answer that isn't JSON at all (server ignored the schema) is
+ * shown as it is.
+ */
+export function previewExplanation(partial) {
+  const text = partial.trimStart();
+  if (text && !text.startsWith('{') && !text.startsWith('`')) {
+    return partial;
+  }
+
+  const what = readPartialString(text, 'what');
+  const why = readPartialString(text, 'why');
+  const steps = readPartialSteps(text);
+  const code = readPartialString(text, 'code');
+
+  let preview = '';
+  if (what !== null) preview += `WHAT: ${what}`;
+  if (why !== null) preview += `\nWHY: ${why}`;
+  if (steps.length > 0) {
+    preview += '\nFIX:' + steps.map((step, i) => `\n${i + 1}. ${step}`).join('');
+  }
+  if (code !== null) preview += `\nEXAMPLE:\n${code}`;
+
+  return preview;
+}
+
+/**
+ * Read a string field that may still be cut off mid-value
+ */
+function readPartialString(text, field) {
+  const match = text.match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)(\\\\?)`));
+  return match ? decodeJsonString(match[1]) : null;
+}
+
+/**
+ * Read the fixSteps strings received so far
+ */
+function readPartialSteps(text) {
+  const match = text.match(/"fixSteps"\s*:\s*\[((?:[^\]"]|"(?:[^"\\]|\\.)*"?)*)/);
+  if (!match) return [];
+
+  return [...match[1].matchAll(/"((?:[^"\\]|\\.)*)"?/g)].map(m => decodeJsonString(m[1]));
+}
+
+/**
+ * Decode JSON string escapes, dropping an escape cut off at the end
+ */
+function decodeJsonString(value) {
+  const complete = value.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+  try {
+    return JSON.parse(`"${complete}"`);
+  } catch {
+    return complete;
+  }
+}
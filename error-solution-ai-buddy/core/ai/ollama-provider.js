@@ -0,0 +1,83 @@
+/**
+ * Ollama Provider - Talks to a local Ollama server
+ *
+ * API used:
+ * - GET  /api/tags       list installed models
+ * - POST /api/generate   generate an answer (streamed as NDJSON lines)
+ */
+
+import { AIProvider } from './ai-provider.js';
+
+export class OllamaProvider extends AIProvider {
+  static defaultBaseUrl = 'http://localhost:11434';
+
+  get displayName() {
+    return 'Ollama';
+  }
+
+  get generatePath() {
+    return '/api/generate';
+  }
+
+  async listModels(timeout = 3000) {
+    const data = await this.requestJson('/api/tags', { timeout });
+    return (data.models || []).map(m => m.name);
+  }
+
+  async complete({ system, prompt, format, options = {}, timeout }) {
+    const data = await this.requestJson(this.generatePath, {
+      method: 'POST',
+      body: this.buildBody(system, prompt, format, options, false),
+      timeout,
+    });
+    return data.response || '';
+  }
+
+  async *stream({ system, prompt, format, options = {}, timeout }) {
+    const lines = this.streamLines(this.generatePath, {
+      body: this.buildBody(system, prompt, format, options, true),
+      timeout,
+    });
+
+    for await (const line of lines) {
+      const data = JSON.parse(line);
+      this.throwIfErrorBody(data);
+
+      if (data.response) {
+        yield data.response;
+      }
+      if (data.done) {
+        return;
+      }
+    }
+
+    // Ollama always ends with {"done": true} - without it the answer is cut off
+    throw new Error('AI stream ended unexpectedly');
+  }
+
+  /**
+   * `format` (a JSON schema) makes Ollama 0.5+ only generate matching JSON
+   */
+  buildBody(system, prompt, format, options, stream) {
+    return {
+      model: this.model,
+      prompt,
+      system,
+      stream,
+      format,
+      options: {
+        temperature: options.temperature,
+        top_p: options.topP,
+        num_predict: options.maxTokens,
+      },
+    };
+  }
+
+  httpError(status, message) {
+    // Most common failure on small machines
+    if (message.includes('memory')) {
+      return new Error('Not enough RAM. Try: errbuddy --model qwen2.5:0.5b');
+    }
+    return super.httpError(status, message);
+  }
+}
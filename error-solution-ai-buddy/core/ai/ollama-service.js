@@ -0,0 +1,377 @@
+/**
+ * AI Service - Turns errors into explanations using a local AI server
+ * 
+ * WHY LOCAL AI:
+ * 1. 100% free - no API keys needed
+ * 2. Runs locally - your code never leaves your machine
+ * 3. Works offline - no internet required after model download
+ * 4. Fast - local inference with no network latency
+ * 
+ * The server is reached through a provider (see providers.js):
+ * - ollama: Ollama (default)
+ * - openai: any OpenAI-compatible server (llama.cpp, LM Studio, vLLM)
+ *
+ * This file owns what is asked (system prompt, prompt) and how answers
+ * are read. Providers only move the text.
+ *
+ * Answers are JSON matching EXPLANATION_SCHEMA (see explanation-schema.js):
+ * 1. The schema is sent with the request, so the server enforces it
+ * 2. The answer is validated; if invalid, the model gets one repair request
+ * 3. If it is still invalid, the old WHAT:/WHY: text parser has a go
+ * 
+ * SETUP (Ollama):
+ * 1. Install Ollama: https://ollama.ai
+ * 2. Run: ollama pull llama3.2
+ * 3. Run: ollama serve
+ */
+
+import { createProvider } from './providers.js';
+import { explanationSchema, parseExplanationJson, toExplanation, previewExplanation } from './explanation-schema.js';
+
+/**
+ * System prompt for error explanation
+ * 
+ * WHY this structure:
+ * - Forces consistent output format
+ * - Beginner-friendly language
+ * - Prevents hallucinations with explicit rules
+ */
+const SYSTEM_PROMPT = `You are an expert programming assistant that explains errors to developers.
+
+RULES (VERY IMPORTANT):
+1. Always respond with ONE JSON object with these fields:
+   "what": Name the specific error code/exception (e.g. "NullPointerException", "CS1061") and what it means
+   "why": Explain specifically why this code causes that error
+   "fixSteps": List of clear, short steps to fix the error
+   "example": { "language": "...", "code": "..." } with a short code example, or null if not helpful
+   "confidence": "high", "medium" or "low" - how sure you are about the cause
+
+2. Use simple language a junior developer can understand
+3. Be concise - no long paragraphs
+4. Do NOT assume frameworks (like Spring, React) unless the error explicitly mentions them
+5. Focus on the most likely cause first (typos, missing variables, syntax)
+6. IF suggesting a fix involves installing a new package, ONLY do so if the error is explicitly "Module/Package not found".
+7. If the error mentions "not a statement" and looks like "variable;", explain that standalone variables are not valid statements.
+8. Never make up information - if unsure, say so and use "low" confidence
+9. Always explicitly mention the error name or code in "what".
+10. If source code is provided, the line marked with ">>" is where the error happened. Base your explanation on that code.
+
+LANGUAGE-SPECIFIC TIPS:
+- JavaScript: Common issues are undefined/null, async/await, imports
+- Java: 
+  - "not a statement" often means a standalone variable (e.g. 'x;') which is invalid in Java. It must be an assignment ('x=1;') or method call.
+  - Common issues: NullPointer, missing variables, types
+  - Avoid suggesting @Autowired unless it's a Spring error
+- C#: Common issues are null reference, missing using, async
+- Python: The LAST exception in the traceback is the one to fix; common issues are imports, None values, indentation, dict keys
+
+Remember: Developers are frustrated when they see errors. Be helpful and direct.`;
+
+// Generation settings shared by every provider
+const GENERATION_OPTIONS = {
+  temperature: 0.1,  // Very low to prevent hallucinations
+  topP: 0.9,
+  maxTokens: 500,    // Limit response length
+};
+
+// Request body fields that carry the prompts (Ollama: prompt/system, OpenAI: messages)
+const PROMPT_FIELDS = ['prompt', 'system', 'messages'];
+
+export class AIService {
+  /**
+   * `baseUrl` null = the provider's default (Ollama: http://localhost:11434)
+   *
+   * Options:
+   * - provider: 'ollama' (default), 'openai', or a provider instance
+   * - apiKey:   sent as a Bearer token (OpenAI-compatible servers)
+   * - auditLog: an AuditLog every request is recorded in (optional)
+   *
+   * @param {string|null} [baseUrl]
+   * @param {string} [model]
+   * @param {Object} [options]
+   */
+  constructor(baseUrl = null, model = 'llama3.2', options = {}) {
+    this.provider = typeof options.provider === 'object'
+      ? options.provider
+      : createProvider(options.provider || 'ollama', { baseUrl, model, apiKey: options.apiKey });
+    this.auditLog = options.auditLog || null;
+    this.timeout = 30000; // 30 second timeout
+  }
+
+  get baseUrl() {
+    return this.provider.baseUrl;
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  set model(model) {
+    this.provider.model = model;
+  }
+
+  /**
+   * Name of the AI server for messages ("Ollama", "OpenAI-compatible server")
+   */
+  get providerName() {
+    return this.provider.displayName;
+  }
+
+  /**
+   * Check if the AI server is running and accessible
+   *
+   * If the configured model isn't installed, the first available
+   * model is used instead.
+   */
+  async checkConnection() {
+    let models;
+    try {
+      models = await this.provider.listModels(3000); // 3 second timeout for health check
+    } catch (error) {
+      return false;
+    }
+
+    // Check if the model we want is available
+    const modelBaseName = (this.model || '').split(':')[0];
+    const hasModel = modelBaseName && models.some(name => name.startsWith(modelBaseName));
+
+    if (!hasModel && models.length > 0) {
+      // Use first available model as fallback
+      this.model = models[0];
+    }
+
+    return true;
+  }
+
+  /**
+   * Get explanation for an error
+   *
+   * Options:
+   * - onText(text): stream the answer, calling this with each new piece
+   *   of readable text (WHAT:/WHY:/FIX:/EXAMPLE: labels, not raw JSON)
+   * - redactions: values redacted from the input, per rule (audit log)
+   *
+   * WHY streaming:
+   * Small models on CPU-only machines can take 30+ seconds to answer.
+   * Showing text as it arrives means the user starts reading right away.
+   * The timeout applies to the gap between chunks (not the whole answer),
+   * so a slow but steady model is never cut off.
+   *
+   * @returns {Promise<import('./explanation-schema.js').Explanation>}
+   */
+  async explainError(errorText, language = 'unknown', sourceContext = null, options = {}) {
+    const request = this.buildRequest(this.buildPrompt(errorText, language, sourceContext), sourceContext);
+    this.audit('explain', request, Boolean(options.onText), options.redactions);
+
+    const response = options.onText
+      ? await this.readStream(this.provider.stream(request), options.onText)
+      : await this.provider.complete(request);
+
+    if (!response.trim()) {
+      throw new Error('AI returned an empty explanation');
+    }
+
+    return this.parseStructuredResponse(response, request, options.redactions);
+  }
+
+  /**
+   * What explainError() would send, without sending it (--dry-run)
+   *
+   * Returns { provider, url, model, system, prompt, options } where
+   * `options` is the rest of the request body (schema, temperature, ...).
+   */
+  previewRequest(errorText, language = 'unknown', sourceContext = null, { stream = true } = {}) {
+    return this.describe(this.buildRequest(this.buildPrompt(errorText, language, sourceContext), sourceContext), stream);
+  }
+
+  /**
+   * Where a request goes and what it contains: the prompts as text,
+   * the rest of the request body as `options`
+   */
+  describe(request, stream) {
+    const { url, body } = this.provider.describeRequest(request, stream);
+    // The prompts are shown on their own, as text
+    const options = Object.fromEntries(Object.entries(body).filter(([key]) => !PROMPT_FIELDS.includes(key)));
+    return { provider: this.providerName, url, model: this.model, system: request.system, prompt: request.prompt, options };
+  }
+
+  /**
+   * Record a request in the audit log (if there is one)
+   */
+  audit(kind, request, stream, redactions = {}) {
+    if (!this.auditLog) {
+      return;
+    }
+    try {
+      this.auditLog.record({ kind, ...this.describe(request, stream), redactions });
+    } catch {
+      // The log is not critical: the request is still made
+    }
+  }
+
+  /**
+   * Everything a provider needs for one request
+   *
+   * A patch is only asked for when the AI can see the source code.
+   */
+  buildRequest(prompt, sourceContext = null) {
+    return {
+      system: SYSTEM_PROMPT,
+      prompt,
+      format: explanationSchema({ patch: Boolean(sourceContext) }),
+      options: GENERATION_OPTIONS,
+      timeout: this.timeout,
+    };
+  }
+
+  /**
+   * Collect a streamed answer, passing readable text to `onText`
+   *
+   * The preview only ever grows, so it is sent as the new part each time.
+   */
+  async readStream(chunks, onText) {
+    let response = '';
+    let shown = '';
+
+    for await (const chunk of chunks) {
+      response += chunk;
+
+      const preview = previewExplanation(response);
+      if (preview.length > shown.length && preview.startsWith(shown)) {
+        onText(preview.slice(shown.length));
+        shown = preview;
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Validate a JSON answer, asking the model once to repair it if needed
+   *
+   * Falls back to the WHAT:/WHY: text parser when there is still no valid
+   * JSON (e.g. an old server that ignores the schema).
+   */
+  async parseStructuredResponse(response, request, redactions) {
+    const { data, errors } = parseExplanationJson(response);
+    if (errors.length === 0) {
+      return toExplanation(data, response);
+    }
+
+    try {
+      const repairRequest = { ...request, prompt: this.buildRepairPrompt(request.prompt, response, errors) };
+      this.audit('repair', repairRequest, false, redactions);
+      const repaired = await this.provider.complete(repairRequest);
+
+      const retry = parseExplanationJson(repaired);
+      if (retry.errors.length === 0) {
+        return toExplanation(retry.data, repaired);
+      }
+    } catch {
+      // The first answer is still better than nothing
+    }
+
+    return this.parseResponse(response);
+  }
+
+  /**
+   * Prompt for the repair request: the original question, the invalid
+   * answer and what was wrong with it
+   */
+  buildRepairPrompt(prompt, response, errors) {
+    return `${prompt}
+Your previous answer was not valid:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous answer:
+${response.substring(0, 2000)}
+
+Reply again with only the corrected JSON object.`;
+  }
+
+  /**
+   * Build the prompt for the AI
+   *
+   * `sourceContext` (optional) is the code around the failing line,
+   * as returned by SourceContextReader: { file, line, text }
+   */
+  buildPrompt(errorText, language, sourceContext = null) {
+    const langName = {
+      javascript: 'JavaScript/Node.js',
+      java: 'Java',
+      csharp: 'C#/.NET',
+      python: 'Python',
+      unknown: 'programming'
+    }[language] || language;
+
+    const prompt = `Explain this ${langName} error to a developer:
+
+\`\`\`
+${errorText}
+\`\`\`
+`;
+
+    if (sourceContext) {
+      return prompt + `
+Source code around the error (${sourceContext.file}, line ${sourceContext.line} is marked with >>):
+
+\`\`\`
+${sourceContext.text}
+\`\`\`
+
+Answer with a JSON object: what, why, fixSteps, example, confidence, patch
+
+"patch": if the fix is a small change to ${sourceContext.file}, a unified diff
+(@@ hunk header, then lines starting with " ", "-" or "+") that copies the
+unchanged lines exactly, without the line numbers and ">>". Otherwise null.`;
+    }
+
+    return prompt + `
+Answer with a JSON object: what, why, fixSteps, example, confidence`;
+  }
+
+  /**
+   * Parse a WHAT:/WHY:/FIX:/EXAMPLE: text answer
+   *
+   * Last resort for answers that aren't valid JSON.
+   */
+  parseResponse(response) {
+    const result = {
+      what: null,
+      why: null,
+      fix: null,
+      example: null,
+      raw: response
+    };
+
+    // Try to extract structured parts
+    const whatMatch = response.match(/WHAT:\s*(.+?)(?=WHY:|FIX:|EXAMPLE:|$)/is);
+    const whyMatch = response.match(/WHY:\s*(.+?)(?=WHAT:|FIX:|EXAMPLE:|$)/is);
+    const fixMatch = response.match(/FIX:\s*(.+?)(?=WHAT:|WHY:|EXAMPLE:|$)/is);
+    const exampleMatch = response.match(/EXAMPLE:\s*(.+?)(?=WHAT:|WHY:|FIX:|$)/is);
+
+    if (whatMatch) result.what = whatMatch[1].trim();
+    if (whyMatch) result.why = whyMatch[1].trim();
+    if (fixMatch) result.fix = fixMatch[1].trim();
+    if (exampleMatch) result.example = exampleMatch[1].trim();
+
+    // If structured parsing failed, try to make sense of the response
+    if (!result.what && !result.why && !result.fix) {
+      // Split by sentences and assign
+      const sentences = response.split(/[.!]\s+/).filter(s => s.trim());
+      if (sentences.length >= 1) result.what = sentences[0].trim() + '.';
+      if (sentences.length >= 2) result.why = sentences[1].trim() + '.';
+      if (sentences.length >= 3) result.fix = sentences.slice(2).join('. ').trim();
+    }
+
+    // Extract code blocks for example
+    if (!result.example) {
+      const codeMatch = response.match(/```[\w]*\n?([\s\S]+?)```/);
+      if (codeMatch) {
+        result.example = codeMatch[1].trim();
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * OpenAI-Compatible Provider - Talks to any server speaking the OpenAI API
+ *
+ * Works with llama.cpp server, LM Studio, vLLM, LocalAI and others.
+ * `baseUrl` includes the API version, like the OpenAI SDKs:
+ *   http://localhost:8080/v1   (llama.cpp server)
+ *   http://localhost:1234/v1   (LM Studio)
+ *   http://localhost:8000/v1   (vLLM)
+ *
+ * API used:
+ * - GET  /models             list available models
+ * - POST /chat/completions   generate an answer (streamed as Server-Sent Events)
+ *
+ * An API key is optional - local servers usually don't need one.
+ */
+
+import { AIProvider } from './ai-provider.js';
+
+export class OpenAICompatibleProvider extends AIProvider {
+  static defaultBaseUrl = 'http://localhost:8080/v1';
+
+  get displayName() {
+    return 'OpenAI-compatible server';
+  }
+
+  get generatePath() {
+    return '/chat/completions';
+  }
+
+  async listModels(timeout = 3000) {
+    const data = await this.requestJson('/models', { timeout });
+    return (data.data || []).map(m => m.id);
+  }
+
+  async complete({ system, prompt, format, options = {}, timeout }) {
+    const data = await this.requestJson(this.generatePath, {
+      method: 'POST',
+      body: this.buildBody(system, prompt, format, options, false),
+      timeout,
+    });
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  async *stream({ system, prompt, format, options = {}, timeout }) {
+    const lines = this.streamLines(this.generatePath, {
+      body: this.buildBody(system, prompt, format, options, true),
+      timeout,
+    });
+
+    for await (const line of lines) {
+      // SSE: only "data:" lines carry content (skip comments and event names)
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice('data:'.length).trim();
+      if (payload === '[DONE]') {
+        return;
+      }
+
+      const data = JSON.parse(payload);
+      this.throwIfErrorBody(data);
+
+      const text = data.choices?.[0]?.delta?.content;
+      if (text) {
+        yield text;
+      }
+    }
+
+    // The stream must end with "data: [DONE]" - without it the answer is cut off
+    throw new Error('AI stream ended unexpectedly');
+  }
+
+  /**
+   * `format` (a JSON schema) is sent as a json_schema response_format,
+   * which llama.cpp server, LM Studio and vLLM all support
+   */
+  buildBody(system, prompt, format, options, stream) {
+    return {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt },
+      ],
+      temperature: options.temperature,
+      top_p: options.topP,
+      max_tokens: options.maxTokens,
+      response_format: format
+        ? { type: 'json_schema', json_schema: { name: 'error_explanation', strict: true, schema: format } }
+        : undefined,
+      stream,
+    };
+  }
+}
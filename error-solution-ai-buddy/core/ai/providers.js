@@ -0,0 +1,23 @@
+/**
+ * AI Providers - Pick a provider by name
+ *
+ * Add new providers to PROVIDERS; the `provider` setting accepts any key.
+ */
+
+import { OllamaProvider } from './ollama-provider.js';
+import { OpenAICompatibleProvider } from './openai-provider.js';
+
+export const PROVIDERS = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+};
+
+/**
+ * Create a provider: createProvider('openai', { baseUrl, model, apiKey })
+ */
+export function createProvider(name = 'ollama', options = {}) {
+  if (!Object.hasOwn(PROVIDERS, name)) {
+    throw new Error(`Unknown AI provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new PROVIDERS[name](options);
+}
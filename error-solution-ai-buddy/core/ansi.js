@@ -0,0 +1,19 @@
+/**
+ * ANSI escape codes - Colors and cursor moves in terminal output
+ *
+ * The CLI runs commands with FORCE_COLOR, and logs pasted from a
+ * terminal often keep their colors, so every piece of output is
+ * stripped before it is parsed, measured or sent to the AI.
+ */
+
+const ESC = '\u001b';
+
+// CSI sequences: colors (ESC[31m), cursor moves and erases (ESC[2K)
+const ANSI_PATTERN = new RegExp(`${ESC}\\[[0-9;?]*[A-Za-z]`, 'g');
+
+/**
+ * Remove ANSI escape codes from text
+ */
+export function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
@@ -0,0 +1,134 @@
+/**
+ * Classifier - Scores which language an error output comes from
+ *
+ * Every language's signals are checked against the output, and each
+ * one that fires adds its weight to that language's score. A stack
+ * frame counts once per frame (up to MAX_COUNTED_MATCHES), and a
+ * language whose signals add up to at least RULE_WEIGHT gets RULE_WEIGHT
+ * more when one of its detection rules (rule-packs.js) matches too.
+ *
+ * WHY scores instead of the first language that matches:
+ * Real output mixes languages. A Maven build that also runs npm prints
+ * node_modules paths; a Java service logs ENOENT from a sidecar. One
+ * weak JavaScript hint must not outvote a page of Java frames.
+ *
+ * Confidence is a language's share of all the evidence, with an
+ * "unknown" share of UNKNOWN_WEIGHT so that one weak signal on its own
+ * doesn't come out as 100% sure.
+ */
+
+const MAX_COUNTED_MATCHES = 3;
+const RULE_WEIGHT = 2;
+const UNKNOWN_WEIGHT = 2;
+
+/**
+ * Signals per language: [pattern, weight, what it shows]
+ *
+ * Listed in tie-break order: Python first, because its TypeError and
+ * SyntaxError would otherwise be mistaken for JavaScript. Patterns
+ * with the g flag count each match.
+ */
+export const LANGUAGE_SIGNALS = {
+  python: [
+    [/^Traceback \(most recent call last\):$/m, 6, 'Python traceback header'],
+    [/File ".+\.py", line \d+/g, 4, 'Python stack frame'],
+    [/^(?:ModuleNotFoundError|IndentationError|NameError: name '|AttributeError: '\w+' object)/m, 3, 'Python-only exception'],
+  ],
+
+  javascript: [
+    [/error TS\d+:/, 5, 'TypeScript compiler error'],
+    [/at\s+.*\.js:\d+:\d+/g, 4, 'Node.js stack frame'],
+    [/^npm (?:ERR!|error) /m, 4, 'npm error'],
+    [/Module not found: Error: Can't resolve/, 4, 'webpack module resolution'],
+    [/\(node:[\w/]+:\d+:\d+\)|^Node\.js v\d+/m, 3, 'Node.js runtime'],
+    [/(TypeError|ReferenceError|SyntaxError)[:\s]/i, 2, 'JavaScript error name'],
+    [/Cannot find module/, 2, 'Node.js module resolution'],
+    [/node_modules/, 1, 'node_modules path'],
+    [/ENOENT|EACCES|ECONNREFUSED/, 1, 'Node.js system error code'],
+  ],
+
+  java: [
+    [/Exception in thread/, 5, 'Java uncaught exception'],
+    [/at\s+[\w.$]+\([\w.]+\.java:\d+\)/g, 4, 'Java stack frame'],
+    [/\.java:\d+:/, 4, 'javac error location'],
+    [/\.java:\[\d+,\d+\]/, 4, 'Maven compiler error location'],
+    [/at\s+java\./, 3, 'Java runtime frame'],
+  ],
+
+  csharp: [
+    [/error CS\d+/, 5, 'C# compiler error'],
+    [/Unhandled exception\. System\./, 5, '.NET unhandled exception'],
+    [/at\s+[\w.<>]+\(.*\)\s+in\s+.*:line\s+\d+/g, 4, '.NET stack frame'],
+    [/\.cs\(\d+,\d+\)/, 4, 'C# error location'],
+    [/at\s+System\./, 3, '.NET runtime frame'],
+  ],
+};
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} signal - What was found ("Java stack frame", "rule java/uncaught-exception")
+ * @property {number} matches - How often it was counted
+ * @property {number} weight - What it added to the score
+ */
+
+/**
+ * @typedef {Object} LanguageCandidate
+ * @property {string} language
+ * @property {number} confidence - 0 to 1, rounded to 2 decimals
+ * @property {number} score
+ * @property {Evidence[]} evidence
+ * @property {string|null} rule - The language's detection rule that matched
+ * @property {string|null} errorType - What that rule captured
+ */
+
+/**
+ * Rank the languages with any evidence in `text`, best first
+ *
+ * `ruleSet` (a RuleSet) adds the detection rules as evidence.
+ *
+ * @returns {LanguageCandidate[]}
+ */
+export function classifyLanguage(text, ruleSet = null) {
+  const candidates = Object.keys(LANGUAGE_SIGNALS)
+    .map(language => scoreLanguage(text, language, ruleSet))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);  // stable: ties keep the order above
+
+  const total = candidates.reduce((sum, candidate) => sum + candidate.score, UNKNOWN_WEIGHT);
+  return candidates.map(candidate => ({
+    ...candidate,
+    confidence: Math.round((candidate.score / total) * 100) / 100,
+  }));
+}
+
+function scoreLanguage(text, language, ruleSet) {
+  const evidence = [];
+  for (const [pattern, weight, signal] of LANGUAGE_SIGNALS[language]) {
+    const matches = pattern.global
+      ? Math.min((text.match(pattern) || []).length, MAX_COUNTED_MATCHES)
+      : Number(pattern.test(text));
+    if (matches > 0) {
+      evidence.push({ signal, matches, weight: weight * matches });
+    }
+  }
+
+  // Rules only back up a language its signals already point to: their
+  // generic patterns ("Error: ...") would otherwise make every language a
+  // candidate, and a rule for ENOENT would count a lone ENOENT twice
+  let score = evidence.reduce((sum, item) => sum + item.weight, 0);
+  const detected = score >= RULE_WEIGHT && ruleSet
+    ? ruleSet.detectAll(text, language).find(match => match.language === language)
+    : null;
+  if (detected) {
+    evidence.push({ signal: `rule ${detected.rule}`, matches: 1, weight: RULE_WEIGHT });
+    score += RULE_WEIGHT;
+  }
+
+  return {
+    language,
+    score,
+    evidence,
+    rule: detected?.rule ?? null,
+    errorType: detected?.fields.errorType ?? null,
+  };
+}
@@ -0,0 +1,656 @@
+/**
+ * Error Listener - Detects and analyzes errors in command output
+ * 
+ * This module is responsible for:
+ * 1. Detecting if output contains an error (vs. just warnings/info)
+ * 2. Identifying the programming language
+ * 3. Extracting useful context (error type, line number, file)
+ * 4. Providing pattern-based explanations (fallback when AI unavailable)
+ */
+
+import { fileURLToPath } from 'url';
+import { SourceMapResolver } from './source-maps.js';
+import { RuleSet } from './rule-packs.js';
+import { stripAnsi } from './ansi.js';
+import { classifyLanguage } from './classifier.js';
+import { BUILT_IN_RULE_PACKS } from './rules/index.js';
+
+/**
+ * What analyzeError() returns
+ *
+ * Typed for the VS Code extension, which uses this module from TypeScript.
+ *
+ * @typedef {Object} ErrorAnalysis
+ * @property {boolean} isError
+ * @property {string} language - 'javascript', 'java', 'csharp', 'python' or 'unknown'
+ * @property {number|null} confidence - How sure the language is, 0 to 1 (null for 'unknown')
+ * @property {import('./classifier.js').LanguageCandidate[]} candidates - Every language with evidence, best first
+ * @property {string|null} errorType
+ * @property {string|null} errorMessage
+ * @property {string|null} file
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {import('./source-maps.js').SourceLocation|null} generated - Compiled location, when file/line come from a source map
+ * @property {StackFrame[]} frames
+ * @property {string|null} rule - The rule that detected the error ("pack/id"; null for Python tracebacks and reports)
+ * @property {LocalExplanation|null} localExplanation
+ * @property {{ errorType: string|null, errorMessage: string|null }[]} [chain] - Earlier exceptions (Python)
+ * @property {string} [code] - Node's error.code (error-solution-ai-buddy/register reports)
+ */
+
+/**
+ * @typedef {Object} StackFrame
+ * @property {string|null} function
+ * @property {string|null} file
+ * @property {number|null} line
+ * @property {number|null} column
+ * @property {import('./source-maps.js').SourceLocation|null} generated
+ * @property {boolean} isInternal
+ * @property {boolean} isDependency
+ * @property {boolean} isUserCode
+ */
+
+/**
+ * @typedef {Object} LocalExplanation
+ * @property {string} what
+ * @property {string} why
+ * @property {string} fix
+ * @property {string|null} example
+ * @property {string} [rule] - The rule it came from ("pack/id")
+ */
+
+/**
+ * Stack trace and location patterns for each language
+ *
+ * Which output is an error, its type and message, and the offline
+ * explanations come from rule packs (see rule-packs.js and rules/),
+ * so teams can add their own without changing this file.
+ */
+const ERROR_PATTERNS = {
+  javascript: {
+    stackTraceIndicator: /at\s+(?:\S+\s+)?\(?.*:\d+:\d+\)?/,
+    fileLinePattern: [
+      /^(.+?\.[cm]?tsx?)\((\d+),(\d+)\): error TS/m,  // tsc (piped, not --pretty)
+      /at\s+.*\(?(.*):(\d+):(\d+)\)?/,
+    ],
+    // at fn (file:line:col) | at file:line:col
+    framePattern: /^\s*at\s+(?:async\s+)?(?:(.*?)\s+\()?([^()\s][^()]*?):(\d+):(\d+)\)?\s*$/,
+  },
+  
+  java: {
+    stackTraceIndicator: /at\s+[\w.$]+\([\w.]+:\d+\)/,
+    fileLinePattern: [
+      /at\s+[\w.$]+\(([\w.]+):(\d+)\)/,
+      /^(.+?\.java):(\d+): error:/m,                          // javac
+      /^\[ERROR\] (.+?\.java):\[(\d+),(\d+)\]/m,              // Maven
+    ],
+    // at [module/]pkg.Class.method(File.java:line) [~[lib.jar:version]]
+    framePattern: /^\s*at\s+((?:[\w.$@-]*\/)*)([\w.$<>]+)\(([^)]*)\)(?:\s*~?\[(.+?)\])?/,
+  },
+  
+  csharp: {
+    stackTraceIndicator: /at\s+[\w.<>]+\(.*\)\s+in\s+.*:line\s+\d+/,
+    fileLinePattern: [
+      /in\s+(.*):line\s+(\d+)/,
+      /^(.+?\.cs)\((\d+),(\d+)\): error/m,                     // Compiler error
+    ],
+    // at Namespace.Class.Method(args) [in path:line N]
+    framePattern: /^\s*at\s+([^(]+)\(.*?\)(?:\s+in\s+(.+?):line\s+(\d+))?\s*$/,
+  },
+
+  python: {
+    stackTraceIndicator: /File ".+", line \d+/,
+    fileLinePattern: /File "(.+?)", line (\d+)/,
+    framePattern: /^\s*File "(.+?)", line (\d+)(?:, in (.+))?$/,
+  }
+};
+
+/**
+ * Frame classification rules
+ *
+ * WHY: The first frame of a stack trace is often inside the runtime
+ * (node:internal, java.base) or a dependency (node_modules, Spring).
+ * Developers want the first frame in THEIR code.
+ */
+const JS_FRAME_WITHOUT_LOCATION = /^\s*at\s+(?:async\s+)?(.+?)\s+\((<anonymous>|native|index \d+)\)\s*$/;
+const JAVA_RUNTIME_PACKAGES = /^(?:java|javax|jdk|sun|com\.sun)\./;
+const JAVA_LIBRARY_PACKAGES = /^(?:org\.springframework|org\.apache|org\.hibernate|org\.junit|junit|org\.gradle|org\.slf4j|ch\.qos|com\.fasterxml|com\.google|io\.netty|reactor|kotlin|kotlinx|scala)\./;
+const CSHARP_RUNTIME_NAMESPACES = /^(?:System|Microsoft)\./;
+const PYTHON_DEPENDENCY_PATH = /[\\/](?:site-packages|dist-packages)[\\/]/;
+const PYTHON_STDLIB_PATH = /[\\/]lib[\\/]python\d+(?:\.\d+)?[\\/]|^<frozen /;
+
+/**
+ * Python traceback markers
+ *
+ * WHY: Python prints chained exceptions as several tracebacks joined by
+ * one of these separators. The error the user actually sees last (and
+ * needs to fix) is the final one.
+ */
+const PYTHON_TRACEBACK_HEADER = /^Traceback \(most recent call last\):$/m;
+const PYTHON_CHAIN_SEPARATORS = [
+  'During handling of the above exception, another exception occurred:',
+  'The above exception was the direct cause of the following exception:',
+];
+const PYTHON_EXCEPTION_LINE = /^((?:[A-Za-z_]\w*\.)*[A-Z]\w*)(?::\s*(.*))?$/;
+
+/**
+ * Lines that start a new error, per language (see splitErrors)
+ *
+ * - javascript: an unindented "TypeError: ..." line (each uncaught
+ *   error or failed test prints its own stack trace), or a tsc
+ *   "file.ts(3,5): error TS2322:" line
+ * - java: "Exception in thread ...", an unindented exception line, or a
+ *   javac "File.java:12: error:" / Maven "[ERROR] File.java:[12,5]" line
+ * - csharp: "Unhandled exception." or a compiler "error CS0103:" line
+ * - python: a traceback header (chained tracebacks are kept together)
+ */
+const ERROR_BOUNDARIES = {
+  javascript: /^(?:(?:Uncaught )?\w*(?:Error|Exception)(?: \[\w+\])?: |.+\.[cm]?tsx?\(\d+,\d+\): error TS\d+: )/,
+  java: /^(?:Exception in thread "|[\w.$]+(?:Exception|Error)(?::|$)|\S+\.java:\d+: error: |\[ERROR\] .+?\.java:\[\d+,\d+\] )/,
+  csharp: /^(?:Unhandled exception\. |.*\berror CS\d+: )/,
+  python: PYTHON_TRACEBACK_HEADER,
+};
+
+// Node prints "file.js:12", the code line and a caret above the error
+const JS_LOCATION_HEADER = /^\S.*:\d+$/;
+
+export class ErrorListener {
+  /**
+   * Options:
+   * - sourceMaps: SourceMapResolver for compiled JavaScript frames
+   * - rulePacks: extra rule packs, most specific first (e.g. project,
+   *   then user packs); they win over the built-in packs at equal
+   *   priority. Throws RulePackError for an invalid pack.
+   */
+  constructor(options = {}) {
+    this.patterns = ERROR_PATTERNS;
+    this.ruleSet = new RuleSet([...(options.rulePacks || []), ...BUILT_IN_RULE_PACKS]);
+    this.sourceMaps = options.sourceMaps || new SourceMapResolver();
+  }
+
+  /**
+   * Quick check if text looks like an error
+   * 
+   * WHY: We don't want to trigger AI for every output.
+   * Only analyze when there's likely an actual error.
+   */
+  detectError(text) {
+    const errorIndicators = [
+      /error/i,
+      /exception/i,
+      /failed/i,
+      /cannot/i,
+      /unable to/i,
+      /fatal/i,
+      /ENOENT|EACCES|ECONNREFUSED/,
+      /at\s+[\w.]+\(.*:\d+/,  // Stack trace pattern
+    ];
+
+    return errorIndicators.some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Analyze the error and extract useful information
+   *
+   * @returns {ErrorAnalysis}
+   */
+  analyzeError(errorText) {
+    // Child processes run with FORCE_COLOR, so strip color codes first
+    errorText = stripAnsi(errorText);
+
+    const candidates = this.classifyLanguage(errorText);
+    const analysis = {
+      isError: false,
+      language: candidates[0]?.language ?? null,
+      confidence: candidates[0]?.confidence ?? null,
+      candidates,
+      errorType: null,
+      errorMessage: null,
+      file: null,
+      line: null,
+      column: null,
+      generated: null,  // Compiled location, when file/line come from a source map
+      frames: [],
+      rule: null,
+      localExplanation: null,
+    };
+
+    // Python tracebacks need dedicated parsing (chained exceptions, frames)
+    if (analysis.language === 'python' && PYTHON_TRACEBACK_HEADER.test(errorText)) {
+      Object.assign(analysis, this.parsePythonTraceback(errorText));
+      analysis.frames = this.parseFrames(errorText, 'python');
+      analysis.isError = true;
+      analysis.localExplanation = this.getLocalExplanation(analysis, errorText);
+      return analysis;
+    }
+
+    // Rules without a language also run on output we don't recognize
+    const detected = this.ruleSet.detect(errorText, analysis.language || 'unknown');
+    if (detected) {
+      analysis.isError = true;
+      analysis.rule = detected.rule;
+      analysis.errorType = detected.fields.errorType;
+      analysis.errorMessage = detected.fields.errorMessage;
+    }
+
+    if (!analysis.language) {
+      // Try to still detect if it's an error
+      analysis.isError = analysis.isError || this.detectError(errorText);
+      analysis.language = 'unknown';
+    }
+
+    // Extract file and line number, preferring the top user-code frame,
+    // then a location the rule captured
+    const langPatterns = this.patterns[analysis.language];
+    analysis.frames = this.parseFrames(errorText, analysis.language);
+    const primary = this.findPrimaryFrame(analysis.frames);
+    if (primary) {
+      analysis.file = primary.file;
+      analysis.line = primary.line;
+      analysis.column = primary.column;
+      analysis.generated = primary.generated;
+    } else if (detected?.fields.file) {
+      analysis.file = detected.fields.file;
+      analysis.line = detected.fields.line;
+      analysis.column = detected.fields.column;
+    } else if (langPatterns?.fileLinePattern) {
+      const fileMatch = [].concat(langPatterns.fileLinePattern)
+        .map(pattern => errorText.match(pattern))
+        .find(Boolean);
+      if (fileMatch) {
+        analysis.file = fileMatch[1];
+        analysis.line = parseInt(fileMatch[2], 10);
+        analysis.column = fileMatch[3] ? parseInt(fileMatch[3], 10) : null;
+      }
+    }
+
+    // Get local explanation if available
+    analysis.localExplanation = this.getLocalExplanation(analysis, errorText);
+
+    return analysis;
+  }
+
+  /**
+   * Analyze an error reported by error-solution-ai-buddy/register (see error-report.js)
+   *
+   * `error` is the serialized Error, `text` the report as text. Type,
+   * message and code come from the Error itself, so nothing is guessed;
+   * frames are parsed from its (source-mapped) stack, or from the first
+   * AggregateError member / cause that has some.
+   *
+   * @returns {ErrorAnalysis}
+   */
+  analyzeReport(error, text) {
+    const frames = [error, ...error.errors, error.cause]
+      .filter(Boolean)
+      .map(related => (related.stack ? this.parseFrames(related.stack, 'javascript') : []))
+      .find(found => found.some(frame => frame.file)) || [];
+    const primary = this.findPrimaryFrame(frames);
+
+    const analysis = {
+      isError: true,
+      language: 'javascript',
+      confidence: 1,  // Reported by the Node.js process itself
+      candidates: [],
+      errorType: error.name || null,
+      errorMessage: error.message || null,
+      code: error.code,
+      file: primary ? primary.file : null,
+      line: primary ? primary.line : null,
+      column: primary ? primary.column : null,
+      generated: primary ? primary.generated : null,
+      frames,
+      rule: null,
+      localExplanation: null,
+    };
+    analysis.localExplanation = this.getLocalExplanation(analysis, text);
+
+    return analysis;
+  }
+
+  /**
+   * Split output into separate errors
+   *
+   * A build can print five compiler errors and a test run three
+   * failures; explaining all of it as one blob gives one muddled answer.
+   * Each error starts at a language-specific boundary line (see
+   * ERROR_BOUNDARIES); anything before the first one belongs to it.
+   *
+   * Identical errors (e.g. MSBuild repeats every error in its summary)
+   * are merged. Returns [{ text, analysis, count }] in order of first
+   * appearance, or [] if there is no error.
+   */
+  splitErrors(errorText) {
+    const text = stripAnsi(errorText);
+    const language = this.detectLanguage(text);
+    const lines = text.split(/\r?\n/);
+
+    const starts = [];
+    const boundaries = [];
+    const boundary = ERROR_BOUNDARIES[language];
+    lines.forEach((line, i) => {
+      if (boundary?.test(line) && !this.continuesError(lines, i, language)) {
+        starts.push(this.errorStart(lines, i, language, starts[starts.length - 1] ?? -1));
+        boundaries.push(line.trim());
+      }
+    });
+
+    if (starts.length <= 1) {
+      const analysis = this.analyzeError(text);
+      return analysis.isError ? [{ text, analysis, count: 1 }] : [];
+    }
+    starts[0] = 0;
+
+    const errors = [];
+    const seen = new Map();
+    starts.forEach((start, i) => {
+      const segment = lines.slice(start, starts[i + 1]).join('\n').trim();
+      const analysis = this.analyzeError(segment);
+      if (!analysis.isError) {
+        return;
+      }
+
+      // Same boundary line, error and location: a repeat (lines around
+      // it like "Build FAILED." may differ)
+      const { errorType, errorMessage, file, line } = analysis;
+      const key = JSON.stringify([boundaries[i], errorType, errorMessage, file, line]);
+      if (seen.has(key)) {
+        seen.get(key).count++;
+      } else {
+        const record = { text: segment, analysis, count: 1 };
+        seen.set(key, record);
+        errors.push(record);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Whether a boundary line is really part of the error before it
+   * (a chained Python traceback: "During handling of the above ...")
+   */
+  continuesError(lines, i, language) {
+    if (language !== 'python') {
+      return false;
+    }
+    const previous = lines.slice(Math.max(0, i - 3), i).map(line => line.trim()).filter(Boolean).pop();
+    return PYTHON_CHAIN_SEPARATORS.includes(previous);
+  }
+
+  /**
+   * First line of the error whose boundary is at line i
+   *
+   * For Node errors that is the "file.js:12 / code / ^" header above the
+   * error line, if there is one (not reaching into the previous error).
+   */
+  errorStart(lines, i, language, previousStart) {
+    if (language !== 'javascript') {
+      return i;
+    }
+
+    for (let j = i - 1; j > previousStart && j >= i - 5; j--) {
+      if (/^\s+at /.test(lines[j])) {
+        break;
+      }
+      if (JS_LOCATION_HEADER.test(lines[j])) {
+        return j;
+      }
+    }
+    return i;
+  }
+
+  /**
+   * Detect programming language from error output
+   *
+   * The best of classifyLanguage()'s candidates, or null when no
+   * language has any evidence.
+   */
+  detectLanguage(errorText) {
+    return this.classifyLanguage(errorText)[0]?.language ?? null;
+  }
+
+  /**
+   * Rank the languages the output could come from, with the evidence
+   * for each (see classifier.js)
+   *
+   * @returns {import('./classifier.js').LanguageCandidate[]}
+   */
+  classifyLanguage(errorText) {
+    return classifyLanguage(errorText, this.ruleSet);
+  }
+
+  /**
+   * Parse a Python traceback
+   *
+   * Returns the final exception (type + message), the innermost
+   * user-code frame, and any earlier exceptions in the chain.
+   */
+  parsePythonTraceback(errorText) {
+    // Split chained tracebacks; the last section holds the final exception
+    let sections = [errorText];
+    for (const separator of PYTHON_CHAIN_SEPARATORS) {
+      sections = sections.flatMap(section => section.split(separator));
+    }
+
+    const parsed = sections
+      .filter(section => PYTHON_TRACEBACK_HEADER.test(section) || /File ".+", line \d+/.test(section))
+      .map(section => this.parsePythonSection(section));
+
+    if (parsed.length === 0) {
+      return { errorType: null, errorMessage: null, file: null, line: null, column: null, chain: [] };
+    }
+
+    const final = parsed[parsed.length - 1];
+    return {
+      errorType: final.errorType,
+      errorMessage: final.errorMessage,
+      file: final.file,
+      line: final.line,
+      column: null,
+      chain: parsed.slice(0, -1).map(({ errorType, errorMessage }) => ({ errorType, errorMessage })),
+    };
+  }
+
+  /**
+   * Parse one traceback section (without chain separators)
+   */
+  parsePythonSection(section) {
+    // Innermost frame that isn't Python's stdlib or an installed package
+    const frame = this.findPrimaryFrame(this.parseFrames(section, 'python'));
+
+    // The exception line is the last unindented line matching `Type: message`
+    let errorType = null;
+    let errorMessage = null;
+    const lines = section.split(/\r?\n/).filter(line => line.trim());
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (/^\s/.test(lines[i])) continue;
+      const match = lines[i].match(PYTHON_EXCEPTION_LINE);
+      if (match) {
+        errorType = match[1];
+        errorMessage = match[2] || null;
+        break;
+      }
+    }
+
+    return {
+      errorType,
+      errorMessage,
+      file: frame ? frame.file : null,
+      line: frame ? frame.line : null,
+    };
+  }
+
+  /**
+   * Parse every stack frame in the output
+   *
+   * Frames are returned innermost first for every language
+   * (Python prints them outermost first, so those are reversed).
+   *
+   * Each frame: { function, file, line, column, generated, isInternal, isDependency, isUserCode }
+   * JavaScript frames in compiled files are mapped to the original
+   * source; `generated` is then the compiled location (else null).
+   *
+   * @returns {StackFrame[]}
+   */
+  parseFrames(errorText, language) {
+    const frames = [];
+
+    for (const line of stripAnsi(errorText).split(/\r?\n/)) {
+      const frame = this.parseFrameLine(line, language);
+      if (frame) {
+        // Compiled JavaScript: point at the .ts (etc.) source instead
+        const mapped = language === 'javascript' ? this.sourceMaps.mapFrame(frame) : frame;
+        frames.push(this.classifyFrame(mapped, language));
+      }
+    }
+
+    return language === 'python' ? frames.reverse() : frames;
+  }
+
+  /**
+   * Parse a single stack trace line (null if it isn't a frame)
+   */
+  parseFrameLine(line, language) {
+    const framePattern = this.patterns[language]?.framePattern;
+    if (!framePattern) {
+      return null;
+    }
+
+    const match = line.match(framePattern);
+
+    switch (language) {
+      case 'javascript': {
+        if (!match) {
+          // at Array.map (<anonymous>) - runtime frames without a location
+          const bare = line.match(JS_FRAME_WITHOUT_LOCATION);
+          return bare ? { function: bare[1], file: null, line: null, column: null } : null;
+        }
+        return {
+          function: match[1] || null,
+          file: this.normalizeFilePath(match[2]),
+          line: parseInt(match[3], 10),
+          column: parseInt(match[4], 10),
+        };
+      }
+
+      case 'java': {
+        if (!match) return null;
+        const location = match[3].match(/^(.+):(\d+)$/);
+        return {
+          function: match[2],
+          file: location ? location[1] : null,
+          line: location ? parseInt(location[2], 10) : null,
+          column: null,
+          module: match[1] ? match[1].replace(/\/+$/, '') : null,
+          library: match[4] || null,
+        };
+      }
+
+      case 'csharp':
+        if (!match) return null;
+        return {
+          function: match[1].trim(),
+          file: match[2] || null,
+          line: match[3] ? parseInt(match[3], 10) : null,
+          column: null,
+        };
+
+      case 'python':
+        if (!match) return null;
+        return {
+          function: match[3] || null,
+          file: match[1],
+          line: parseInt(match[2], 10),
+          column: null,
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Mark a frame as runtime-internal, dependency, or user code
+   */
+  classifyFrame(frame, language) {
+    let isInternal = false;
+    let isDependency = false;
+    const fn = frame.function || '';
+
+    switch (language) {
+      case 'javascript':
+        isInternal = !frame.file || /^(?:node:|internal\/)/.test(frame.file);
+        isDependency = !isInternal && /[\\/]node_modules[\\/]/.test(frame.file);
+        break;
+
+      case 'java':
+        isInternal = JAVA_RUNTIME_PACKAGES.test(fn) || /^(?:java|jdk)\./.test(frame.module || '');
+        isDependency = !isInternal && (JAVA_LIBRARY_PACKAGES.test(fn) || /\.jar\b/.test(frame.library || '') || !frame.file);
+        break;
+
+      case 'csharp':
+        isInternal = CSHARP_RUNTIME_NAMESPACES.test(fn);
+        // Frames without file info come from assemblies without debug symbols
+        isDependency = !isInternal && !frame.file;
+        break;
+
+      case 'python':
+        isDependency = PYTHON_DEPENDENCY_PATH.test(frame.file);
+        isInternal = !isDependency && PYTHON_STDLIB_PATH.test(frame.file);
+        break;
+    }
+
+    // Keep the frame shape identical across languages
+    return {
+      function: frame.function,
+      file: frame.file,
+      line: frame.line,
+      column: frame.column,
+      generated: frame.generated || null,
+      isInternal,
+      isDependency,
+      isUserCode: !isInternal && !isDependency,
+    };
+  }
+
+  /**
+   * Pick the frame to report as the error location
+   *
+   * Top user-code frame, else top frame with a file (e.g. all frames
+   * are in a dependency), else null.
+   *
+   * @returns {StackFrame|null}
+   */
+  findPrimaryFrame(frames) {
+    return frames.find(frame => frame.isUserCode && frame.file)
+      || frames.find(frame => frame.file && !frame.isInternal)
+      || frames.find(frame => frame.file)
+      || null;
+  }
+
+  /**
+   * Convert file:// URLs (ES module stack traces) to plain paths
+   */
+  normalizeFilePath(file) {
+    if (file.startsWith('file://')) {
+      try {
+        return fileURLToPath(file);
+      } catch {
+        return file;
+      }
+    }
+    return file;
+  }
+
+  /**
+   * Get local explanation for an error (used when AI is unavailable)
+   *
+   * Comes from the rule packs; see RuleSet.explain for which rule wins.
+   *
+   * @returns {LocalExplanation|null}
+   */
+  getLocalExplanation(analysis, errorText) {
+    return this.ruleSet.explain(analysis, errorText);
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Error Buddy Core - Error analysis and AI explanations
+ *
+ * Everything the CLI and the VS Code extension have in common: finding
+ * and parsing errors, telling which language they come from, the rule
+ * packs behind detection and offline explanations, redaction, the
+ * prompts and the AI providers, and suggested patches.
+ *
+ * Plain JavaScript with node: built-ins only: the CLI runs it as is, the
+ * extension's TypeScript build compiles it in (allowJs) and takes its
+ * types from the JSDoc @typedefs. One copy, one test suite (tests/);
+ * see docs/decisions.md, Decision 9.
+ */
+
+export { ErrorListener } from './error-listener.js';
+export { stripAnsi } from './ansi.js';
+export { LANGUAGE_SIGNALS, classifyLanguage } from './classifier.js';
+export { RuleSet, RulePackError, RULE_LANGUAGES, CAPTURE_FIELDS, validateRulePack, runExamples } from './rule-packs.js';
+export { BUILT_IN_RULE_PACKS } from './rules/index.js';
+export { PROJECT_RULES_DIR, RulePackLoader } from './rule-pack-loader.js';
+export { SourceMapResolver } from './source-maps.js';
+export { SourceContextReader } from './source-context.js';
+export { PatchError, parsePatch, applyPatch, formatPatch, checkPatch, isPatchApplied, writePatchedFile } from './patch.js';
+export { AIService } from './ai/ollama-service.js';
+export { PROVIDERS, createProvider } from './ai/providers.js';
+export { Redactor, BUILT_IN_RULES, buildRules, validateRules } from './ai/redaction.js';
+export { DEFAULT_MAX_ERROR_LENGTH, buildAIInput, sanitizeError } from './ai/ai-input.js';
+export { EXPLANATION_SCHEMA, parseExplanationJson, toExplanation, previewExplanation } from './ai/explanation-schema.js';
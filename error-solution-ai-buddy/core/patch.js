@@ -0,0 +1,241 @@
+/**
+ * Patch - Reads, checks and applies the unified diffs suggested by the AI
+ *
+ * The AI only sees a few lines around the error, and small models get
+ * hunk headers (@@ -12,3 +12,4 @@) wrong all the time. So the line
+ * numbers in a suggested patch are treated as a hint: each hunk is
+ * placed by finding its context and removed lines in the real file.
+ *
+ * A patch "applies cleanly" when every hunk matches exactly one place.
+ * Anything else is rejected - a wrong edit is worse than no edit.
+ *
+ * WHY not shell out to `git apply` / `patch`:
+ * 1. Not installed everywhere (Windows)
+ * 2. They trust the hunk headers, which the model gets wrong
+ */
+
+import { existsSync, copyFileSync, writeFileSync } from 'fs';
+
+export class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+// How far from the stated line a hunk is searched for first
+const NEARBY_LINES = 20;
+
+// "   12 | code" / ">> 12 | code" - the numbered format of the source shown to the AI
+const SOURCE_LINE_PREFIX = /^(?:>>)?\s*\d+ \| ?/;
+
+/**
+ * Parse a unified diff into hunks
+ *
+ * Returns [{ oldStart, lines: [{ type: ' ' | '-' | '+', text }] }]
+ * File headers (---/+++) are ignored: the caller knows which file it is.
+ * Lines before any @@ header form a hunk near `defaultLine` (models
+ * sometimes leave the header out).
+ */
+export function parsePatch(text, defaultLine = 1) {
+  const body = (text || '').replace(/^```(?:diff|patch)?[ \t]*\n?([\s\S]*?)\n?```\s*$/i, '$1');
+  const hunks = [];
+  let hunk = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (/^@@.*@@/.test(line)) {
+      const oldStart = line.match(/^@@ -(\d+)/);
+      hunk = { oldStart: oldStart ? Number(oldStart[1]) : defaultLine, lines: [] };
+      hunks.push(hunk);
+      continue;
+    }
+
+    // File headers and "\ No newline at end of file"
+    // ("---x;" inside a hunk is a removed "--x;", not a header)
+    const fileHeader = /^(?:--- |\+\+\+ )/.test(line) && (!hunk || /^(?:---|\+\+\+) [ab]\//.test(line));
+    if (fileHeader || line.startsWith('\\')) {
+      continue;
+    }
+    if (!hunk) {
+      if (!/^[ +-]/.test(line)) continue;
+      hunk = { oldStart: defaultLine, lines: [] };
+      hunks.push(hunk);
+    }
+
+    const type = line[0];
+    if (type === ' ' || type === '-' || type === '+') {
+      hunk.lines.push({ type, text: line.slice(1) });
+    } else if (line === '') {
+      // Editors and models drop the space of empty context lines
+      hunk.lines.push({ type: ' ', text: '' });
+    } else {
+      throw new PatchError(`Unexpected line in patch: ${line}`);
+    }
+  }
+
+  // A trailing empty "context" line is just the end of the text
+  for (const h of hunks) {
+    while (h.lines.length && h.lines[h.lines.length - 1].type === ' ' && h.lines[h.lines.length - 1].text === '') {
+      h.lines.pop();
+    }
+  }
+
+  // Small models sometimes copy the line numbers of the source they were
+  // shown. Only strip them if every line has one (real code rarely does).
+  const allLines = hunks.flatMap(h => h.lines).filter(l => l.text !== '');
+  if (allLines.length > 0 && allLines.every(l => SOURCE_LINE_PREFIX.test(l.text))) {
+    allLines.forEach(l => { l.text = l.text.replace(SOURCE_LINE_PREFIX, ''); });
+  }
+
+  const changed = hunks.filter(h => h.lines.some(l => l.type !== ' '));
+  if (changed.length === 0) {
+    throw new PatchError('Patch has no changes');
+  }
+  return changed;
+}
+
+/**
+ * Apply a patch to file content
+ *
+ * Returns { content, hunks } where `hunks` have the real line numbers.
+ * Throws PatchError if any hunk doesn't match exactly one place.
+ */
+export function applyPatch(content, patch, defaultLine = 1) {
+  const hunks = typeof patch === 'string' ? parsePatch(patch, defaultLine) : patch;
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+
+  // Place every hunk first, then apply from the bottom up so earlier
+  // line numbers stay valid
+  const placed = hunks.map(hunk => ({ ...hunk, oldStart: locateHunk(lines, hunk) }));
+  placed.sort((a, b) => a.oldStart - b.oldStart);
+
+  for (let i = 1; i < placed.length; i++) {
+    const previous = placed[i - 1];
+    if (previous.oldStart + oldLines(previous).length > placed[i].oldStart) {
+      throw new PatchError('Patch hunks overlap');
+    }
+  }
+
+  for (const hunk of [...placed].reverse()) {
+    const replacement = hunk.lines.filter(l => l.type !== '-').map(l => l.text);
+    lines.splice(hunk.oldStart - 1, oldLines(hunk).length, ...replacement);
+  }
+
+  return { content: lines.join(eol), hunks: placed };
+}
+
+/**
+ * Find the (1-based) line where a hunk's old lines are
+ *
+ * Lines are compared without trailing whitespace, which models often drop.
+ */
+function locateHunk(lines, hunk) {
+  const expected = oldLines(hunk).map(text => text.trimEnd());
+  if (expected.length === 0) {
+    throw new PatchError('Patch hunk has no context lines to place it');
+  }
+
+  const matchesAt = (start) => expected.every((text, i) => lines[start + i]?.trimEnd() === text);
+  const matches = [];
+  for (let start = 0; start + expected.length <= lines.length; start++) {
+    if (matchesAt(start)) matches.push(start + 1);
+  }
+
+  if (matches.length === 0) {
+    throw new PatchError(`Patch does not match the file near line ${hunk.oldStart}`);
+  }
+
+  // Repeated code (e.g. two identical "}" blocks): trust the stated line if it's close
+  const nearby = matches.filter(line => Math.abs(line - hunk.oldStart) <= NEARBY_LINES);
+  if (matches.length > 1 && nearby.length !== 1) {
+    throw new PatchError(`Patch matches more than one place near line ${hunk.oldStart}`);
+  }
+  return matches.length === 1 ? matches[0] : nearby[0];
+}
+
+function oldLines(hunk) {
+  return hunk.lines.filter(l => l.type !== '+').map(l => l.text);
+}
+
+/**
+ * Write hunks as a clean unified diff with correct headers
+ *
+ * Example:
+ * --- a/src/app.js
+ * +++ b/src/app.js
+ * @@ -12,2 +12,3 @@
+ *    const user = users[id];
+ * +  if (!user) return null;
+ *    return user.name;
+ */
+export function formatPatch(hunks, file) {
+  const out = [`--- a/${file}`, `+++ b/${file}`];
+  let offset = 0;
+
+  for (const hunk of hunks) {
+    const oldCount = hunk.lines.filter(l => l.type !== '+').length;
+    const newCount = hunk.lines.filter(l => l.type !== '-').length;
+
+    out.push(`@@ -${hunk.oldStart},${oldCount} +${hunk.oldStart + offset},${newCount} @@`);
+    out.push(...hunk.lines.map(l => l.type + l.text));
+    offset += newCount - oldCount;
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Check a suggested patch against the real file
+ *
+ * Returns the patch as a clean diff, or null if it doesn't apply.
+ * `line` is the failing line, used for hunks without an @@ header.
+ */
+export function checkPatch(patch, content, file, line = 1) {
+  if (!patch) {
+    return null;
+  }
+
+  try {
+    return formatPatch(applyPatch(content, patch, line).hunks, file);
+  } catch (err) {
+    if (err instanceof PatchError) return null;
+    throw err;
+  }
+}
+
+/**
+ * Check whether a patch is already in the file (applying it in reverse works)
+ */
+export function isPatchApplied(content, patch) {
+  const swap = { '+': '-', '-': '+', ' ': ' ' };
+
+  try {
+    const reversed = parsePatch(patch).map(hunk => ({
+      ...hunk,
+      lines: hunk.lines.map(l => ({ ...l, type: swap[l.type] })),
+    }));
+    applyPatch(content, reversed);
+    return true;
+  } catch (err) {
+    if (err instanceof PatchError) return false;
+    throw err;
+  }
+}
+
+/**
+ * Write patched content, keeping a copy of the original first
+ *
+ * The backup is named after the history entry (app.js.errbuddy-12.bak)
+ * and never overwrites an earlier backup. Returns the backup path.
+ */
+export function writePatchedFile(filePath, content, id) {
+  let backupPath = `${filePath}.errbuddy-${id}.bak`;
+  for (let n = 2; existsSync(backupPath); n++) {
+    backupPath = `${filePath}.errbuddy-${id}-${n}.bak`;
+  }
+
+  copyFileSync(filePath, backupPath);
+  writeFileSync(filePath, content);
+  return backupPath;
+}
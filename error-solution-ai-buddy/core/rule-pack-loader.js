@@ -0,0 +1,138 @@
+/**
+ * Rule Pack Loader - Reads rule packs from YAML and JSON files
+ *
+ * Packs are read from two directories (*.yaml, *.yml and *.json, in
+ * name order):
+ * 1. Project: the nearest .errbuddy/rules found walking up from cwd
+ * 2. User: ~/.errbuddy/rules
+ *
+ * Project packs come first, so at equal priority they win over user
+ * packs, which win over the built-in packs (see core/rule-packs.js).
+ *
+ * The CLI and the VS Code extension both load packs with it, so a pack
+ * works the same in either.
+ *
+ * WHY a broken pack is an error, not skipped:
+ * Same as config files - a rule that silently never matches looks like
+ * a bug in the rule. "errbuddy rules test <file>" shows what is wrong.
+ *
+ * WHY the YAML parser is passed in: core only uses Node built-ins (see
+ * index.js), and Node has no YAML parser. The CLI and the extension
+ * pass the yaml package's parse().
+ */
+
+import { join, dirname, extname, resolve } from 'path';
+import { homedir } from 'os';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { RulePackError, validateRulePack } from './rule-packs.js';
+import { BUILT_IN_RULE_PACKS } from './rules/index.js';
+
+export const PROJECT_RULES_DIR = join('.errbuddy', 'rules');
+
+const PACK_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+export class RulePackLoader {
+  /**
+   * Options:
+   * - cwd: where to start looking for the project directory
+   * - userDir: the user's rule packs (default ~/.errbuddy/rules)
+   * - parseYaml: (text) => data, for .yaml and .yml packs (without it,
+   *   only JSON packs can be read)
+   */
+  constructor(options = {}) {
+    this.parseYaml = options.parseYaml || null;
+    this.userDir = resolve(options.userDir || join(homedir(), '.errbuddy', 'rules'));
+    this.projectDir = this.findProjectDir(options.cwd || process.cwd());
+  }
+
+  /**
+   * Every project and user pack, project packs first
+   *
+   * Each pack gets `source` ('project' or 'user') and `file`. Throws
+   * RulePackError for a pack that can't be read or is invalid, or two
+   * packs with the same name.
+   */
+  load() {
+    const packs = [
+      ...this.readDir(this.projectDir, 'project'),
+      ...this.readDir(this.userDir, 'user'),
+    ];
+
+    const files = new Map(BUILT_IN_RULE_PACKS.map(pack => [pack.name, 'the built-in packs']));
+    for (const pack of packs) {
+      if (files.has(pack.name)) {
+        throw new RulePackError(`Rule pack name "${pack.name}" in ${pack.file} is already used by ${files.get(pack.name)}`);
+      }
+      files.set(pack.name, pack.file);
+    }
+
+    return packs;
+  }
+
+  /**
+   * Read and validate one pack file
+   */
+  readPack(filePath, source = 'file') {
+    let text;
+    try {
+      text = readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      throw new RulePackError(`Cannot read rule pack ${filePath}: ${err.message}`);
+    }
+
+    let data;
+    const isJson = extname(filePath).toLowerCase() === '.json';
+    if (!isJson && !this.parseYaml) {
+      throw new RulePackError(`Cannot read rule pack ${filePath}: YAML packs are not supported here, use JSON`);
+    }
+    try {
+      data = isJson ? JSON.parse(text) : this.parseYaml(text);
+    } catch (err) {
+      throw new RulePackError(`Invalid ${isJson ? 'JSON' : 'YAML'} in ${filePath}: ${err.message}`);
+    }
+
+    const valid = validateRulePack(data);
+    if (valid !== true) {
+      throw new RulePackError(`Invalid rule pack ${filePath}: ${valid}`);
+    }
+
+    return { ...data, source, file: filePath };
+  }
+
+  /**
+   * The packs in one directory (none if it doesn't exist)
+   */
+  readDir(dir, source) {
+    if (!dir || !existsSync(dir)) {
+      return [];
+    }
+
+    return readdirSync(dir)
+      .filter(name => PACK_EXTENSIONS.includes(extname(name).toLowerCase()))
+      .sort()
+      .map(name => this.readPack(join(dir, name), source));
+  }
+
+  /**
+   * Find the nearest .errbuddy/rules directory, walking up from `startDir`
+   *
+   * The user directory doesn't count (~/.errbuddy/rules is found when
+   * working anywhere in the home directory).
+   */
+  findProjectDir(startDir) {
+    let dir = resolve(startDir);
+
+    while (true) {
+      const candidate = join(dir, PROJECT_RULES_DIR);
+      if (candidate !== this.userDir && existsSync(candidate)) {
+        return candidate;
+      }
+
+      const parent = dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * Rule Packs - Error patterns and offline explanations as data
+ *
+ * A rule pack is a named list of rules. Each rule is a regular
+ * expression plus what to do when it matches the output:
+ * - captures: the rule detects the error and fills in analysis fields
+ *   from its groups
+ * - explanation: the what/why/fix/example shown without AI
+ *
+ *   name: acme
+ *   language: java                 # default for the rules below
+ *   rules:
+ *     - id: quota
+ *       match: '^(com\.acme\.QuotaExceededException): (.*)$'
+ *       captures: { errorType: 1, errorMessage: 2 }
+ *       priority: 10
+ *       explanation:
+ *         what: Your Acme API key ran out of requests.
+ *         why: ...
+ *         fix: ...
+ *
+ * The built-in packs (rules/) use the same schema as the YAML/JSON
+ * packs users add, and go through the same validation and matching.
+ * Reading pack files is up to the caller; the full schema is in
+ * docs/rule-packs.md.
+ *
+ * WHY data instead of code:
+ * Teams have errors we will never ship patterns for (their exception
+ * classes, their SDK's error codes). A file in the repo or in
+ * ~/.errbuddy/rules adds them without forking.
+ */
+
+export const RULE_LANGUAGES = ['javascript', 'java', 'csharp', 'python'];
+export const CAPTURE_FIELDS = ['errorType', 'errorMessage', 'file', 'line', 'column'];
+
+const PACK_KEYS = ['name', 'description', 'language', 'rules'];
+// Set by the loader (where the pack came from), not written in packs
+const LOADER_KEYS = ['source', 'file'];
+const RULE_KEYS = ['id', 'language', 'match', 'flags', 'captures', 'errorType', 'priority', 'explanation', 'examples'];
+const EXPLANATION_KEYS = ['what', 'why', 'fix', 'example'];
+const EXAMPLE_KEYS = ['log', 'expect'];
+const NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Error thrown for rule packs that can't be read or used
+ */
+export class RulePackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RulePackError';
+  }
+}
+
+/**
+ * Check a rule pack against the schema
+ *
+ * Returns true, or a message describing the first problem.
+ */
+export function validateRulePack(pack) {
+  if (!isObject(pack)) {
+    return 'a rule pack must be an object with "name" and "rules"';
+  }
+
+  const unknownKey = findUnknownKey(pack, PACK_KEYS, { ignore: LOADER_KEYS });
+  if (unknownKey) {
+    return unknownKey;
+  }
+  if (typeof pack.name !== 'string' || !NAME_PATTERN.test(pack.name)) {
+    return '"name" must be a word (letters, digits, ".", "-" and "_")';
+  }
+  if (pack.description !== undefined && typeof pack.description !== 'string') {
+    return '"description" must be a string';
+  }
+  if (pack.language !== undefined && !RULE_LANGUAGES.includes(pack.language)) {
+    return `"language" must be one of: ${RULE_LANGUAGES.join(', ')}`;
+  }
+  if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+    return '"rules" must be a list with at least one rule';
+  }
+
+  const ids = new Set();
+  for (const [i, rule] of pack.rules.entries()) {
+    const label = isObject(rule) && typeof rule.id === 'string' ? `rule "${rule.id}"` : `rule ${i + 1}`;
+    const problem = validateRule(rule);
+    if (problem) {
+      return `${label}: ${problem}`;
+    }
+    if (ids.has(rule.id)) {
+      return `${label}: another rule has the same id`;
+    }
+    ids.add(rule.id);
+  }
+
+  return true;
+}
+
+/**
+ * The first problem with one rule (null if there is none)
+ */
+function validateRule(rule) {
+  if (!isObject(rule)) {
+    return 'must be an object';
+  }
+
+  const unknownKey = findUnknownKey(rule, RULE_KEYS);
+  if (unknownKey) {
+    return unknownKey;
+  }
+  if (typeof rule.id !== 'string' || !NAME_PATTERN.test(rule.id)) {
+    return '"id" must be a word (letters, digits, ".", "-" and "_")';
+  }
+  if (rule.language !== undefined && !RULE_LANGUAGES.includes(rule.language)) {
+    return `"language" must be one of: ${RULE_LANGUAGES.join(', ')}`;
+  }
+  if (rule.captures === undefined && rule.explanation === undefined) {
+    return 'needs "captures" (to detect the error), an "explanation", or both';
+  }
+  if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !/^[isu]*$/.test(rule.flags))) {
+    return '"flags" can only contain i, s and u ("m" is always on)';
+  }
+  if (rule.errorType !== undefined && (typeof rule.errorType !== 'string' || !rule.errorType)) {
+    return '"errorType" must be a non-empty string';
+  }
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+    return '"priority" must be a number';
+  }
+
+  let regex = null;
+  if (rule.match !== undefined) {
+    if (typeof rule.match !== 'string' || !rule.match) {
+      return '"match" must be a regular expression';
+    }
+    try {
+      regex = compileMatch(rule);
+    } catch (err) {
+      return `"match" is not a valid regular expression: ${err.message}`;
+    }
+  }
+
+  if (rule.captures !== undefined) {
+    if (!regex) {
+      return '"captures" needs a "match" to capture from';
+    }
+    const problem = validateCaptures(rule.captures, regex);
+    if (problem) {
+      return problem;
+    }
+  }
+
+  if (rule.explanation !== undefined) {
+    if (!regex && rule.errorType === undefined) {
+      return 'an explanation needs a "match" or an "errorType" to know when it applies';
+    }
+    const problem = validateExplanation(rule.explanation);
+    if (problem) {
+      return problem;
+    }
+  }
+
+  return rule.examples === undefined ? null : validateExamples(rule.examples);
+}
+
+/**
+ * Captures map analysis fields to groups of the match: a group number
+ * (0 is the whole match), a group name, or a list of them (the first
+ * group that matched something is used)
+ */
+function validateCaptures(captures, regex) {
+  if (!isObject(captures)) {
+    return '"captures" must be an object (use {} to detect without capturing)';
+  }
+
+  // Matching the pattern or nothing always succeeds, and shows its groups
+  const probe = new RegExp(`${regex.source}|`, regex.flags).exec('');
+  const groupCount = probe.length - 1;
+  const groupNames = Object.keys(probe.groups || {});
+
+  for (const [field, refs] of Object.entries(captures)) {
+    if (!CAPTURE_FIELDS.includes(field)) {
+      return `"captures" can't set "${field}" (only ${CAPTURE_FIELDS.join(', ')})`;
+    }
+    const list = [].concat(refs);
+    if (list.length === 0) {
+      return `"captures.${field}" must name at least one group`;
+    }
+    for (const ref of list) {
+      if (Number.isInteger(ref) ? ref < 0 || ref > groupCount : !groupNames.includes(ref)) {
+        return `"captures.${field}" refers to group ${JSON.stringify(ref)}, which "match" doesn't have`;
+      }
+    }
+  }
+
+  return null;
+}
+
+function validateExplanation(explanation) {
+  if (!isObject(explanation)) {
+    return '"explanation" must be an object with what, why and fix';
+  }
+
+  const unknownKey = findUnknownKey(explanation, EXPLANATION_KEYS, { prefix: 'explanation.' });
+  if (unknownKey) {
+    return unknownKey;
+  }
+  for (const key of ['what', 'why', 'fix']) {
+    if (typeof explanation[key] !== 'string' || !explanation[key].trim()) {
+      return `"explanation.${key}" must be a non-empty string`;
+    }
+  }
+  if (explanation.example !== undefined && typeof explanation.example !== 'string') {
+    return '"explanation.example" must be a string';
+  }
+
+  return null;
+}
+
+function validateExamples(examples) {
+  if (!Array.isArray(examples)) {
+    return '"examples" must be a list';
+  }
+
+  for (const [i, example] of examples.entries()) {
+    if (!isObject(example) || typeof example.log !== 'string') {
+      return `example ${i + 1} needs a "log" (the output to test with)`;
+    }
+    const unknownKey = findUnknownKey(example, EXAMPLE_KEYS, { prefix: `examples[${i}].` });
+    if (unknownKey) {
+      return unknownKey;
+    }
+    if (example.expect !== undefined) {
+      if (!isObject(example.expect)) {
+        return `"examples[${i}].expect" must be an object`;
+      }
+      const field = Object.keys(example.expect).find(key => !CAPTURE_FIELDS.includes(key));
+      if (field) {
+        return `"examples[${i}].expect" can't check "${field}" (only ${CAPTURE_FIELDS.join(', ')})`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The rules of several packs, ready to match
+ *
+ * Rules are tried by priority (higher first, default 0). Between rules
+ * of the same priority, earlier packs win: pass the packs closest to
+ * the user first (project, then user, then the built-in ones).
+ */
+export class RuleSet {
+  constructor(packs) {
+    let order = 0;
+    this.rules = packs
+      .flatMap((pack) => {
+        const valid = validateRulePack(pack);
+        if (valid !== true) {
+          throw new RulePackError(`Invalid rule pack ${pack?.file || pack?.name || ''}: ${valid}`);
+        }
+        return pack.rules.map(rule => compileRule(rule, pack, order++));
+      })
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+
+  /**
+   * Find the rule that detects the error in `text`
+   *
+   * Returns { rule, language, fields } - rule is its id ("pack/id"),
+   * language null for rules that apply to any output, fields every
+   * capture field (null if not captured) - or null if no rule matches.
+   */
+  detect(text, language) {
+    return this.detectAll(text, language)[0] || null;
+  }
+
+  /**
+   * Every rule that detects an error in `text`, in the order they are
+   * tried (see detect)
+   */
+  detectAll(text, language) {
+    const found = [];
+    for (const rule of this.rules) {
+      if (!rule.captures || !appliesTo(rule, language)) {
+        continue;
+      }
+
+      const match = text.match(rule.regex);
+      if (match) {
+        found.push({ rule: rule.id, language: rule.language, fields: captureFields(rule.captures, match) });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Find the offline explanation for an analyzed error
+   *
+   * A rule with an errorType only applies when the type is in the
+   * output. Rules for the detected type (or the rule that detected the
+   * error) go before rules that just match somewhere in the output,
+   * so that chained errors (Python's "During handling of the above
+   * exception", Java's "Caused by:") explain the final error.
+   *
+   * Returns { what, why, fix, example, rule } or null.
+   */
+  explain(analysis, text) {
+    const candidates = [];
+    for (const rule of this.rules) {
+      if (!rule.explanation || !appliesTo(rule, analysis.language) || (rule.regex && !rule.regex.test(text))) {
+        continue;
+      }
+
+      const level = explanationLevel(rule, analysis, text);
+      if (level !== null) {
+        candidates.push({ rule, level });
+      }
+    }
+
+    candidates.sort((a, b) => b.rule.priority - a.rule.priority || a.level - b.level || a.rule.order - b.rule.order);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const { id, explanation } = candidates[0].rule;
+    return { what: explanation.what, why: explanation.why, fix: explanation.fix, example: explanation.example ?? null, rule: id };
+  }
+}
+
+/**
+ * Run the examples of a pack's rules
+ *
+ * `errorListener` must have the pack loaded. An example passes when
+ * its rule is the one that detects (for rules with captures) and
+ * explains (for rules with an explanation) the log, and the analysis
+ * has the expected fields.
+ *
+ * Returns [{ rule, log, analysis, failures }] - failures is empty for
+ * an example that passed.
+ */
+export function runExamples(pack, errorListener) {
+  return pack.rules.flatMap(rule => (rule.examples || []).map((example) => {
+    const id = ruleId(pack, rule);
+    const analysis = errorListener.analyzeError(example.log);
+    const failures = [];
+
+    if (rule.captures && analysis.rule !== id) {
+      failures.push(`detected by ${analysis.rule || 'no rule'}`);
+    }
+    if (rule.explanation && analysis.localExplanation?.rule !== id) {
+      failures.push(`explained by ${analysis.localExplanation?.rule || 'no rule'}`);
+    }
+    for (const [field, expected] of Object.entries(example.expect || {})) {
+      if (analysis[field] !== expected) {
+        failures.push(`${field} is ${JSON.stringify(analysis[field])}, expected ${JSON.stringify(expected)}`);
+      }
+    }
+
+    return { rule: id, log: example.log, analysis, failures };
+  }));
+}
+
+function compileRule(rule, pack, order) {
+  return {
+    id: ruleId(pack, rule),
+    pack: pack.name,
+    source: pack.source || 'built-in',
+    file: pack.file || null,
+    language: rule.language || pack.language || null,
+    regex: rule.match === undefined ? null : compileMatch(rule),
+    captures: rule.captures || null,
+    errorType: rule.errorType || null,
+    priority: rule.priority ?? 0,
+    explanation: rule.explanation || null,
+    order,
+  };
+}
+
+function ruleId(pack, rule) {
+  return `${pack.name}/${rule.id}`;
+}
+
+// "m" always: rules are written against lines of output
+function compileMatch(rule) {
+  return new RegExp(rule.match, `m${rule.flags || ''}`);
+}
+
+// Rules without a language apply to any output, even unrecognized output
+function appliesTo(rule, language) {
+  return !rule.language || rule.language === language;
+}
+
+/**
+ * 0: about the detected error, 1: about something in the output,
+ * null: doesn't apply
+ */
+function explanationLevel(rule, analysis, text) {
+  if (rule.id === analysis.rule || (rule.errorType && analysis.errorType?.includes(rule.errorType))) {
+    return 0;
+  }
+  if (!rule.errorType || text.includes(rule.errorType)) {
+    return 1;
+  }
+  return null;
+}
+
+function captureFields(captures, match) {
+  const fields = Object.fromEntries(CAPTURE_FIELDS.map(field => [field, null]));
+  for (const [field, refs] of Object.entries(captures)) {
+    const value = [].concat(refs)
+      .map(ref => (Number.isInteger(ref) ? match[ref] : match.groups?.[ref]))
+      .find(Boolean);
+    if (value) {
+      fields[field] = field === 'line' || field === 'column' ? parseInt(value, 10) || null : value;
+    }
+  }
+  return fields;
+}
+
+function findUnknownKey(object, keys, { prefix = '', ignore = [] } = {}) {
+  const key = Object.keys(object).find(name => !keys.includes(name) && !ignore.includes(name));
+  return key === undefined ? null : `unknown key "${prefix}${key}" (expected ${keys.join(', ')})`;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
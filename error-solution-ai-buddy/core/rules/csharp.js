@@ -0,0 +1,89 @@
+/**
+ * Built-in rule pack: .NET exceptions and C# compiler errors
+ *
+ * Compiler errors are keyed by their CS code (CS0103, ...), which is
+ * the part that stays the same across messages and locales.
+ */
+
+export default {
+  name: 'csharp',
+  description: '.NET exceptions and C# compiler errors',
+  language: 'csharp',
+  rules: [
+    // Detection
+    { id: 'unhandled-exception', match: '^Unhandled exception\\. (\\w+(?:\\.\\w+)*): (.*)$', captures: { errorType: 1, errorMessage: [2, 1] } },
+    { id: 'exception-line', match: '^(\\w+(?:\\.\\w+)*Exception): (.*)$', captures: { errorType: 1, errorMessage: [2, 1] } },
+    // MSBuild appends the project ("[App.csproj]"): not part of the message
+    { id: 'compiler-error', match: 'error (CS\\d+): (.+?)(?:\\s+\\[[^\\]]*\\])?$', captures: { errorType: 1, errorMessage: 2 } },
+    { id: 'null-reference', match: 'Object reference not set', captures: {} },
+    { id: 'index-out-of-range', match: 'Index was outside the bounds', captures: {} },
+    { id: 'missing-type', match: 'The type or namespace name .* could not be found', captures: {} },
+
+    // Offline explanations
+    {
+      id: 'null-reference-explained',
+      errorType: 'NullReferenceException',
+      explanation: {
+        what: 'You tried to use an object that is null.',
+        why: 'A variable wasn\'t initialized, or a method returned null.',
+        fix: 'Add null checks or use null-conditional operators.',
+        example: `// Instead of: user.Name
+// Use null-conditional:
+var name = user?.Name;
+
+// Or null check:
+if (user != null)
+{
+    var name = user.Name;
+}`,
+      },
+    },
+    {
+      id: 'index-out-of-range-explained',
+      errorType: 'IndexOutOfRangeException',
+      explanation: {
+        what: 'You tried to access an array/list index that doesn\'t exist.',
+        why: 'The index is negative or greater than the collection size.',
+        fix: 'Check collection length before accessing an index.',
+        example: `// Wrong:
+var items = new int[5];
+var x = items[5]; // Error!
+
+// Right:
+if (index >= 0 && index < items.Length)
+{
+    var x = items[index];
+}`,
+      },
+    },
+    {
+      id: 'cs0103',
+      errorType: 'CS0103',
+      explanation: {
+        what: 'The name you\'re using doesn\'t exist in the current context.',
+        why: 'Variable not declared, typo, or missing using statement.',
+        fix: 'Check variable spelling and add any missing using statements.',
+        example: `// Did you forget to add:
+using System.Linq;
+using YourNamespace;
+
+// Or declare the variable:
+var myVariable = "value";`,
+      },
+    },
+    {
+      id: 'cs0246',
+      errorType: 'CS0246',
+      explanation: {
+        what: 'C# cannot find a type or namespace you\'re trying to use.',
+        why: 'Missing using statement, missing NuGet package, or typo.',
+        fix: 'Add the using statement or install the required NuGet package.',
+        example: `// Add using statement:
+using Newtonsoft.Json;
+
+// Or install package:
+// dotnet add package Newtonsoft.Json`,
+      },
+    },
+  ],
+};
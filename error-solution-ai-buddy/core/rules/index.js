@@ -0,0 +1,14 @@
+/**
+ * Built-in rule packs
+ *
+ * Written as modules rather than YAML so that the extension's
+ * TypeScript build compiles them in like the rest of core/; the schema
+ * is the one user packs use (see ../rule-packs.js).
+ */
+
+import javascript from './javascript.js';
+import java from './java.js';
+import csharp from './csharp.js';
+import python from './python.js';
+
+export const BUILT_IN_RULE_PACKS = [javascript, java, csharp, python];
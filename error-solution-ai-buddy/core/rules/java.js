@@ -0,0 +1,88 @@
+/**
+ * Built-in rule pack: Java runtime exceptions and javac/Maven errors
+ *
+ * Compiler messages have no exception type, so their rules use the
+ * message as the type (errors are grouped by type in the history).
+ */
+
+export default {
+  name: 'java',
+  description: 'Java exceptions and javac/Maven compiler errors',
+  language: 'java',
+  rules: [
+    // Detection
+    { id: 'uncaught-exception', match: '^Exception in thread ".*" (\\w+(?:\\.\\w+)*): (.*)$', captures: { errorType: 1, errorMessage: [2, 1] } },
+    { id: 'exception-line', match: '^(\\w+(?:\\.\\w+)*Exception): (.*)$', captures: { errorType: 1, errorMessage: [2, 1] } },
+    { id: 'error-line', match: '^(\\w+(?:\\.\\w+)*Error): (.*)$', captures: { errorType: 1, errorMessage: [2, 1] } },
+    { id: 'caused-by', match: '^Caused by: (\\w+(?:\\.\\w+)*): (.*)$', captures: { errorType: 1, errorMessage: [2, 1] } },
+    { id: 'maven-compiler-error', match: '^\\[ERROR\\] .+?\\.java:\\[\\d+,\\d+\\] (.+)$', captures: { errorType: 1, errorMessage: 1 } },
+    // javac names the missing symbol a few lines further down ("symbol:   variable pirce")
+    { id: 'cannot-find-symbol', match: '(cannot find symbol)(?:(?:\\n.*){0,2}\\n\\s*symbol:\\s+(.+))?', captures: { errorType: 1, errorMessage: [2, 1] } },
+    { id: 'compiler-error', match: 'error: (.+)', captures: { errorType: 1, errorMessage: 1 } },
+    { id: 'incompatible-types', match: 'incompatible types', captures: {} },
+
+    // Offline explanations
+    {
+      id: 'null-pointer',
+      errorType: 'NullPointerException',
+      explanation: {
+        what: 'You tried to use an object that is null (doesn\'t exist).',
+        why: 'A variable wasn\'t initialized, or a method returned null.',
+        fix: 'Add null checks before using objects.',
+        example: `// Instead of: user.getName()
+// Do this:
+if (user != null) {
+    user.getName();
+}
+
+// Or use Optional:
+Optional.ofNullable(user).map(User::getName);`,
+      },
+    },
+    {
+      id: 'array-index-out-of-bounds',
+      errorType: 'ArrayIndexOutOfBoundsException',
+      explanation: {
+        what: 'You tried to access an array index that doesn\'t exist.',
+        why: 'Arrays are 0-indexed, so an array of size 5 has indices 0-4.',
+        fix: 'Check array length before accessing an index.',
+        example: `// Wrong: accessing index 5 in array of size 5
+int[] arr = new int[5];
+arr[5] = 10; // Error! Valid indices are 0-4
+
+// Right:
+if (index >= 0 && index < arr.length) {
+    arr[index] = 10;
+}`,
+      },
+    },
+    {
+      id: 'class-not-found',
+      errorType: 'ClassNotFoundException',
+      explanation: {
+        what: 'Java cannot find a class you\'re trying to use.',
+        why: 'The class isn\'t in your classpath, or the name is misspelled.',
+        fix: 'Check your dependencies (pom.xml/build.gradle) and class name.',
+        example: `// Check:
+// 1. Is the dependency in pom.xml?
+// 2. Did you run 'mvn install'?
+// 3. Is the class name spelled correctly?
+// 4. Is the import statement correct?`,
+      },
+    },
+    {
+      id: 'cannot-find-symbol-explained',
+      errorType: 'cannot find symbol',
+      explanation: {
+        what: 'Java compiler cannot find a variable, method, or class you\'re using.',
+        why: 'Typo in name, missing import, or wrong scope.',
+        fix: 'Check spelling and make sure imports are correct.',
+        example: `// Common causes:
+// 1. Typo: myVarible instead of myVariable
+// 2. Missing import statement
+// 3. Variable declared in different scope
+// 4. Method doesn't exist in that class`,
+      },
+    },
+  ],
+};
@@ -0,0 +1,112 @@
+/**
+ * Built-in rule pack: JavaScript, Node.js and the TypeScript compiler
+ *
+ * Detection rules are tried in this order (first match wins), so the
+ * "TypeError: message" style lines come before the loose fallbacks.
+ */
+
+export default {
+  name: 'javascript',
+  description: 'Node.js runtime errors and tsc compiler errors',
+  language: 'javascript',
+  rules: [
+    // Detection
+    { id: 'tsc-error', match: 'error (TS\\d+): (.+)$', captures: { errorType: 1, errorMessage: 2 } },
+    { id: 'error-line', match: '^(\\w*Error): (.+)$', captures: { errorType: 1, errorMessage: 2 } },
+    { id: 'exception-line', match: '^(\\w*Exception): (.+)$', captures: { errorType: 1, errorMessage: 2 } },
+    { id: 'syntax-error', match: '(SyntaxError): (.+)', captures: { errorType: 1, errorMessage: 2 } },
+    { id: 'cannot-find-module', match: 'Cannot find module \'.+\'', captures: { errorMessage: 0 } },
+    { id: 'is-not-defined', match: 'is not defined', captures: {} },
+    { id: 'is-not-a-function', match: 'is not a function', captures: {} },
+    { id: 'cannot-read-property', match: 'Cannot read propert(?:y|ies) of (?:undefined|null)', captures: { errorMessage: 0 } },
+    { id: 'system-error', match: 'ENOENT|EACCES|ECONNREFUSED', captures: {} },
+
+    // Offline explanations
+    {
+      id: 'type-error-property-access',
+      errorType: 'TypeError',
+      match: 'Cannot read propert',
+      explanation: {
+        what: 'You tried to access a property on something that is undefined or null.',
+        why: 'The variable you\'re accessing doesn\'t exist or hasn\'t been assigned a value yet.',
+        fix: 'Add a null check before accessing properties.',
+        example: `// Instead of: data.users.map(...)
+// Do this:
+if (data && data.users) {
+  data.users.map(...)
+}`,
+      },
+    },
+    {
+      id: 'type-error-not-a-function',
+      errorType: 'TypeError',
+      match: 'is not a function',
+      explanation: {
+        what: 'You tried to call something as a function, but it\'s not a function.',
+        why: 'The variable might be undefined, or you imported/accessed the wrong thing.',
+        fix: 'Check that you\'re calling the right function and it\'s properly imported.',
+        example: `// Check if it's a function first:
+if (typeof myFunc === 'function') {
+  myFunc();
+}`,
+      },
+    },
+    {
+      id: 'reference-error-not-defined',
+      errorType: 'ReferenceError',
+      match: 'is not defined',
+      explanation: {
+        what: 'You\'re using a variable that doesn\'t exist in the current scope.',
+        why: 'Either the variable was never declared, or it\'s spelled wrong, or it\'s out of scope.',
+        fix: 'Make sure the variable is declared (const, let, var) before using it.',
+        example: `// Wrong:
+console.log(myVar);
+
+// Right:
+const myVar = 'hello';
+console.log(myVar);`,
+      },
+    },
+    {
+      id: 'syntax-error-explained',
+      errorType: 'SyntaxError',
+      explanation: {
+        what: 'Your code has a syntax mistake that JavaScript cannot understand.',
+        why: 'Missing brackets, quotes, semicolons, or other syntax issues.',
+        fix: 'Check the line number mentioned and look for missing or extra characters.',
+        example: `// Common issues:
+// - Missing closing bracket: { or }
+// - Missing closing parenthesis: ( or )
+// - Missing quotes: " or '
+// - Extra/missing comma in arrays/objects`,
+      },
+    },
+    {
+      id: 'enoent',
+      errorType: 'ENOENT',
+      explanation: {
+        what: 'A file or directory you tried to access doesn\'t exist.',
+        why: 'The path is wrong, or the file was deleted/moved.',
+        fix: 'Check that the file path is correct and the file exists.',
+        example: `// Check if file exists first:
+const fs = require('fs');
+if (fs.existsSync('./myfile.txt')) {
+  // read file
+}`,
+      },
+    },
+    {
+      id: 'econnrefused',
+      errorType: 'ECONNREFUSED',
+      explanation: {
+        what: 'Your code tried to connect to a server that refused the connection.',
+        why: 'The server might not be running, wrong port, or firewall blocking.',
+        fix: 'Make sure the server is running and the port/host are correct.',
+        example: `// Common checks:
+// 1. Is the database/server running?
+// 2. Is the port correct? (e.g., 3000, 5432)
+// 3. Is it localhost or 127.0.0.1?`,
+      },
+    },
+  ],
+};
@@ -0,0 +1,133 @@
+/**
+ * Built-in rule pack: Python exceptions
+ *
+ * Tracebacks are parsed by ErrorListener.parsePythonTraceback() so that
+ * chained exceptions report the final error; the detection rules here
+ * are only for output without a traceback.
+ */
+
+export default {
+  name: 'python',
+  description: 'Python exceptions',
+  language: 'python',
+  rules: [
+    // Detection
+    { id: 'exception-line', match: '^((?:\\w+\\.)*\\w*(?:Error|Exception)): (.*)$', captures: { errorType: 1, errorMessage: [2, 1] } },
+    // StopIteration-style bare names
+    { id: 'bare-exception', match: '^((?:\\w+\\.)*\\w*(?:Error|Exception))$', captures: { errorType: 1, errorMessage: 1 } },
+
+    // Offline explanations
+    {
+      id: 'module-not-found',
+      errorType: 'ModuleNotFoundError',
+      explanation: {
+        what: 'Python cannot find a module you\'re trying to import.',
+        why: 'The package isn\'t installed in the active environment, or the module name is misspelled.',
+        fix: 'Install the package with pip (in the right virtualenv) or fix the import name.',
+        example: `# Check which Python/venv is active:
+python -m pip --version
+
+# Install the missing package:
+python -m pip install requests`,
+      },
+    },
+    {
+      id: 'import-error',
+      errorType: 'ImportError',
+      explanation: {
+        what: 'Python found the module but couldn\'t import the name you asked for.',
+        why: 'The name doesn\'t exist in that module, the package version is different, or there is a circular import.',
+        fix: 'Check the spelling and the installed package version, and look for modules importing each other.',
+        example: `# Wrong: name doesn't exist in the module
+from collections import Mapping
+
+# Right:
+from collections.abc import Mapping`,
+      },
+    },
+    {
+      id: 'key-error',
+      errorType: 'KeyError',
+      explanation: {
+        what: 'You tried to read a dictionary key that doesn\'t exist.',
+        why: 'The key is missing, misspelled, or has a different type (e.g. "1" vs 1).',
+        fix: 'Use dict.get() with a default, or check the key with "in" first.',
+        example: `# Instead of: config['port']
+port = config.get('port', 8000)
+
+# Or:
+if 'port' in config:
+    port = config['port']`,
+      },
+    },
+    {
+      id: 'attribute-error-none',
+      errorType: 'AttributeError',
+      match: 'NoneType',
+      explanation: {
+        what: 'You tried to use an attribute or method on None.',
+        why: 'A variable or function result you expected to be an object is None (often a function without a return).',
+        fix: 'Find where the value became None and handle that case before using it.',
+        example: `user = find_user(user_id)
+if user is not None:
+    print(user.name)`,
+      },
+    },
+    {
+      id: 'attribute-error',
+      errorType: 'AttributeError',
+      explanation: {
+        what: 'The object doesn\'t have the attribute or method you\'re using.',
+        why: 'A typo in the attribute name, or the object is a different type than you expected.',
+        fix: 'Check the spelling and print type(obj) or dir(obj) to see what it really has.',
+        example: `print(type(obj))
+print(dir(obj))`,
+      },
+    },
+    {
+      id: 'indentation-error',
+      errorType: 'IndentationError',
+      explanation: {
+        what: 'Python found inconsistent or missing indentation.',
+        why: 'Python uses indentation to group code; mixing tabs and spaces or a missing indent breaks it.',
+        fix: 'Indent the block after ":" consistently, using 4 spaces (no tabs).',
+        example: `# Wrong:
+def greet():
+print("hi")
+
+# Right:
+def greet():
+    print("hi")`,
+      },
+    },
+    {
+      id: 'type-error',
+      errorType: 'TypeError',
+      explanation: {
+        what: 'An operation or function got a value of the wrong type.',
+        why: 'For example adding a str to an int, calling None, or passing the wrong number of arguments.',
+        fix: 'Check the types involved and convert them explicitly (int(), str()) or fix the call.',
+        example: `# Wrong:
+total = "Total: " + 5
+
+# Right:
+total = "Total: " + str(5)`,
+      },
+    },
+    {
+      id: 'name-error',
+      errorType: 'NameError',
+      explanation: {
+        what: 'You\'re using a name that Python doesn\'t know about.',
+        why: 'The variable or function was never defined, is misspelled, or wasn\'t imported.',
+        fix: 'Define or import the name before using it, and check the spelling.',
+        example: `# Wrong:
+print(mesage)
+
+# Right:
+message = "hello"
+print(message)`,
+      },
+    },
+  ],
+};
@@ -0,0 +1,148 @@
+/**
+ * Source Context - Reads the code around the line that failed
+ *
+ * The AI explains errors much better when it can see the failing line
+ * instead of guessing from the stack trace alone. This module reads a
+ * small window of lines around `analysis.file:analysis.line`.
+ *
+ * WHY only a window (not the whole file):
+ * 1. Keeps prompts small (small models have short context)
+ * 2. Sends as little code as possible (privacy)
+ */
+
+import { existsSync, statSync, readFileSync } from 'fs';
+import { resolve, relative, basename, isAbsolute } from 'path';
+
+// Don't read huge files (generated bundles, data files)
+const MAX_FILE_SIZE = 1024 * 1024;
+
+export class SourceContextReader {
+  constructor(options = {}) {
+    this.contextLines = options.contextLines ?? 3;
+    this.cwd = options.cwd || process.cwd();
+  }
+
+  /**
+   * Read the lines around the error location
+   *
+   * Options:
+   * - maxLength: character budget for the formatted snippet
+   * - sanitize:  function applied to the code before it is returned
+   *
+   * Returns null when the file can't be read or nothing fits the budget:
+   * { file, path, line, startLine, endLine, text }
+   *
+   * `file` is the path shown to the AI; `path` is the absolute path
+   * (never sent - used to check and apply suggested patches).
+   */
+  read(analysis, options = {}) {
+    const lineNumber = parseInt(analysis?.line, 10);
+    if (!analysis?.file || !Number.isInteger(lineNumber) || lineNumber < 1) {
+      return null;
+    }
+
+    const filePath = this.resolvePath(analysis.file);
+    if (!filePath) {
+      return null;
+    }
+
+    let content;
+    try {
+      content = readFileSync(filePath, 'utf-8');
+    } catch {
+      return null;
+    }
+
+    // Binary files are not useful context
+    if (content.includes('\0')) {
+      return null;
+    }
+    return this.snippet(content, filePath, lineNumber, options);
+  }
+
+  /**
+   * Like read(), for text that is already loaded (the VS Code extension
+   * passes the open document, which may not be saved yet)
+   *
+   * `filePath` is the absolute path of the file the text belongs to.
+   */
+  snippet(content, filePath, lineNumber, options = {}) {
+    const lines = content.split(/\r?\n/);
+    if (lineNumber < 1 || lineNumber > lines.length) {
+      return null;
+    }
+
+    const sanitize = options.sanitize || (text => text);
+    const maxLength = options.maxLength ?? Infinity;
+
+    // Shrink the window until the snippet fits the budget
+    for (let window = this.contextLines; window >= 0; window--) {
+      const startLine = Math.max(1, lineNumber - window);
+      const endLine = Math.min(lines.length, lineNumber + window);
+      const text = sanitize(this.formatLines(lines, startLine, endLine, lineNumber));
+
+      if (text.length <= maxLength) {
+        return {
+          file: this.displayPath(filePath),
+          path: filePath,
+          line: lineNumber,
+          startLine,
+          endLine,
+          text,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Format lines with numbers, marking the failing line with ">>"
+   *
+   * Example:
+   *    11 |   const user = users[id];
+   * >> 12 |   return user.name;
+   *    13 | }
+   */
+  formatLines(lines, startLine, endLine, markedLine) {
+    const width = String(endLine).length;
+    const result = [];
+
+    for (let n = startLine; n <= endLine; n++) {
+      const marker = n === markedLine ? '>>' : '  ';
+      result.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+    }
+
+    return result.join('\n');
+  }
+
+  /**
+   * Find the file on disk (null if it isn't a readable local file)
+   */
+  resolvePath(file) {
+    const filePath = isAbsolute(file) ? file : resolve(this.cwd, file);
+
+    try {
+      if (!existsSync(filePath)) return null;
+      const stats = statSync(filePath);
+      if (!stats.isFile() || stats.size > MAX_FILE_SIZE) return null;
+    } catch {
+      return null;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Path shown to the AI: relative to cwd, or just the file name
+   *
+   * WHY: Absolute paths can contain usernames and project names.
+   */
+  displayPath(filePath) {
+    const rel = relative(this.cwd, filePath);
+    if (rel && !rel.startsWith('..') && !isAbsolute(rel)) {
+      return rel.split('\\').join('/');
+    }
+    return basename(filePath);
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Source Maps - Maps stack frames in compiled JavaScript back to the source
+ *
+ * TypeScript and bundlers run dist/*.js, so stack traces point at lines
+ * nobody wrote. When a compiled file has a source map, frames are
+ * mapped back to the original .ts/.tsx/... file. The map is found like
+ * Node finds it:
+ * - a "//# sourceMappingURL=" comment: a .map file next to it, or an
+ *   inline data: URL
+ * - otherwise an adjacent "file.js.map"
+ *
+ * The compiled location is kept as frame.generated, so both can be shown.
+ *
+ * WHY Node's built-in SourceMap (node:module):
+ * It decodes the mappings for us, so there's no dependency to add.
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { dirname, isAbsolute, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { SourceMap } from 'module';
+
+/**
+ * @typedef {Object} SourceLocation
+ * @property {string} file
+ * @property {number} line
+ * @property {number|null} column
+ */
+
+const COMPILED_FILE = /\.[cm]?js$/;
+
+// The last "//# sourceMappingURL=..." (or /*# ... */) in the file
+const SOURCE_MAPPING_URL = /\/[/*][#@]\s*sourceMappingURL=([^\s*'"]+)\s*(?:\*\/)?\s*$/;
+
+// Bundles of this size are usually minified vendor code: not worth it
+const MAX_FILE_SIZE = 32 * 1024 * 1024;
+
+export class SourceMapResolver {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.cache = new Map();  // compiled file -> { map, dir, sourceRoot } or null
+  }
+
+  /**
+   * Map a parsed frame to its original source
+   *
+   * Returns the frame with the original file/line/column and
+   * `generated` set, or the frame unchanged if it has no source map.
+   */
+  mapFrame(frame) {
+    if (!frame.file || !frame.line) {
+      return frame;
+    }
+
+    const original = this.originalLocation(frame.file, frame.line, frame.column);
+    if (!original) {
+      return frame;
+    }
+
+    return {
+      ...frame,
+      ...original,
+      generated: { file: frame.file, line: frame.line, column: frame.column },
+    };
+  }
+
+  /**
+   * Original { file, line, column } for a 1-based location in a
+   * compiled file, or null
+   */
+  originalLocation(file, line, column) {
+    const loaded = this.load(file);
+    if (!loaded) {
+      return null;
+    }
+
+    // findEntry is 0-based, and returns the closest earlier mapping
+    // even from another line: only trust one on the same line
+    const entry = loaded.map.findEntry(line - 1, Math.max(0, (column || 1) - 1));
+    if (entry.originalSource === undefined || entry.generatedLine !== line - 1) {
+      return null;
+    }
+
+    return {
+      file: this.sourcePath(entry.originalSource, loaded),
+      line: entry.originalLine + 1,
+      column: column ? entry.originalColumn + 1 : null,
+    };
+  }
+
+  /**
+   * Find and parse the source map of a compiled file (cached)
+   */
+  load(file) {
+    if (!this.cache.has(file)) {
+      let loaded = null;
+      try {
+        loaded = this.readSourceMap(file);
+      } catch {
+        // Unreadable file or broken map: keep the compiled location
+      }
+      this.cache.set(file, loaded);
+    }
+    return this.cache.get(file);
+  }
+
+  readSourceMap(file) {
+    if (!COMPILED_FILE.test(file) || !existsSync(file) || statSync(file).size > MAX_FILE_SIZE) {
+      return null;
+    }
+
+    const code = readFileSync(file, 'utf-8').trimEnd();
+    const url = code.slice(code.lastIndexOf('\n') + 1).match(SOURCE_MAPPING_URL)?.[1];
+    let payload = null;
+    let mapFile = null;
+
+    if (url?.startsWith('data:')) {
+      payload = parseDataUrl(url);
+      mapFile = file;
+    } else if (url && !/^https?:/.test(url)) {
+      mapFile = url.startsWith('file:') ? fileURLToPath(url) : resolve(dirname(file), decodeURIComponent(url));
+    } else if (existsSync(`${file}.map`)) {
+      mapFile = `${file}.map`;
+    }
+
+    if (!payload && mapFile && existsSync(mapFile)) {
+      payload = JSON.parse(readFileSync(mapFile, 'utf-8'));
+    }
+    if (!payload?.mappings) {
+      return null;
+    }
+
+    return { map: new SourceMap(payload), dir: dirname(mapFile), sourceRoot: payload.sourceRoot || '' };
+  }
+
+  /**
+   * Turn a "sources" entry of a map into a file path
+   *
+   * Entries are relative to the map (with sourceRoot in front), file://
+   * URLs, or bundler URLs like "webpack://app/./src/index.ts" (relative
+   * to the project, so the map's directory and cwd are tried).
+   */
+  sourcePath(source, { dir, sourceRoot }) {
+    const root = sourceRoot && !sourceRoot.endsWith('/') ? `${sourceRoot}/` : sourceRoot;
+    const path = isAbsolute(source) || /^[a-z][\w+.-]*:/i.test(source) ? source : root + source;
+
+    if (path.startsWith('file:')) {
+      return fileURLToPath(path);
+    }
+
+    const bundled = path.match(/^[a-z][\w+.-]*:\/\/[^/]*\/(.*)$/i);
+    if (bundled) {
+      const candidates = [resolve(dir, bundled[1]), resolve(this.cwd, bundled[1])];
+      return candidates.find(candidate => existsSync(candidate)) || candidates[1];
+    }
+
+    return resolve(dir, path);
+  }
+}
+
+/**
+ * Decode an inline source map ("data:application/json;base64,...")
+ */
+function parseDataUrl(url) {
+  const match = url.match(/^data:([^,]*),(.*)$/s);
+  if (!match) {
+    return null;
+  }
+  const data = match[1].includes(';base64') ? Buffer.from(match[2], 'base64').toString('utf-8') : decodeURIComponent(match[2]);
+  return JSON.parse(data);
+}
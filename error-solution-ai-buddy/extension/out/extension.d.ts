@@ -1,10 +0,0 @@
-/**
- * Error Buddy VS Code Extension - Main Entry Point
- *
- * This extension provides AI-powered error explanations directly in VS Code.
- * It integrates with the terminal to detect errors and show explanations.
- */
-import * as vscode from 'vscode';
-export declare function activate(context: vscode.ExtensionContext): void;
-export declare function deactivate(): void;
-//# sourceMappingURL=extension.d.ts.map
\ No newline at end of file
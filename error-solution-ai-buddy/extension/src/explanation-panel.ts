@@ -3,12 +3,18 @@
  */
 
 import * as vscode from 'vscode';
-import { ErrorAnalysis, ErrorExplanation } from './error-detector';
-import { AIExplanation } from './ollama-service';
+import type { ErrorAnalysis, LocalExplanation, StackFrame } from '../../core/error-listener.js';
+import type { Explanation } from '../../core/ai/explanation-schema.js';
+
+/**
+ * An AI explanation, or the pattern-based one when the AI server is offline
+ */
+export type PanelExplanation = Explanation | (LocalExplanation & { isOffline?: boolean });
 
 export class ExplanationPanel {
     private panel: vscode.WebviewPanel | undefined;
     private extensionUri: vscode.Uri;
+    private onApplyFix: (() => void) | undefined;
 
     constructor(extensionUri: vscode.Uri) {
         this.extensionUri = extensionUri;
@@ -16,12 +22,18 @@ export class ExplanationPanel {
 
     /**
      * Show the explanation panel with error details
+     *
+     * `onApplyFix` is called by the "Apply fix" button, which is only
+     * shown when the explanation has a (checked) patch.
      */
     async show(
         errorText: string,
-        explanation: AIExplanation | ErrorExplanation,
-        analysis?: ErrorAnalysis
+        explanation: PanelExplanation,
+        analysis?: ErrorAnalysis,
+        onApplyFix?: () => void
     ): Promise<void> {
+        this.onApplyFix = onApplyFix;
+
         // Create or reveal panel
         if (this.panel) {
             this.panel.reveal(vscode.ViewColumn.Beside);
@@ -39,6 +51,12 @@ export class ExplanationPanel {
             this.panel.onDidDispose(() => {
                 this.panel = undefined;
             });
+
+            this.panel.webview.onDidReceiveMessage((message) => {
+                if (message?.type === 'applyFix') {
+                    this.onApplyFix?.();
+                }
+            });
         }
 
         // Update content
@@ -50,13 +68,15 @@ export class ExplanationPanel {
      */
     private getWebviewContent(
         errorText: string,
-        explanation: AIExplanation | ErrorExplanation,
+        explanation: PanelExplanation,
         analysis?: ErrorAnalysis
     ): string {
         const isOffline = 'isOffline' in explanation && explanation.isOffline;
+        const patch = 'patch' in explanation && this.onApplyFix ? explanation.patch : null;
         
         // Escape HTML in error text
         const escapedError = this.escapeHtml(errorText);
+        const userStack = this.formatUserStack(analysis);
         
         return `<!DOCTYPE html>
 <html lang="en">
@@ -123,6 +143,36 @@ export class ExplanationPanel {
             word-break: break-word;
         }
         
+        .error-box .headline {
+            font-weight: 600;
+        }
+        
+        .error-box .frames {
+            margin: 8px 0 0 0;
+            padding-left: 16px;
+            list-style: none;
+        }
+        
+        .error-box .hidden-frames {
+            opacity: 0.7;
+            font-style: italic;
+        }
+        
+        .error-box .generated {
+            opacity: 0.7;
+        }
+        
+        details.raw-output {
+            margin: -12px 0 20px 0;
+            font-size: 0.85em;
+        }
+        
+        details.raw-output pre {
+            white-space: pre-wrap;
+            word-break: break-word;
+            font-family: var(--vscode-editor-font-family);
+        }
+        
         .section {
             margin-bottom: 20px;
         }
@@ -154,6 +204,7 @@ export class ExplanationPanel {
         .why .section-header h2 { color: var(--vscode-charts-yellow); }
         .fix .section-header h2 { color: var(--vscode-charts-green); }
         .example .section-header h2 { color: var(--vscode-charts-purple); }
+        .patch .section-header h2 { color: var(--vscode-charts-orange); }
         
         .code-block {
             background-color: var(--vscode-textCodeBlock-background);
@@ -166,6 +217,24 @@ export class ExplanationPanel {
             white-space: pre-wrap;
         }
         
+        .diff-add { color: var(--vscode-gitDecoration-addedResourceForeground); }
+        .diff-remove { color: var(--vscode-gitDecoration-deletedResourceForeground); }
+        .diff-hunk { color: var(--vscode-charts-blue); }
+        
+        .apply-btn {
+            margin-top: 8px;
+            padding: 4px 12px;
+            border: none;
+            border-radius: 4px;
+            background: var(--vscode-button-background);
+            color: var(--vscode-button-foreground);
+            cursor: pointer;
+        }
+        
+        .apply-btn:hover {
+            background: var(--vscode-button-hoverBackground);
+        }
+        
         .footer {
             margin-top: 30px;
             padding-top: 15px;
@@ -205,7 +274,13 @@ export class ExplanationPanel {
         ${isOffline ? '<span class="badge offline">Offline Mode</span>' : ''}
     </div>
     
-    <div class="error-box">${escapedError}</div>
+    ${userStack ? `
+    <div class="error-box">${userStack}</div>
+    <details class="raw-output">
+        <summary>Show full output</summary>
+        <pre>${escapedError}</pre>
+    </details>
+    ` : `<div class="error-box">${escapedError}</div>`}
     
     ${explanation.what ? `
     <div class="section what">
@@ -249,8 +324,21 @@ export class ExplanationPanel {
     </div>
     ` : ''}
     
+    ${patch ? `
+    <div class="section patch">
+        <div class="section-header">
+            <span class="icon">🩹</span>
+            <h2>Suggested patch</h2>
+        </div>
+        <div class="section-content">
+            <div class="code-block">${this.formatDiff(patch)}</div>
+            <button class="apply-btn" onclick="applyFix()">Apply fix</button>
+        </div>
+    </div>
+    ` : ''}
+    
     <div class="footer">
-        <span>Powered by ${isOffline ? 'Pattern Matching' : 'Ollama AI'}</span>
+        <span>Powered by ${isOffline ? 'Pattern Matching' : 'AI'}</span>
         <div class="feedback-buttons">
             <button class="feedback-btn" onclick="sendFeedback(true)">👍 Helpful</button>
             <button class="feedback-btn" onclick="sendFeedback(false)">👎 Not helpful</button>
@@ -266,11 +354,85 @@ export class ExplanationPanel {
                 helpful: helpful
             });
         }
+        
+        function applyFix() {
+            vscode.postMessage({ type: 'applyFix' });
+        }
     </script>
 </body>
 </html>`;
     }
 
+    /**
+     * Build the error headline plus the user-code part of the stack trace
+     *
+     * Returns an empty string when there are no user-code frames,
+     * in which case the raw output is shown instead.
+     */
+    private formatUserStack(analysis?: ErrorAnalysis): string {
+        const frames = analysis?.frames || [];
+        const userFrames = frames.filter(frame => frame.isUserCode && frame.file);
+        if (userFrames.length === 0) {
+            return '';
+        }
+
+        const headline = [analysis?.errorType, analysis?.errorMessage].filter(Boolean).join(': ');
+        const shown = userFrames.slice(0, 5);
+        const hidden = frames.length - shown.length;
+
+        const items = shown.map(frame => {
+            const generated = frame.generated
+                ? ` <span class="generated">← compiled ${this.escapeHtml(this.formatLocation(frame.generated))}</span>`
+                : '';
+            return `<li>at ${this.escapeHtml(this.formatFrame(frame))}${generated}</li>`;
+        });
+        if (hidden > 0) {
+            items.push(`<li class="hidden-frames">… ${hidden} more frame${hidden === 1 ? '' : 's'} hidden (libraries/runtime)</li>`);
+        }
+
+        return `${headline ? `<div class="headline">${this.escapeHtml(headline)}</div>` : ''}
+        <ul class="frames">${items.join('')}</ul>`;
+    }
+
+    /**
+     * Format a stack frame as "function (file:line:column)"
+     */
+    private formatFrame(frame: StackFrame): string {
+        const location = this.formatLocation(frame);
+        return frame.function ? `${frame.function} (${location})` : location;
+    }
+
+    /**
+     * Format a location as "file:line:column"
+     */
+    private formatLocation(location: { file: string | null; line: number | null; column: number | null }): string {
+        return [location.file, location.line, location.column]
+            .filter(part => part !== null && part !== undefined)
+            .join(':');
+    }
+
+    /**
+     * Color a unified diff: added, removed and @@ lines
+     */
+    private formatDiff(patch: string): string {
+        return patch.split('\n').map(line => {
+            const escaped = this.escapeHtml(line);
+            if (/^(?:---|\+\+\+) /.test(line)) {
+                return `<strong>${escaped}</strong>`;
+            }
+            if (line.startsWith('@@')) {
+                return `<span class="diff-hunk">${escaped}</span>`;
+            }
+            if (line.startsWith('+')) {
+                return `<span class="diff-add">${escaped}</span>`;
+            }
+            if (line.startsWith('-')) {
+                return `<span class="diff-remove">${escaped}</span>`;
+            }
+            return escaped;
+        }).join('\n');
+    }
+
     /**
      * Escape HTML special characters
      */
@@ -5,32 +5,62 @@
  * It integrates with the terminal to detect errors and show explanations.
  */
 
+import * as os from 'os';
+import * as path from 'path';
 import * as vscode from 'vscode';
-import { ErrorDetector } from './error-detector';
-import { OllamaService } from './ollama-service';
-import { ExplanationPanel } from './explanation-panel';
+import { parse as parseYaml } from 'yaml';
+import {
+    AIService,
+    ErrorListener,
+    PatchError,
+    RulePackError,
+    RulePackLoader,
+    SourceContextReader,
+    SourceMapResolver,
+    applyPatch,
+    buildAIInput,
+    checkPatch,
+} from '../../core/index.js';
+import type { ErrorAnalysis } from '../../core/error-listener.js';
+import { ExplanationPanel, PanelExplanation } from './explanation-panel';
 import { ErrorBuddyTerminal } from './error-buddy-terminal';
 
 // Global state
-let errorDetector: ErrorDetector;
-let ollamaService: OllamaService;
+let errorListener: ErrorListener;
+let sourceReader: SourceContextReader;
+let aiService: AIService;
 let explanationPanel: ExplanationPanel;
 let statusBarItem: vscode.StatusBarItem;
 let autoExplainEnabled: boolean = true;
 let lastError: string | null = null;
-let errorHistory: { text: string; analysis: any; timestamp: number }[] = [];
+let errorHistory: { text: string; analysis: ErrorAnalysis; timestamp: number }[] = [];
+
+// Lines shown to the AI on each side of the failing line
+const SOURCE_CONTEXT_LINES = 3;
+
+/**
+ * The file that failed, opened so the AI can see the code and its
+ * suggested patch can be checked and applied
+ */
+interface SourceTarget {
+    document: vscode.TextDocument;
+    file: string;
+    line: number;
+}
 
 export function activate(context: vscode.ExtensionContext) {
     console.log('Error Buddy extension is now active!');
 
     // Initialize services
     const config = vscode.workspace.getConfiguration('errorBuddy');
-    const ollamaUrl = config.get<string>('ollamaUrl', 'http://localhost:11434');
-    const model = config.get<string>('model', 'qwen2.5:0.5b');
     autoExplainEnabled = config.get<boolean>('autoExplain', true);
 
-    errorDetector = new ErrorDetector();
-    ollamaService = new OllamaService(ollamaUrl, model);
+    // Terminal commands run in the workspace folder: source maps and
+    // the paths shown to the AI are relative to it
+    const cwd = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    errorListener = createErrorListener(cwd);
+    sourceReader = new SourceContextReader({ cwd, contextLines: SOURCE_CONTEXT_LINES });
+    aiService = createAIService(config);
     explanationPanel = new ExplanationPanel(context.extensionUri);
 
     // Create status bar item
@@ -58,6 +88,14 @@ export function activate(context: vscode.ExtensionContext) {
         vscode.window.onDidEndTerminalShellExecution(handleTerminalExecution)
     );
 
+    // Pick up edited rule packs without a reload
+    const rulesWatcher = vscode.workspace.createFileSystemWatcher('**/.errbuddy/rules/*.{yaml,yml,json}');
+    const reloadRules = () => { errorListener = createErrorListener(cwd); };
+    rulesWatcher.onDidCreate(reloadRules);
+    rulesWatcher.onDidChange(reloadRules);
+    rulesWatcher.onDidDelete(reloadRules);
+    context.subscriptions.push(rulesWatcher);
+
     // Listen for configuration changes
     context.subscriptions.push(
         vscode.workspace.onDidChangeConfiguration(e => {
@@ -75,6 +113,27 @@ export function activate(context: vscode.ExtensionContext) {
     }
 }
 
+/**
+ * An ErrorListener with the workspace's rule packs (.errbuddy/rules) and
+ * the user's (~/.errbuddy/rules), loaded the same way as in the CLI
+ *
+ * A broken pack is reported and only the built-in packs are used, so
+ * one bad file doesn't stop errors from being explained.
+ */
+function createErrorListener(cwd: string | undefined): ErrorListener {
+    const sourceMaps = new SourceMapResolver({ cwd });
+    try {
+        const rulePacks = new RulePackLoader({ cwd: cwd ?? os.homedir(), parseYaml }).load();
+        return new ErrorListener({ sourceMaps, rulePacks });
+    } catch (err) {
+        if (!(err instanceof RulePackError)) {
+            throw err;
+        }
+        vscode.window.showWarningMessage(`Error Buddy: ${err.message}. Using the built-in rules only.`);
+        return new ErrorListener({ sourceMaps });
+    }
+}
+
 /**
  * Handle terminal command execution completion
  */
@@ -99,7 +158,7 @@ async function handleTerminalExecution(event: vscode.TerminalShellExecutionEndEv
     }
 
     // Analyze the output for errors
-    const analysis = errorDetector.analyzeError(output);
+    const analysis = errorListener.analyzeError(output);
     
     if (analysis.isError) {
         lastError = output;
@@ -134,37 +193,58 @@ async function handleTerminalExecution(event: vscode.TerminalShellExecutionEndEv
 /**
  * Explain a specific error
  */
-async function explainError(errorText: string, analysis?: any) {
+async function explainError(errorText: string, analysis: ErrorAnalysis) {
     updateStatusBar('loading');
     
     try {
-        // Check if Ollama is available
-        const isConnected = await ollamaService.checkConnection();
+        // Check if the AI server is available
+        const isConnected = await aiService.checkConnection();
         
-        let explanation;
+        let explanation: PanelExplanation;
+        let target: SourceTarget | null = null;
         
         if (isConnected) {
-            // Get AI explanation
-            explanation = await ollamaService.explainError(errorText, analysis?.language || 'unknown');
+            // Get AI explanation (with a patch suggestion when the code is readable)
+            const config = vscode.workspace.getConfiguration('errorBuddy');
+            target = config.get<boolean>('includeSourceContext', true) ? await openErrorSource(analysis) : null;
+            const source = target;
+
+            // Redacted and cut to size exactly like the CLI does
+            const input = buildAIInput(errorText, {
+                redactionRules: config.get<Record<string, string | false>>('redactionRules', {}),
+                readSource: source ? (options: SnippetOptions) => readSourceSnippet(source, options) : null,
+            });
+
+            explanation = await aiService.explainError(input.errorText, analysis.language, input.sourceContext);
+
+            // Only offer a patch that applies cleanly to the file as it is now
+            explanation.patch = target
+                ? checkPatch(explanation.patch, target.document.getText(), target.file, target.line)
+                : null;
         } else {
             // Use pattern-based explanation
-            explanation = errorDetector.getLocalExplanation(analysis, errorText);
-            if (!explanation) {
-                explanation = {
+            explanation = {
+                ...(errorListener.getLocalExplanation(analysis, errorText) || {
                     what: 'An error occurred in your code.',
                     why: 'Unable to determine the exact cause.',
                     fix: 'Check the error message above for details.',
                     example: null,
-                    isOffline: true
-                };
-            }
-            explanation.isOffline = true;
+                }),
+                isOffline: true,
+            };
         }
 
         // Show in panel
         const config = vscode.workspace.getConfiguration('errorBuddy');
         if (config.get<boolean>('showInPanel', true)) {
-            await explanationPanel.show(errorText, explanation, analysis);
+            const patch = 'patch' in explanation ? explanation.patch : null;
+            const onApplyFix = target && patch
+                ? () => applySuggestedPatch(target!, patch).catch(error => {
+                    vscode.window.showErrorMessage(`Error Buddy: Failed to apply the patch - ${error}`);
+                })
+                : undefined;
+
+            await explanationPanel.show(errorText, explanation, analysis, onApplyFix);
         }
 
         updateStatusBar('ready');
@@ -175,6 +255,116 @@ async function explainError(errorText: string, analysis?: any) {
     }
 }
 
+/**
+ * Open the file named in the error, if it is in the workspace
+ */
+async function openErrorSource(analysis: ErrorAnalysis): Promise<SourceTarget | null> {
+    const line = analysis.line;
+    if (!analysis.file || !line || line < 1) {
+        return null;
+    }
+
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    const uri = path.isAbsolute(analysis.file)
+        ? vscode.Uri.file(analysis.file)
+        : folder && vscode.Uri.joinPath(folder.uri, analysis.file);
+    if (!uri) {
+        return null;
+    }
+
+    try {
+        const document = await vscode.workspace.openTextDocument(uri);
+        if (line > document.lineCount) {
+            return null;
+        }
+        return { document, file: vscode.workspace.asRelativePath(uri), line };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Budget and redaction for the snippet (see buildAIInput)
+ */
+interface SnippetOptions {
+    maxLength: number;
+    sanitize: (text: string) => string;
+}
+
+/**
+ * Number the lines around the failing line (">>" marks it), like the CLI
+ *
+ * Read from the open document, which may have unsaved changes.
+ */
+function readSourceSnippet(target: SourceTarget, options: SnippetOptions) {
+    return sourceReader.snippet(target.document.getText(), target.document.uri.fsPath, target.line, options);
+}
+
+/**
+ * Apply a suggested patch after the user confirms it
+ *
+ * The patch is checked again against the current text (the file may
+ * have been edited since), and the original is saved next to the file
+ * as <file>.errbuddy.bak first.
+ */
+async function applySuggestedPatch(target: SourceTarget, patch: string): Promise<void> {
+    const choice = await vscode.window.showWarningMessage(
+        `Apply the suggested patch to ${target.file}?`,
+        { modal: true, detail: patch },
+        'Apply Fix'
+    );
+    if (choice !== 'Apply Fix') {
+        return;
+    }
+
+    const document = target.document;
+    const original = document.getText();
+    let patched: string;
+    try {
+        patched = applyPatch(original, patch, target.line).content;
+    } catch (error) {
+        if (error instanceof PatchError) {
+            vscode.window.showErrorMessage(`Error Buddy: The patch no longer applies to ${target.file}. Was the file changed?`);
+            return;
+        }
+        throw error;
+    }
+
+    const backup = await writeBackup(document.uri, original);
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(document.uri, new vscode.Range(document.positionAt(0), document.positionAt(original.length)), patched);
+    if (!await vscode.workspace.applyEdit(edit)) {
+        vscode.window.showErrorMessage(`Error Buddy: Could not edit ${target.file}.`);
+        return;
+    }
+    await document.save();
+
+    vscode.window.showInformationMessage(`Error Buddy: Patched ${target.file}. Original saved as ${path.basename(backup.fsPath)}.`);
+}
+
+/**
+ * Save a copy of the original text, never overwriting an earlier backup
+ */
+async function writeBackup(uri: vscode.Uri, content: string): Promise<vscode.Uri> {
+    let backup = uri.with({ path: `${uri.path}.errbuddy.bak` });
+    for (let n = 2; await fileExists(backup); n++) {
+        backup = uri.with({ path: `${uri.path}.errbuddy-${n}.bak` });
+    }
+
+    await vscode.workspace.fs.writeFile(backup, Buffer.from(content, 'utf8'));
+    return backup;
+}
+
+async function fileExists(uri: vscode.Uri): Promise<boolean> {
+    try {
+        await vscode.workspace.fs.stat(uri);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
 /**
  * Explain selected text in editor or terminal
  */
@@ -184,7 +374,7 @@ async function explainSelectedError() {
     if (editor && editor.selection) {
         const selectedText = editor.document.getText(editor.selection);
         if (selectedText) {
-            const analysis = errorDetector.analyzeError(selectedText);
+            const analysis = errorListener.analyzeError(selectedText);
             await explainError(selectedText, analysis);
             return;
         }
@@ -201,7 +391,7 @@ async function explainSelectedError() {
         });
         
         if (errorText) {
-            const analysis = errorDetector.analyzeError(errorText);
+            const analysis = errorListener.analyzeError(errorText);
             await explainError(errorText, analysis);
         }
     }
@@ -216,7 +406,7 @@ async function explainLastError() {
         return;
     }
     
-    const analysis = errorDetector.analyzeError(lastError);
+    const analysis = errorListener.analyzeError(lastError);
     await explainError(lastError, analysis);
 }
 
@@ -331,16 +521,34 @@ function updateStatusBar(state: 'ready' | 'loading' | 'error' | 'disabled') {
 }
 
 /**
- * Check Ollama connection and update UI
+ * Check the AI server connection and update UI
  */
 async function checkOllamaConnection() {
-    const isConnected = await ollamaService.checkConnection();
+    const isConnected = await aiService.checkConnection();
     
     if (!isConnected) {
-        statusBarItem.tooltip = 'Error Buddy - Ollama not connected (using offline mode)';
+        statusBarItem.tooltip = `Error Buddy - ${aiService.providerName} not connected (using offline mode)`;
     }
 }
 
+/**
+ * Create the AI service from settings
+ *
+ * The API key comes from the ERRBUDDY_API_KEY environment variable,
+ * so it is never stored in settings.json (which is often committed).
+ */
+function createAIService(config: vscode.WorkspaceConfiguration): AIService {
+    const provider = config.get<string>('provider', 'ollama');
+    const model = config.get<string>('model', 'qwen2.5:0.5b');
+    const baseUrl = config.get<string>('baseUrl', '')
+        || (provider === 'ollama' ? config.get<string>('ollamaUrl', 'http://localhost:11434') : '');
+
+    return new AIService(baseUrl || null, model, {
+        provider,
+        apiKey: process.env.ERRBUDDY_API_KEY || null,
+    });
+}
+
 /**
  * Update configuration from settings
  */
@@ -349,10 +557,7 @@ function updateConfiguration() {
     
     autoExplainEnabled = config.get<boolean>('autoExplain', true);
     
-    const ollamaUrl = config.get<string>('ollamaUrl', 'http://localhost:11434');
-    const model = config.get<string>('model', 'qwen2.5:0.5b');
-    
-    ollamaService = new OllamaService(ollamaUrl, model);
+    aiService = createAIService(config);
     
     updateStatusBar(autoExplainEnabled ? 'ready' : 'disabled');
 }
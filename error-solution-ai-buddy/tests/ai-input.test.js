@@ -0,0 +1,50 @@
+/**
+ * Tests for preparing the text sent to the AI
+ *
+ * Run with: node --test tests/ai-input.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildAIInput, sanitizeError } from '../core/ai/ai-input.js';
+
+describe('AI input', () => {
+  it('should strip color codes, redact and truncate the error', () => {
+    const text = '\x1b[31mError: login failed for bob@example.com\x1b[0m\n' + 'x'.repeat(200);
+
+    const sanitized = sanitizeError(text, 50);
+
+    assert.strictEqual(sanitized, 'Error: login failed for <EMAIL_1>\n' + 'x'.repeat(16) + '\n... (truncated)');
+  });
+
+  it('should give the source context what is left of the budget', () => {
+    let budget;
+    const input = buildAIInput('TypeError: boom', {
+      maxErrorLength: 100,
+      readSource: ({ maxLength }) => {
+        budget = maxLength;
+        return { file: 'app.js', line: 1, text: '>> 1 | boom()' };
+      },
+    });
+
+    assert.strictEqual(budget, 100 - 'TypeError: boom'.length);
+    assert.strictEqual(input.sourceContext.text, '>> 1 | boom()');
+  });
+
+  it('should redact the error and the source with the same placeholders', () => {
+    const input = buildAIInput('Connection to 10.1.2.3 refused', {
+      readSource: ({ sanitize }) => ({ file: 'db.js', line: 2, text: sanitize('>> 2 | connect("10.1.2.3", "alice@example.com")') }),
+    });
+
+    assert.strictEqual(input.errorText, 'Connection to <IP_1> refused');
+    assert.strictEqual(input.sourceContext.text, '>> 2 | connect("<IP_1>", "<EMAIL_1>")');
+    assert.deepStrictEqual(input.redactions, { ipv4: 2, email: 1 });
+  });
+
+  it('should use the redactionRules setting', () => {
+    const input = buildAIInput('Order CUST-123456 for bob@example.com', { redactionRules: { 'customer-id': 'CUST-\\d{6}', email: false } });
+
+    assert.strictEqual(input.errorText, 'Order <CUSTOMER_ID_1> for bob@example.com');
+    assert.strictEqual(input.sourceContext, null);
+  });
+});
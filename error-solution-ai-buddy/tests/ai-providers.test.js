@@ -0,0 +1,239 @@
+/**
+ * Tests for AI Providers against a local stub HTTP server
+ *
+ * Run with: node --test tests/ai-providers.test.js
+ *
+ * The stub speaks just enough of the Ollama and OpenAI APIs to check
+ * requests, streaming and error handling without a real model.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { AIService } from '../core/ai/ollama-service.js';
+import { createProvider, PROVIDERS } from '../core/ai/providers.js';
+import { OllamaProvider } from '../core/ai/ollama-provider.js';
+import { OpenAICompatibleProvider } from '../core/ai/openai-provider.js';
+
+const ANSWER = JSON.stringify({
+  what: 'A TypeError',
+  why: 'user is undefined',
+  fixSteps: ['Check user first'],
+  example: null,
+  confidence: 'high',
+});
+
+describe('AI Providers', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let behavior;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const json = body ? JSON.parse(body) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: json });
+        handle(req.url, json, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    behavior = {};
+  });
+
+  /**
+   * Answer like Ollama (/api/*) or an OpenAI-compatible server (/v1/*)
+   */
+  function handle(url, body, res) {
+    if (behavior.status) {
+      res.writeHead(behavior.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: behavior.error }));
+      return;
+    }
+
+    const chunks = ANSWER.match(/.{1,7}/gs);
+
+    if (url === '/api/tags') {
+      res.end(JSON.stringify({ models: [{ name: 'llama3.2:latest' }, { name: 'qwen2.5:0.5b' }] }));
+    } else if (url === '/api/generate' && !body.stream) {
+      res.end(JSON.stringify({ response: ANSWER, done: true }));
+    } else if (url === '/api/generate') {
+      for (const chunk of chunks) {
+        res.write(JSON.stringify({ response: chunk, done: false }) + '\n');
+      }
+      res.end(behavior.truncate ? '' : JSON.stringify({ response: '', done: true }) + '\n');
+    } else if (url === '/v1/models') {
+      res.end(JSON.stringify({ object: 'list', data: [{ id: 'local-model.gguf' }] }));
+    } else if (url === '/v1/chat/completions' && !body.stream) {
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: ANSWER } }] }));
+    } else if (url === '/v1/chat/completions') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': keep-alive\n\n');
+      for (const chunk of chunks) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: chunk } }] })}\n\n`);
+      }
+      res.end(behavior.truncate ? '' : 'data: [DONE]\n\n');
+    } else {
+      res.writeHead(404);
+      res.end('not found');
+    }
+  }
+
+  describe('createProvider()', () => {
+    it('should create providers by name', () => {
+      assert.ok(createProvider('ollama') instanceof OllamaProvider);
+      assert.ok(createProvider('openai') instanceof OpenAICompatibleProvider);
+      assert.deepStrictEqual(Object.keys(PROVIDERS), ['ollama', 'openai']);
+    });
+
+    it('should use each provider\'s default URL', () => {
+      assert.strictEqual(createProvider('ollama').baseUrl, 'http://localhost:11434');
+      assert.strictEqual(createProvider('openai').baseUrl, 'http://localhost:8080/v1');
+    });
+
+    it('should reject unknown providers', () => {
+      assert.throws(() => createProvider('bard'), /Unknown AI provider "bard"/);
+    });
+  });
+
+  describe('Ollama', () => {
+    it('should list models and keep an installed model', async () => {
+      const service = new AIService(baseUrl, 'qwen2.5:0.5b');
+
+      assert.strictEqual(await service.checkConnection(), true);
+      assert.strictEqual(service.model, 'qwen2.5:0.5b');
+      assert.strictEqual(requests[0].url, '/api/tags');
+    });
+
+    it('should explain an error', async () => {
+      const service = new AIService(baseUrl, 'qwen2.5:0.5b');
+      const explanation = await service.explainError('TypeError: boom', 'javascript');
+
+      assert.strictEqual(explanation.what, 'A TypeError');
+      assert.strictEqual(explanation.confidence, 'high');
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].body.model, 'qwen2.5:0.5b');
+      assert.ok(requests[0].body.system.includes('fixSteps'));
+      assert.deepStrictEqual(requests[0].body.format.required, ['what', 'why', 'fixSteps', 'example', 'confidence']);
+      assert.strictEqual(requests[0].body.options.num_predict, 500);
+    });
+
+    it('should stream an explanation', async () => {
+      const service = new AIService(baseUrl, 'qwen2.5:0.5b');
+      const shown = [];
+      const explanation = await service.explainError('TypeError: boom', 'javascript', null, { onText: text => shown.push(text) });
+
+      assert.strictEqual(explanation.what, 'A TypeError');
+      assert.ok(shown.join('').startsWith('WHAT: A TypeError'));
+      assert.strictEqual(requests[0].body.stream, true);
+    });
+
+    it('should report a cut-off stream', async () => {
+      behavior.truncate = true;
+      const service = new AIService(baseUrl, 'qwen2.5:0.5b');
+
+      await assert.rejects(service.explainError('TypeError: boom', 'javascript', null, { onText: () => {} }), /ended unexpectedly/);
+    });
+
+    it('should preview exactly the request that is sent', async () => {
+      const service = new AIService(baseUrl, 'qwen2.5:0.5b');
+      const preview = service.previewRequest('TypeError: boom', 'javascript', null, { stream: false });
+      await service.explainError('TypeError: boom', 'javascript');
+
+      const { prompt, system, ...options } = requests[0].body;
+      assert.strictEqual(preview.url, `${baseUrl}${requests[0].url}`);
+      assert.strictEqual(preview.provider, 'Ollama');
+      assert.strictEqual(preview.prompt, prompt);
+      assert.strictEqual(preview.system, system);
+      assert.deepStrictEqual(preview.options, options);
+    });
+
+    it('should report HTTP errors', async () => {
+      behavior.status = 404;
+      behavior.error = 'model "nope" not found';
+      const service = new AIService(baseUrl, 'nope');
+
+      await assert.rejects(service.explainError('boom'), /Ollama returned 404: model "nope" not found/);
+      assert.strictEqual(await service.checkConnection(), false);
+    });
+  });
+
+  describe('OpenAI-compatible', () => {
+    function createService(options = {}) {
+      return new AIService(`${baseUrl}/v1`, 'qwen2.5:0.5b', { provider: 'openai', ...options });
+    }
+
+    it('should fall back to the server\'s model', async () => {
+      const service = createService();
+
+      assert.strictEqual(await service.checkConnection(), true);
+      assert.strictEqual(service.model, 'local-model.gguf');
+      assert.strictEqual(service.providerName, 'OpenAI-compatible server');
+    });
+
+    it('should explain an error with chat messages', async () => {
+      const explanation = await createService().explainError('TypeError: boom', 'javascript');
+
+      assert.strictEqual(explanation.fix, '1. Check user first');
+      const { body } = requests[0];
+      assert.strictEqual(requests[0].url, '/v1/chat/completions');
+      assert.strictEqual(body.messages[0].role, 'system');
+      assert.ok(body.messages[1].content.includes('TypeError: boom'));
+      assert.strictEqual(body.max_tokens, 500);
+      assert.strictEqual(body.response_format.type, 'json_schema');
+      assert.strictEqual(body.response_format.json_schema.schema.type, 'object');
+      assert.strictEqual(body.stream, false);
+    });
+
+    it('should preview exactly the request that is sent', async () => {
+      const service = createService();
+      const preview = service.previewRequest('TypeError: boom', 'javascript', null, { stream: false });
+      await service.explainError('TypeError: boom', 'javascript');
+
+      const { messages, ...options } = requests[0].body;
+      assert.strictEqual(preview.url, `${baseUrl}${requests[0].url}`);
+      assert.deepStrictEqual(messages, [{ role: 'system', content: preview.system }, { role: 'user', content: preview.prompt }]);
+      assert.deepStrictEqual(preview.options, options);
+    });
+
+    it('should stream Server-Sent Events', async () => {
+      const shown = [];
+      const explanation = await createService().explainError('TypeError: boom', 'javascript', null, { onText: text => shown.push(text) });
+
+      assert.strictEqual(explanation.what, 'A TypeError');
+      assert.ok(shown.join('').startsWith('WHAT: A TypeError'));
+      assert.strictEqual(requests[0].body.stream, true);
+    });
+
+    it('should report a stream without [DONE]', async () => {
+      behavior.truncate = true;
+      await assert.rejects(createService().explainError('boom', 'unknown', null, { onText: () => {} }), /ended unexpectedly/);
+    });
+
+    it('should send the API key only when set', async () => {
+      await createService({ apiKey: 'sk-local' }).explainError('boom');
+      await createService().explainError('boom');
+
+      assert.strictEqual(requests[0].headers.authorization, 'Bearer sk-local');
+      assert.strictEqual(requests[1].headers.authorization, undefined);
+    });
+
+    it('should read OpenAI-style error objects', async () => {
+      behavior.status = 401;
+      behavior.error = { message: 'Invalid API key' };
+
+      await assert.rejects(createService().explainError('boom'), /returned 401: Invalid API key/);
+    });
+  });
+});
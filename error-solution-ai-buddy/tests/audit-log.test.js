@@ -0,0 +1,74 @@
+/**
+ * Tests for the audit log of requests sent to the AI
+ *
+ * Run with: node --test tests/audit-log.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { appendFileSync, existsSync, mkdtempSync, readFileSync, rmSync, statSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { AuditLog } from '../backend/src/services/audit-log.js';
+
+describe('AuditLog', () => {
+  let dir;
+  let log;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'errbuddy-audit-'));
+    log = new AuditLog({ path: join(dir, '.errbuddy', 'audit.log') });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function request(model) {
+    return { kind: 'explain', provider: 'Ollama', url: 'http://localhost:11434/api/generate', model, system: 'S', prompt: 'P', options: {}, redactions: {} };
+  }
+
+  it('should append one JSON line per request', () => {
+    log.record(request('a'));
+    log.record(request('b'));
+
+    const lines = readFileSync(log.path, 'utf-8').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(JSON.parse(lines[1]).model, 'b');
+    assert.ok(!Number.isNaN(Date.parse(JSON.parse(lines[0]).time)));
+  });
+
+  it('should only be readable by the user', { skip: process.platform === 'win32' }, () => {
+    log.record(request('a'));
+    assert.strictEqual(statSync(log.path).mode & 0o777, 0o600);
+  });
+
+  it('should number entries and list the newest first', () => {
+    ['a', 'b', 'c'].forEach(model => log.record(request(model)));
+
+    assert.deepStrictEqual(log.getRecent(2).map(entry => [entry.id, entry.model]), [[3, 'c'], [2, 'b']]);
+    assert.strictEqual(log.getById(1).model, 'a');
+    assert.strictEqual(log.getById(4), null);
+  });
+
+  it('should skip lines that are not JSON', () => {
+    log.record(request('a'));
+    appendFileSync(log.path, '{"model": "cut off\n');
+    log.record(request('b'));
+
+    assert.deepStrictEqual(log.readAll().map(entry => entry.model), ['a', 'b']);
+  });
+
+  it('should be empty before the first request', () => {
+    assert.deepStrictEqual(log.readAll(), []);
+    assert.strictEqual(log.clear(), 0);
+  });
+
+  it('should clear the log', () => {
+    log.record(request('a'));
+    log.record(request('b'));
+
+    assert.strictEqual(log.clear(), 2);
+    assert.strictEqual(existsSync(log.path), false);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for running the wrapped command
+ *
+ * Run with: node --test tests/child-runner.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { constants } from 'os';
+import { runChild, exitCodeFor, shellCommandLine, loadPty, PtyError } from '../cli/child-runner.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+const unix = process.platform !== 'win32';
+
+// A node one-liner as a shell command line
+function nodeCommand(code) {
+  return [JSON.stringify(process.execPath), ['-e', JSON.stringify(code)]];
+}
+
+describe('exitCodeFor', () => {
+  it('should keep the exit code of a command that exited', () => {
+    assert.strictEqual(exitCodeFor(0, null), 0);
+    assert.strictEqual(exitCodeFor(2, null), 2);
+  });
+
+  it('should use 128 + the signal number for a killed command', () => {
+    assert.strictEqual(exitCodeFor(null, 'SIGINT'), 128 + constants.signals.SIGINT);
+    assert.strictEqual(exitCodeFor(null, 'SIGTERM'), 128 + constants.signals.SIGTERM);
+    assert.strictEqual(exitCodeFor(0, 15), 143);  // node-pty reports numbers
+  });
+});
+
+describe('shellCommandLine', () => {
+  it('should exec a single command on Unix', () => {
+    assert.strictEqual(shellCommandLine('node', ['app.js'], 'linux'), 'exec node app.js');
+  });
+
+  it('should leave lines the shell has to run itself alone', () => {
+    assert.strictEqual(shellCommandLine('npm test && npm run build', [], 'linux'), 'npm test && npm run build');
+    assert.strictEqual(shellCommandLine('node', ['app.js', '2>&1'], 'darwin'), 'node app.js 2>&1');
+    assert.strictEqual(shellCommandLine('NODE_ENV=test', ['node', 'app.js'], 'linux'), 'NODE_ENV=test node app.js');
+  });
+
+  it('should not use exec on Windows', () => {
+    assert.strictEqual(shellCommandLine('node', ['app.js'], 'win32'), 'node app.js');
+  });
+});
+
+describe('runChild', () => {
+  const options = { errorListener: new ErrorListener(), streams: ['stderr', 'stdout'], pty: null };
+
+  it('should capture the error and exit code of a failed command', async () => {
+    const [command, args] = nodeCommand("console.error('TypeError: x is not a function'); process.exit(3)");
+    const run = await runChild(command, args, options);
+
+    assert.strictEqual(run.exitCode, 3);
+    assert.match(run.errorText, /TypeError: x is not a function/);
+    assert.strictEqual(run.interrupted, null);
+  });
+
+  it('should collect reports from error-solution-ai-buddy/register with nodeHook', async () => {
+    const [command, args] = nodeCommand("throw new Error('Could not load config', { cause: new Error('ENOENT') })");
+    const run = await runChild(command, args, { ...options, nodeHook: true });
+
+    assert.strictEqual(run.reports.length, 1);
+    assert.strictEqual(run.reports[0].error.cause.message, 'ENOENT');
+  });
+
+  it('should have no reports without the hook', async () => {
+    const [command, args] = nodeCommand("throw new Error('boom')");
+    const run = await runChild(command, args, options);
+
+    assert.deepStrictEqual(run.reports, []);
+  });
+
+  it('should report a command killed by a signal as 128 + signal', { skip: !unix }, async () => {
+    const [command, args] = nodeCommand("process.kill(process.pid, 'SIGTERM')");
+    const run = await runChild(command, args, options);
+
+    assert.strictEqual(run.exitCode, 143);
+  });
+
+  it('should forward signals errbuddy receives to the command', { skip: !unix }, async () => {
+    const [command, args] = nodeCommand('setTimeout(() => {}, 20000)');
+    const running = runChild(command, args, options);
+
+    // Wait until the command is up, then signal "errbuddy" (this process)
+    await new Promise(resolve => setTimeout(resolve, 500));
+    process.emit('SIGTERM', 'SIGTERM');
+    const run = await running;
+
+    assert.strictEqual(run.interrupted, 'SIGTERM');
+    assert.strictEqual(run.exitCode, 143);
+    assert.strictEqual(process.listenerCount('SIGTERM'), 0);
+  });
+});
+
+describe('--pty', () => {
+  const options = { errorListener: new ErrorListener(), streams: ['stderr', 'stdout'] };
+
+  // Just enough of node-pty to run a "command" that prints `output`
+  function fakePty(output, exitCode) {
+    const spawned = [];
+    const pty = {
+      spawn(file, args, spawnOptions) {
+        spawned.push({ file, args, spawnOptions });
+        let onData;
+        return {
+          onData: (listener) => { onData = listener; },
+          onExit: (listener) => setImmediate(() => {
+            onData(output);
+            listener({ exitCode, signal: 0 });
+          }),
+          write() {},
+          resize() {},
+          kill() {},
+        };
+      },
+    };
+    return { pty, spawned };
+  }
+
+  it('should explain how to install node-pty when it can\'t be loaded', async () => {
+    const missing = () => Promise.reject(new Error("Cannot find package 'node-pty'"));
+
+    await assert.rejects(loadPty(missing), (err) => {
+      assert.ok(err instanceof PtyError);
+      assert.strictEqual(err.message, "--pty needs the node-pty package (npm install node-pty): Cannot find package 'node-pty'");
+      return true;
+    });
+  });
+
+  it('should capture the terminal output as stdout, without redraws', async () => {
+    const { pty, spawned } = fakePty('\u001b[32mBuilding...\u001b[0m\r\nTypeError: x is not a function\r\n', 1);
+    const run = await runChild('npm', ['run', 'build'], { ...options, pty });
+
+    assert.strictEqual(run.exitCode, 1);
+    assert.strictEqual(run.stderr, '');
+    assert.ok(!run.stdout.includes('\u001b'));
+    assert.match(run.errorText, /TypeError: x is not a function/);
+    assert.strictEqual(spawned.length, 1);
+    assert.ok(spawned[0].args.at(-1).includes('npm run build'));
+  });
+
+  it('should not analyze the output of a command that succeeded', async () => {
+    const { pty } = fakePty('0 errors, error handler registered\r\n', 0);
+    const run = await runChild('npm', ['test'], { ...options, pty });
+
+    assert.strictEqual(run.exitCode, 0);
+    assert.strictEqual(run.errorText, '');
+  });
+
+  it('should reject when the terminal can\'t be started', async () => {
+    const pty = { spawn() { throw new Error('posix_spawnp failed.'); } };
+
+    await assert.rejects(runChild('npm', ['test'], { ...options, pty }), /posix_spawnp failed/);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for language classification, including accuracy on the labelled
+ * corpus in tests/corpus/<language>/
+ *
+ * Run with: node --test tests/classifier.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { classifyLanguage } from '../core/classifier.js';
+import { RuleSet } from '../core/rule-packs.js';
+import { BUILT_IN_RULE_PACKS } from '../core/rules/index.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+const CORPUS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'corpus');
+
+// Raise this when the classifier gets better; never lower it to make a change pass
+const MIN_ACCURACY = 1;
+
+function readCorpus() {
+  return readdirSync(CORPUS_DIR).flatMap(label =>
+    readdirSync(join(CORPUS_DIR, label))
+      .filter(file => file.endsWith('.log'))
+      .map(file => ({
+        name: `${label}/${file}`,
+        label,
+        text: readFileSync(join(CORPUS_DIR, label, file), 'utf8'),
+      })),
+  );
+}
+
+describe('classifyLanguage()', () => {
+  const ruleSet = new RuleSet(BUILT_IN_RULE_PACKS);
+
+  it('should rank candidates by score with their evidence', () => {
+    const text = 'Exception in thread "main" java.lang.IllegalStateException: ENOENT\n\tat com.example.App.main(App.java:12)';
+    const [java, javascript] = classifyLanguage(text, ruleSet);
+
+    assert.strictEqual(java.language, 'java');
+    assert.deepStrictEqual(java.evidence.map(item => item.signal), [
+      'Java uncaught exception',
+      'Java stack frame',
+      'rule java/uncaught-exception',
+    ]);
+    assert.strictEqual(java.score, 11);
+    assert.strictEqual(java.errorType, 'java.lang.IllegalStateException');
+    assert.strictEqual(javascript.language, 'javascript');
+    assert.ok(java.confidence > 0.7 && javascript.confidence < 0.15);
+  });
+
+  it('should count each stack frame, up to a limit', () => {
+    const frame = '    at run (/app/src/job.js:1:1)\n';
+    const evidence = (count) => classifyLanguage(frame.repeat(count))[0].evidence[0];
+
+    assert.deepStrictEqual(evidence(2), { signal: 'Node.js stack frame', matches: 2, weight: 8 });
+    assert.strictEqual(evidence(10).matches, 3);
+  });
+
+  it('should not be sure from one weak signal', () => {
+    const [candidate] = classifyLanguage('open failed: ENOENT', ruleSet);
+
+    assert.strictEqual(candidate.language, 'javascript');
+    assert.strictEqual(candidate.confidence, 0.33);
+  });
+
+  it('should not let rules alone make a language a candidate', () => {
+    assert.deepStrictEqual(classifyLanguage('Error: disk full', ruleSet), []);
+  });
+
+  it('should prefer Python over JavaScript on a tie', () => {
+    const languages = classifyLanguage('Traceback (most recent call last):\nTypeError: x').map(c => c.language);
+    assert.deepStrictEqual(languages, ['python', 'javascript']);
+  });
+});
+
+describe('Classifier accuracy on the corpus', () => {
+  const listener = new ErrorListener();
+  const corpus = readCorpus();
+
+  it('should have outputs for every language', () => {
+    const labels = new Set(corpus.map(sample => sample.label));
+    assert.deepStrictEqual([...labels].sort(), ['csharp', 'java', 'javascript', 'python', 'unknown']);
+  });
+
+  it(`should classify at least ${MIN_ACCURACY * 100}% of the corpus correctly`, (t) => {
+    const wrong = corpus
+      .map(sample => ({ ...sample, got: listener.detectLanguage(sample.text) || 'unknown' }))
+      .filter(sample => sample.got !== sample.label);
+    const accuracy = (corpus.length - wrong.length) / corpus.length;
+
+    t.diagnostic(`${corpus.length - wrong.length}/${corpus.length} correct (${Math.round(accuracy * 100)}%)`);
+    assert.ok(accuracy >= MIN_ACCURACY, `Misclassified: ${wrong.map(sample => `${sample.name} as ${sample.got}`).join(', ')}`);
+  });
+
+  it('should not call Java or .NET builds JavaScript because of node_modules or ENOENT', () => {
+    for (const name of ['java/maven-with-frontend.log', 'java/spring-startup-enoent.log', 'csharp/aspnet-with-node.log']) {
+      const sample = corpus.find(item => item.name === name);
+      const [top, second] = listener.classifyLanguage(sample.text);
+
+      assert.strictEqual(top.language, sample.label, name);
+      assert.strictEqual(second.language, 'javascript', name);
+      assert.ok(top.confidence >= 0.5, name);
+    }
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Tests for Config Service
+ *
+ * Run with: node --test tests/config-service.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ConfigService, ConfigError, CONFIG_SCHEMA } from '../backend/src/services/config-service.js';
+
+describe('ConfigService', () => {
+  let root;
+  let globalPath;
+  let projectDir;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'errbuddy-config-'));
+    globalPath = join(root, 'home', '.errbuddy', 'config.json');
+    projectDir = join(root, 'project');
+    mkdirSync(join(projectDir, 'src', 'nested'), { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  function createService(env = {}, cwd = projectDir) {
+    return new ConfigService({ globalPath, cwd, env });
+  }
+
+  function writeJson(filePath, data) {
+    mkdirSync(join(filePath, '..'), { recursive: true });
+    writeFileSync(filePath, JSON.stringify(data));
+  }
+
+  describe('load()', () => {
+    it('should use defaults when no config exists', () => {
+      const config = createService();
+      config.load();
+
+      for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        assert.strictEqual(config.get(key), spec.default);
+      }
+      assert.ok(config.describe().every(entry => entry.source === 'default'));
+    });
+
+    it('should apply layers in precedence order', () => {
+      writeJson(globalPath, { model: 'global-model', ollamaUrl: 'http://global:1', showSpinner: false });
+      writeJson(join(projectDir, '.errbuddyrc'), { model: 'project-model', saveHistory: false });
+
+      const config = createService({ ERRBUDDY_OLLAMA_URL: 'http://env:3' });
+      config.load({ model: 'flag-model' });
+
+      const sources = Object.fromEntries(config.describe().map(e => [e.key, e.source]));
+
+      assert.strictEqual(config.get('showSpinner'), false);
+      assert.strictEqual(sources.showSpinner, 'global');
+      assert.strictEqual(config.get('saveHistory'), false);
+      assert.strictEqual(sources.saveHistory, 'project');
+      assert.strictEqual(config.get('ollamaUrl'), 'http://env:3');
+      assert.strictEqual(sources.ollamaUrl, 'env');
+      assert.strictEqual(config.get('model'), 'flag-model');
+      assert.strictEqual(sources.model, 'flag');
+    });
+
+    it('should find .errbuddyrc in a parent directory', () => {
+      writeJson(join(projectDir, '.errbuddyrc'), { model: 'codellama' });
+
+      const config = createService({}, join(projectDir, 'src', 'nested'));
+      config.load();
+
+      assert.strictEqual(config.projectPath, join(projectDir, '.errbuddyrc'));
+      assert.strictEqual(config.get('model'), 'codellama');
+    });
+
+    it('should ignore flags that were not passed', () => {
+      writeJson(globalPath, { model: 'global-model' });
+
+      const config = createService();
+      config.load({ model: undefined, aiEnabled: undefined });
+
+      assert.strictEqual(config.get('model'), 'global-model');
+      assert.strictEqual(config.get('aiEnabled'), true);
+    });
+
+    it('should coerce environment variable strings', () => {
+      const config = createService({ ERRBUDDY_AI_ENABLED: 'false', ERRBUDDY_MAX_ERROR_LENGTH: '500' });
+      config.load();
+
+      assert.strictEqual(config.get('aiEnabled'), false);
+      assert.strictEqual(config.get('maxErrorLength'), 500);
+    });
+
+    it('should report the env variable name as the source path', () => {
+      const config = createService({ ERRBUDDY_MODEL: 'llama3.2' });
+      config.load();
+
+      const entry = config.describe().find(e => e.key === 'model');
+      assert.strictEqual(entry.path, 'ERRBUDDY_MODEL');
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject unknown keys with a suggestion', () => {
+      writeJson(globalPath, { ollamaModel: 'llama3.2' });
+
+      const config = createService();
+      assert.throws(() => config.load(), (err) => {
+        assert.ok(err instanceof ConfigError);
+        assert.ok(err.message.includes('ollamaModel'));
+        assert.ok(err.message.includes('Did you mean "model"'));
+        return true;
+      });
+    });
+
+    it('should reject values of the wrong type', () => {
+      writeJson(globalPath, { showSpinner: 'sometimes' });
+
+      const config = createService();
+      assert.throws(() => config.load(), /expected a boolean/);
+    });
+
+    it('should run custom validators', () => {
+      const config = createService({ ERRBUDDY_OLLAMA_URL: 'localhost:11434' });
+      assert.throws(() => config.load(), /http:\/\/ or https:\/\//);
+    });
+
+    it('should only accept known AI providers', () => {
+      assert.strictEqual(createService({ ERRBUDDY_PROVIDER: 'openai' }).load().provider, 'openai');
+      assert.throws(() => createService({ ERRBUDDY_PROVIDER: 'gemini' }).load(), /must be one of: ollama, openai/);
+    });
+
+    it('should parse and check per-command streams', () => {
+      const config = createService({ ERRBUDDY_STREAMS: '{"tsc": "stdout", "npm test": "both"}' });
+      assert.deepStrictEqual(config.load().streams, { tsc: 'stdout', 'npm test': 'both' });
+
+      assert.throws(() => createService({ ERRBUDDY_STREAMS: '{"tsc": "stdin"}' }).load(), /"tsc" must be one of: stderr, stdout, both/);
+      assert.throws(() => createService({ ERRBUDDY_STREAMS: 'stdout' }).load(), /expected an object/);
+      assert.throws(() => createService({ ERRBUDDY_STREAMS: '["stdout"]' }).load(), /must be an object/);
+    });
+
+    it('should check redaction rules', () => {
+      const config = createService({ ERRBUDDY_REDACTION_RULES: '{"customer-id": "CUST-\\\\d{6}", "email": false}' });
+      assert.deepStrictEqual(config.load().redactionRules, { 'customer-id': 'CUST-\\d{6}', email: false });
+
+      assert.throws(() => createService({ ERRBUDDY_REDACTION_RULES: '{"bad": "("}' }).load(), /"bad" is not a valid regular expression/);
+      assert.throws(() => createService({ ERRBUDDY_REDACTION_RULES: '{"mine": false}' }).load(), /"mine" is not a built-in rule/);
+    });
+
+    it('should not let a project file choose the AI server', () => {
+      writeJson(globalPath, { baseUrl: 'http://localhost:1234/v1' });
+
+      for (const key of ['baseUrl', 'ollamaUrl', 'provider']) {
+        const value = key === 'provider' ? 'openai' : 'https://collector.example.com';
+        writeJson(join(projectDir, '.errbuddyrc'), { [key]: value });
+
+        assert.throws(() => createService().load(), (err) => {
+          assert.ok(err instanceof ConfigError);
+          assert.match(err.message, new RegExp(`"${key}" can't be set in .*\\.errbuddyrc`));
+          assert.ok(err.message.includes(globalPath));
+          return true;
+        });
+      }
+    });
+
+    it('should let a project file add redaction rules but not turn any off', () => {
+      writeJson(join(projectDir, '.errbuddyrc'), { redactionRules: { 'customer-id': 'CUST-\\d{6}' } });
+      assert.deepStrictEqual(createService().load().redactionRules, { 'customer-id': 'CUST-\\d{6}' });
+
+      writeJson(join(projectDir, '.errbuddyrc'), { redactionRules: { email: false, ipv4: false } });
+      assert.throws(() => createService().load(), /"redactionRules" in .*\.errbuddyrc: built-in rules can only be turned off in your own config \(email, ipv4\)/);
+      assert.throws(() => createService().set('redactionRules', '{"email": false}', 'project'), /can only be turned off/);
+
+      writeJson(globalPath, { redactionRules: { email: false, 'customer-id': 'CUST-\\d{6}' } });
+      writeJson(join(projectDir, '.errbuddyrc'), { redactionRules: { 'customer-id': 'x', tenant: 'T-\\d+' } });
+      assert.deepStrictEqual(createService().load().redactionRules, { 'customer-id': 'CUST-\\d{6}', tenant: 'T-\\d+', email: false });
+    });
+
+    it('should let a project file send less source context but not more', () => {
+      writeJson(join(projectDir, '.errbuddyrc'), { includeSourceContext: false, sourceContextLines: 1 });
+      let config = createService();
+      config.load();
+      assert.strictEqual(config.get('includeSourceContext'), false);
+      assert.strictEqual(config.get('sourceContextLines'), 1);
+      assert.strictEqual(config.describe().find(item => item.key === 'sourceContextLines').source, 'project');
+
+      writeJson(globalPath, { includeSourceContext: false, sourceContextLines: 2 });
+      writeJson(join(projectDir, '.errbuddyrc'), { includeSourceContext: true, sourceContextLines: 20 });
+      config = createService();
+      config.load();
+      assert.strictEqual(config.get('includeSourceContext'), false);
+      assert.strictEqual(config.get('sourceContextLines'), 2);
+      assert.strictEqual(config.describe().find(item => item.key === 'sourceContextLines').source, 'global');
+    });
+
+    it('should let a project file lower maxErrorLength but not raise it', () => {
+      writeJson(join(projectDir, '.errbuddyrc'), { maxErrorLength: 500 });
+      assert.strictEqual(createService().load().maxErrorLength, 500);
+
+      writeJson(join(projectDir, '.errbuddyrc'), { maxErrorLength: 1000000 });
+      assert.strictEqual(createService().load().maxErrorLength, CONFIG_SCHEMA.maxErrorLength.default);
+
+      writeJson(globalPath, { maxErrorLength: 4000 });
+      assert.strictEqual(createService().load().maxErrorLength, 4000);
+      assert.strictEqual(createService({ ERRBUDDY_MAX_ERROR_LENGTH: '8000' }).load().maxErrorLength, 8000);
+    });
+
+    it('should let a project file turn the audit log on but not off', () => {
+      writeJson(join(projectDir, '.errbuddyrc'), { auditLog: true });
+      assert.strictEqual(createService().load().auditLog, true);
+
+      writeJson(globalPath, { auditLog: true });
+      writeJson(join(projectDir, '.errbuddyrc'), { auditLog: false });
+      assert.strictEqual(createService().load().auditLog, true);
+      assert.strictEqual(createService({ ERRBUDDY_AUDIT_LOG: 'false' }).load().auditLog, false);
+    });
+
+    it('should take the AI server from global config, env and flags', () => {
+      writeJson(globalPath, { baseUrl: 'http://localhost:1234/v1' });
+      assert.strictEqual(createService().load().baseUrl, 'http://localhost:1234/v1');
+      assert.strictEqual(createService({ ERRBUDDY_PROVIDER: 'openai' }).load().provider, 'openai');
+      assert.strictEqual(createService().load({ provider: 'openai' }).provider, 'openai');
+    });
+
+    it('should reject invalid JSON with the file path', () => {
+      mkdirSync(join(globalPath, '..'), { recursive: true });
+      writeFileSync(globalPath, '{ "model": ');
+
+      const config = createService();
+      assert.throws(() => config.load(), (err) => err instanceof ConfigError && err.message.includes(globalPath));
+    });
+  });
+
+  describe('set() / unset()', () => {
+    it('should write coerced values to the global file', () => {
+      const config = createService();
+      const stored = config.set('maxErrorLength', '1500');
+
+      assert.strictEqual(stored, 1500);
+      assert.deepStrictEqual(JSON.parse(readFileSync(globalPath, 'utf-8')), { maxErrorLength: 1500 });
+    });
+
+    it('should write to .errbuddyrc in the project scope', () => {
+      const config = createService();
+      config.set('model', 'codellama', 'project');
+
+      const data = JSON.parse(readFileSync(join(projectDir, '.errbuddyrc'), 'utf-8'));
+      assert.strictEqual(data.model, 'codellama');
+    });
+
+    it('should not write the AI server to .errbuddyrc', () => {
+      const config = createService();
+
+      assert.throws(() => config.set('baseUrl', 'https://collector.example.com', 'project'), /"baseUrl" can't be set/);
+      assert.throws(() => readFileSync(join(projectDir, '.errbuddyrc')), /ENOENT/);
+    });
+
+    it('should not write invalid values', () => {
+      const config = createService();
+      assert.throws(() => config.set('saveHistory', 'maybe'), ConfigError);
+      assert.throws(() => config.set('nope', '1'), ConfigError);
+    });
+
+    it('should remove a stored key', () => {
+      const config = createService();
+      config.set('model', 'codellama');
+
+      assert.strictEqual(config.unset('model'), true);
+      assert.strictEqual(config.unset('model'), false);
+      assert.deepStrictEqual(JSON.parse(readFileSync(globalPath, 'utf-8')), {});
+    });
+  });
+});
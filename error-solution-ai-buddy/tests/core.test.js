@@ -0,0 +1,52 @@
+/**
+ * Tests for the core package shared with the VS Code extension
+ *
+ * Run with: node --test tests/core.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readdirSync, readFileSync } from 'fs';
+import { builtinModules } from 'module';
+import { dirname, join, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import * as core from '../core/index.js';
+
+const CORE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'core');
+
+function coreFiles(dir = CORE_DIR) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return coreFiles(path);
+    return entry.name.endsWith('.js') ? [path] : [];
+  });
+}
+
+describe('core', () => {
+  // The extension compiles core/ into its own output: anything else
+  // would be missing from the packaged extension
+  it('should only import Node built-ins and other core modules', () => {
+    for (const file of coreFiles()) {
+      const source = readFileSync(file, 'utf-8');
+      for (const [, specifier] of source.matchAll(/^(?:import|export)\b[^;]*?\bfrom '([^']+)'/gm)) {
+        const name = specifier.replace(/^node:/, '');
+        if (specifier.startsWith('.')) {
+          const target = relative(CORE_DIR, resolve(dirname(file), specifier));
+          assert.ok(!target.startsWith('..'), `${relative(CORE_DIR, file)} imports ${specifier} from outside core/`);
+        } else {
+          assert.ok(builtinModules.includes(name), `${relative(CORE_DIR, file)} imports the package ${specifier}`);
+        }
+      }
+    }
+  });
+
+  it('should strip colors and cursor moves from terminal output', () => {
+    assert.strictEqual(core.stripAnsi('\x1b[31mTypeError\x1b[39m: x\x1b[2K\x1b[1A\x1b[?25l'), 'TypeError: x');
+  });
+
+  it('should export what the CLI and the extension use', () => {
+    for (const name of ['ErrorListener', 'SourceMapResolver', 'SourceContextReader', 'RulePackLoader', 'AIService', 'buildAIInput', 'applyPatch', 'checkPatch', 'PatchError']) {
+      assert.ok(core[name], `${name} is not exported`);
+    }
+  });
+});
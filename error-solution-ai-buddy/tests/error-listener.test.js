@@ -6,7 +6,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { ErrorListener } from '../cli/error-listener.js';
+import { ErrorListener } from '../core/error-listener.js';
 
 describe('ErrorListener', () => {
   const listener = new ErrorListener();
@@ -184,4 +184,365 @@ describe('Error Pattern Coverage', () => {
       });
     }
   });
+
+  describe('Python Errors', () => {
+    const pythonErrors = [
+      { name: 'ModuleNotFoundError', error: "Traceback (most recent call last):\n  File \"app.py\", line 1, in <module>\nModuleNotFoundError: No module named 'requests'" },
+      { name: 'ImportError', error: "Traceback (most recent call last):\n  File \"app.py\", line 1, in <module>\nImportError: cannot import name 'Mapping' from 'collections'" },
+      { name: 'KeyError', error: "Traceback (most recent call last):\n  File \"app.py\", line 3, in <module>\nKeyError: 'port'" },
+      { name: 'AttributeError', error: "Traceback (most recent call last):\n  File \"app.py\", line 3, in <module>\nAttributeError: 'NoneType' object has no attribute 'name'" },
+      { name: 'IndentationError', error: "  File \"app.py\", line 2\n    print('hi')\n    ^\nIndentationError: expected an indented block" },
+      { name: 'TypeError', error: "Traceback (most recent call last):\n  File \"app.py\", line 3, in <module>\nTypeError: can only concatenate str (not \"int\") to str" },
+      { name: 'NameError', error: "Traceback (most recent call last):\n  File \"app.py\", line 3, in <module>\nNameError: name 'mesage' is not defined" },
+    ];
+
+    for (const { name, error } of pythonErrors) {
+      it(`should detect and explain: ${name}`, () => {
+        const analysis = listener.analyzeError(error);
+        assert.strictEqual(analysis.language, 'python');
+        assert.strictEqual(analysis.errorType, name);
+        assert.ok(analysis.localExplanation, `missing offline explanation for ${name}`);
+      });
+    }
+  });
+});
+
+describe('Python traceback parsing', () => {
+  const listener = new ErrorListener();
+
+  it('should detect Python even when the error name is shared with JavaScript', () => {
+    const error = `Traceback (most recent call last):
+  File "/app/main.py", line 4, in <module>
+    total = "Total: " + 5
+TypeError: can only concatenate str (not "int") to str`;
+    assert.strictEqual(listener.detectLanguage(error), 'python');
+  });
+
+  it('should use the innermost user frame, not library frames', () => {
+    const error = `Traceback (most recent call last):
+  File "/app/manage.py", line 22, in <module>
+    main()
+  File "/app/shop/views.py", line 10, in index
+    return request.GET['page']
+  File "/usr/lib/python3.11/site-packages/django/utils/datastructures.py", line 86, in __getitem__
+    raise MultiValueDictKeyError(key)
+django.utils.datastructures.MultiValueDictKeyError: 'page'`;
+
+    const analysis = listener.analyzeError(error);
+
+    assert.strictEqual(analysis.errorType, 'django.utils.datastructures.MultiValueDictKeyError');
+    assert.strictEqual(analysis.errorMessage, "'page'");
+    assert.strictEqual(analysis.file, '/app/shop/views.py');
+    assert.strictEqual(analysis.line, 10);
+  });
+
+  it('should report the final exception of a chain', () => {
+    const error = `Traceback (most recent call last):
+  File "/app/config.py", line 5, in load
+    return settings['port']
+KeyError: 'port'
+
+During handling of the above exception, another exception occurred:
+
+Traceback (most recent call last):
+  File "/app/config.py", line 7, in load
+    return int(default)
+ValueError: invalid literal for int() with base 10: 'abc'`;
+
+    const analysis = listener.analyzeError(error);
+
+    assert.strictEqual(analysis.isError, true);
+    assert.strictEqual(analysis.errorType, 'ValueError');
+    assert.strictEqual(analysis.line, 7);
+    assert.deepStrictEqual(analysis.chain, [{ errorType: 'KeyError', errorMessage: "'port'" }]);
+  });
+
+  it('should handle "direct cause" chains', () => {
+    const error = `Traceback (most recent call last):
+  File "/app/db.py", line 3, in connect
+    raise OSError('refused')
+OSError: refused
+
+The above exception was the direct cause of the following exception:
+
+Traceback (most recent call last):
+  File "/app/main.py", line 9, in <module>
+    connect()
+RuntimeError: database unavailable`;
+
+    const analysis = listener.analyzeError(error);
+
+    assert.strictEqual(analysis.errorType, 'RuntimeError');
+    assert.strictEqual(analysis.errorMessage, 'database unavailable');
+    assert.strictEqual(analysis.file, '/app/main.py');
+  });
+
+  it('should explain the final exception rather than an earlier one in the chain', () => {
+    const error = `Traceback (most recent call last):
+  File "app.py", line 2, in <module>
+KeyError: 'a'
+
+During handling of the above exception, another exception occurred:
+
+Traceback (most recent call last):
+  File "app.py", line 4, in <module>
+NameError: name 'fallback' is not defined`;
+
+    const analysis = listener.analyzeError(error);
+
+    assert.strictEqual(analysis.localExplanation.rule, 'python/name-error');
+  });
+
+  it('should pick the NoneType explanation for AttributeError on None', () => {
+    const error = `Traceback (most recent call last):
+  File "app.py", line 3, in <module>
+AttributeError: 'NoneType' object has no attribute 'name'`;
+
+    const analysis = listener.analyzeError(error);
+
+    assert.ok(analysis.localExplanation.what.includes('None'));
+  });
+});
+
+describe('Stack frame parsing', () => {
+  const listener = new ErrorListener();
+
+  it('should pick the first user-code frame in a Node stack', () => {
+    const error = `TypeError: Cannot read properties of undefined (reading 'id')
+    at Layer.handle [as handle_request] (/app/node_modules/express/lib/router/layer.js:95:5)
+    at getUser (/app/src/users.js:12:20)
+    at Array.map (<anonymous>)
+    at Module._compile (node:internal/modules/cjs/loader:1241:14)`;
+
+    const analysis = listener.analyzeError(error);
+
+    assert.strictEqual(analysis.file, '/app/src/users.js');
+    assert.strictEqual(analysis.line, 12);
+    assert.strictEqual(analysis.column, 20);
+    assert.strictEqual(analysis.frames.length, 4);
+
+    const [dependency, user, anonymous, internal] = analysis.frames;
+    assert.deepStrictEqual(
+      [dependency.isDependency, user.isUserCode, anonymous.isInternal, internal.isInternal],
+      [true, true, true, true]
+    );
+    assert.strictEqual(user.function, 'getUser');
+    assert.strictEqual(user.line, 12);
+    assert.strictEqual(anonymous.file, null);
+  });
+
+  it('should parse frames without a function name and file:// URLs', () => {
+    const error = `Error: boom
+    at file:///app/src/main.mjs:3:1
+    at /app/src/other.js:7:9`;
+
+    const frames = listener.analyzeError(error).frames;
+
+    assert.strictEqual(frames[0].function, null);
+    assert.strictEqual(frames[0].file, '/app/src/main.mjs');
+    assert.strictEqual(frames[1].file, '/app/src/other.js');
+  });
+
+  it('should ignore ANSI color codes in stack traces', () => {
+    const error = 'TypeError: x is not a function\n\x1b[90m    at run (/app/run.js:4:2)\x1b[39m';
+
+    const analysis = listener.analyzeError(error);
+
+    assert.strictEqual(analysis.file, '/app/run.js');
+    assert.strictEqual(analysis.line, 4);
+  });
+
+  it('should classify Java runtime, library and user frames', () => {
+    const error = `Exception in thread "main" java.lang.NullPointerException: boom
+\tat java.base/java.util.Objects.requireNonNull(Objects.java:209)
+\tat org.springframework.beans.Foo.bar(Foo.java:12) ~[spring-beans-5.3.jar:5.3]
+\tat com.example.App.run(App.java:15)
+\tat jdk.internal.reflect.NativeMethodAccessorImpl.invoke0(Native Method)`;
+
+    const analysis = listener.analyzeError(error);
+    const [runtime, library, user, native] = analysis.frames;
+
+    assert.strictEqual(runtime.isInternal, true);
+    assert.strictEqual(library.isDependency, true);
+    assert.strictEqual(user.isUserCode, true);
+    assert.strictEqual(user.function, 'com.example.App.run');
+    assert.strictEqual(native.file, null);
+    assert.strictEqual(analysis.file, 'App.java');
+    assert.strictEqual(analysis.line, 15);
+  });
+
+  it('should classify C# frames and skip framework code', () => {
+    const error = `Unhandled exception. System.ArgumentOutOfRangeException: Index was out of range.
+   at System.Collections.Generic.List\`1.get_Item(Int32 index)
+   at Newtonsoft.Json.JsonConvert.Deserialize(String s)
+   at MyApp.Program.Main(String[] args) in C:\\Projects\\MyApp\\Program.cs:line 25`;
+
+    const analysis = listener.analyzeError(error);
+    const [framework, library, user] = analysis.frames;
+
+    assert.strictEqual(framework.isInternal, true);
+    assert.strictEqual(library.isDependency, true);
+    assert.strictEqual(user.function, 'MyApp.Program.Main');
+    assert.strictEqual(analysis.file, 'C:\\Projects\\MyApp\\Program.cs');
+    assert.strictEqual(analysis.line, 25);
+  });
+
+  it('should order Python frames innermost first', () => {
+    const error = `Traceback (most recent call last):
+  File "/app/manage.py", line 22, in <module>
+  File "/app/venv/lib/python3.11/site-packages/django/x.py", line 84, in get
+KeyError: 'k'`;
+
+    const frames = listener.analyzeError(error).frames;
+
+    assert.strictEqual(frames[0].isDependency, true);
+    assert.strictEqual(frames[1].function, '<module>');
+    assert.strictEqual(frames[1].isUserCode, true);
+  });
+
+  it('should fall back to a dependency frame when there is no user code', () => {
+    const error = `Error: connect ECONNREFUSED 127.0.0.1:5432
+    at /app/node_modules/pg/lib/client.js:132:36
+    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)`;
+
+    const analysis = listener.analyzeError(error);
+
+    assert.strictEqual(analysis.file, '/app/node_modules/pg/lib/client.js');
+  });
+});
+
+describe('Splitting output into separate errors', () => {
+  const listener = new ErrorListener();
+
+  it('should return one error for a single stack trace', () => {
+    const errors = listener.splitErrors(`TypeError: x is not a function
+    at main (/app/src/index.js:3:5)`);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].analysis.errorType, 'TypeError');
+    assert.strictEqual(errors[0].count, 1);
+  });
+
+  it('should return nothing for output without an error', () => {
+    assert.deepStrictEqual(listener.splitErrors('Build succeeded.'), []);
+  });
+
+  it('should split C# compiler errors and merge the repeated summary', () => {
+    const output = `Program.cs(10,15): error CS0103: The name 'x' does not exist in the current context [/app/App.csproj]
+Program.cs(12,5): error CS0246: The type or namespace name 'Foo' could not be found [/app/App.csproj]
+
+Build FAILED.
+
+Program.cs(10,15): error CS0103: The name 'x' does not exist in the current context [/app/App.csproj]
+Program.cs(12,5): error CS0246: The type or namespace name 'Foo' could not be found [/app/App.csproj]
+    2 Error(s)`;
+
+    const errors = listener.splitErrors(output);
+
+    assert.deepStrictEqual(errors.map(e => e.analysis.errorType), ['CS0103', 'CS0246']);
+    assert.deepStrictEqual(errors.map(e => e.count), [2, 2]);
+    assert.strictEqual(errors[0].analysis.errorMessage, "The name 'x' does not exist in the current context");
+    assert.strictEqual(errors[1].analysis.file, 'Program.cs');
+    assert.strictEqual(errors[1].analysis.line, 12);
+  });
+
+  it('should split javac errors, keeping the code and caret lines', () => {
+    const output = `Main.java:5: error: cannot find symbol
+        foo();
+        ^
+  symbol:   method foo()
+Main.java:9: error: incompatible types: String cannot be converted to int
+        int x = "a";
+                ^
+2 errors`;
+
+    const errors = listener.splitErrors(output);
+
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0].text, /symbol: {3}method foo\(\)$/);
+    assert.strictEqual(errors[1].analysis.line, 9);
+  });
+
+  it('should split TypeScript compiler errors', () => {
+    const output = `src/app.ts(3,5): error TS2322: Type 'string' is not assignable to type 'number'.
+src/util.ts(10,1): error TS2304: Cannot find name 'foo'.
+
+Found 2 errors in 2 files.`;
+
+    const errors = listener.splitErrors(output);
+
+    assert.deepStrictEqual(errors.map(e => e.analysis.errorType), ['TS2322', 'TS2304']);
+    assert.strictEqual(errors[0].analysis.language, 'javascript');
+    assert.strictEqual(errors[0].analysis.errorMessage, "Type 'string' is not assignable to type 'number'.");
+    assert.strictEqual(errors[1].analysis.file, 'src/util.ts');
+    assert.strictEqual(errors[1].analysis.line, 10);
+  });
+
+  it('should find Maven compiler errors and merge the repeated summary', () => {
+    const output = `[INFO] Compiling 1 source file
+[ERROR] COMPILATION ERROR :
+[ERROR] /app/src/main/java/App.java:[5,9] cannot find symbol
+  symbol:   variable x
+[INFO] 1 error
+[ERROR] Failed to execute goal org.apache.maven.plugins:maven-compiler-plugin:3.11.0:compile (default-compile) on project app: Compilation failure
+[ERROR] /app/src/main/java/App.java:[5,9] cannot find symbol`;
+
+    const errors = listener.splitErrors(output);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].count, 2);
+    assert.strictEqual(errors[0].analysis.language, 'java');
+    assert.strictEqual(errors[0].analysis.errorMessage, 'cannot find symbol');
+    assert.strictEqual(errors[0].analysis.file, '/app/src/main/java/App.java');
+    assert.strictEqual(errors[0].analysis.column, 9);
+  });
+
+  it('should split Node errors, each with its location header', () => {
+    const output = `/app/a.js:3
+    return user.name;
+                ^
+
+TypeError: Cannot read properties of undefined (reading 'name')
+    at main (/app/a.js:3:17)
+/app/b.js:7
+  foo();
+  ^
+
+ReferenceError: foo is not defined
+    at run (/app/b.js:7:3)`;
+
+    const errors = listener.splitErrors(output);
+
+    assert.deepStrictEqual(errors.map(e => e.analysis.errorType), ['TypeError', 'ReferenceError']);
+    assert.match(errors[1].text, /^\/app\/b\.js:7\n/);
+    assert.strictEqual(errors[1].analysis.file, '/app/b.js');
+  });
+
+  it('should keep chained Python tracebacks together', () => {
+    const output = `Traceback (most recent call last):
+  File "a.py", line 2, in <module>
+KeyError: 'id'
+
+During handling of the above exception, another exception occurred:
+
+Traceback (most recent call last):
+  File "a.py", line 4, in <module>
+ValueError: bad`;
+
+    const errors = listener.splitErrors(output);
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].analysis.errorType, 'ValueError');
+  });
+
+  it('should split separate Python tracebacks', () => {
+    const output = `Traceback (most recent call last):
+  File "a.py", line 2, in <module>
+KeyError: 'id'
+Traceback (most recent call last):
+  File "b.py", line 4, in <module>
+ValueError: bad`;
+
+    assert.deepStrictEqual(listener.splitErrors(output).map(e => e.analysis.errorType), ['KeyError', 'ValueError']);
+  });
 });
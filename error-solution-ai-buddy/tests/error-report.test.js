@@ -0,0 +1,178 @@
+/**
+ * Tests for error-solution-ai-buddy/register error reports
+ *
+ * Run with: node --test tests/error-report.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  REPORT_DIR_ENV,
+  installErrorReporter,
+  serializeError,
+  readReports,
+  reportText,
+  supportsNodeHook,
+  withNodeHook,
+} from '../cli/error-report.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+describe('serializeError', () => {
+  it('should keep the cause chain, code and other properties', () => {
+    const inner = Object.assign(new Error("ENOENT: no such file or directory, open 'config.json'"), {
+      code: 'ENOENT',
+      errno: -2,
+      syscall: 'open',
+    });
+    const error = serializeError(new Error('Could not load config', { cause: inner }));
+
+    assert.strictEqual(error.name, 'Error');
+    assert.strictEqual(error.message, 'Could not load config');
+    assert.strictEqual(error.code, null);
+    assert.strictEqual(error.cause.code, 'ENOENT');
+    assert.deepStrictEqual(error.cause.props, { errno: -2, syscall: 'open' });
+    assert.match(error.stack, /^Error: Could not load config\n\s+at /);
+  });
+
+  it('should keep AggregateError members', () => {
+    const error = serializeError(new AggregateError([new TypeError('a failed'), new RangeError('b failed')], 'All failed'));
+
+    assert.deepStrictEqual(error.errors.map(e => e.name), ['TypeError', 'RangeError']);
+  });
+
+  it('should describe thrown values that are not errors', () => {
+    const error = serializeError({ status: 404 });
+
+    assert.strictEqual(error.name, null);
+    assert.strictEqual(error.message, '{ status: 404 }');
+    assert.strictEqual(error.stack, null);
+  });
+
+  it('should stop at errors that cause each other', () => {
+    const a = new Error('a');
+    const b = new Error('b', { cause: a });
+    a.cause = b;
+
+    const error = serializeError(a);
+
+    assert.strictEqual(error.cause.message, 'b');
+    assert.strictEqual(error.cause.cause, null);
+  });
+});
+
+describe('installErrorReporter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'errbuddy-report-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function fakeProcess(env) {
+    const proc = new EventEmitter();
+    proc.env = env;
+    proc.pid = 4242;
+    proc.sourceMaps = false;
+    proc.setSourceMapsEnabled = (enabled) => { proc.sourceMaps = enabled; };
+    return proc;
+  }
+
+  it('should do nothing outside errbuddy', () => {
+    const proc = fakeProcess({});
+
+    assert.strictEqual(installErrorReporter(proc), false);
+    assert.strictEqual(proc.listenerCount('uncaughtExceptionMonitor'), 0);
+    assert.strictEqual(proc.sourceMaps, false);
+  });
+
+  it('should write a report for an uncaught error', () => {
+    const proc = fakeProcess({ [REPORT_DIR_ENV]: dir });
+    installErrorReporter(proc);
+
+    proc.emit('uncaughtExceptionMonitor', new TypeError('x is not a function'), 'unhandledRejection');
+    const reports = readReports(dir);
+
+    assert.strictEqual(proc.sourceMaps, true);
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].pid, 4242);
+    assert.strictEqual(reports[0].origin, 'unhandledRejection');
+    assert.strictEqual(reports[0].error.message, 'x is not a function');
+  });
+});
+
+describe('readReports', () => {
+  it('should skip files that are not reports and remove the directory', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'errbuddy-report-test-'));
+    writeFileSync(join(dir, '1-1.json'), '{"version": 1, "origin": "uncaughtException", "error": {"name": "Error"}}');
+    writeFileSync(join(dir, '2-1.json'), '{"version": 99, "error": {}}');
+    writeFileSync(join(dir, '3-1.json'), '{"version": 1, "err');
+
+    const reports = readReports(dir);
+
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(existsSync(dir), false);
+  });
+});
+
+describe('reportText', () => {
+  it('should show what Node leaves out of the printed error', () => {
+    const error = new AggregateError([new TypeError('a failed')], 'All promises were rejected');
+    const text = reportText({ origin: 'unhandledRejection', error: serializeError(new Error('Sync failed', { cause: error })) });
+
+    assert.match(text, /^Error: Sync failed\n/);
+    assert.match(text, /\nCaused by: AggregateError: All promises were rejected\n/);
+    assert.match(text, /\n\[errors 1 of 1\] TypeError: a failed\n/);
+  });
+});
+
+describe('withNodeHook', () => {
+  it('should add error-solution-ai-buddy/register to NODE_OPTIONS', () => {
+    const env = withNodeHook({ NODE_OPTIONS: '--max-old-space-size=4096', PATH: '/bin' });
+
+    assert.match(env.NODE_OPTIONS, /^--max-old-space-size=4096 --import=file:\/\/\S+\/cli\/register\.js$/);
+    assert.strictEqual(env.PATH, '/bin');
+  });
+});
+
+describe('supportsNodeHook', () => {
+  it('should need a Node.js version with --import', () => {
+    for (const version of ['18.19.0', '20.6.0', '21.0.0', '22.5.1']) {
+      assert.strictEqual(supportsNodeHook(version), true, version);
+    }
+    for (const version of ['16.20.2', '18.18.2', '19.9.0', '20.5.1']) {
+      assert.strictEqual(supportsNodeHook(version), false, version);
+    }
+  });
+});
+
+describe('ErrorListener.analyzeReport', () => {
+  const listener = new ErrorListener();
+
+  it('should use the Error itself instead of parsing the output', () => {
+    const error = serializeError(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' }));
+    error.stack = 'Error: connect ECONNREFUSED 127.0.0.1:5432\n    at connect (/app/node_modules/pg/lib/client.js:10:5)\n    at main (/app/src/db.js:3:9)';
+    const analysis = listener.analyzeReport(error, reportText({ error }));
+
+    assert.strictEqual(analysis.language, 'javascript');
+    assert.strictEqual(analysis.errorType, 'Error');
+    assert.strictEqual(analysis.code, 'ECONNREFUSED');
+    assert.strictEqual(analysis.file, '/app/src/db.js');
+    assert.strictEqual(analysis.line, 3);
+    assert.ok(analysis.localExplanation);
+  });
+
+  it('should take the location from an AggregateError member', () => {
+    const error = serializeError(new AggregateError([new TypeError('a failed')], 'All failed'));
+    error.stack = 'AggregateError: All failed';
+    error.errors[0].stack = 'TypeError: a failed\n    at run (/app/src/jobs.js:7:11)';
+
+    assert.strictEqual(listener.analyzeReport(error, reportText({ error })).file, '/app/src/jobs.js');
+  });
+});
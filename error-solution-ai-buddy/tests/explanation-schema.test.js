@@ -0,0 +1,138 @@
+/**
+ * Tests for the structured explanation schema
+ *
+ * Run with: node --test tests/explanation-schema.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  EXPLANATION_SCHEMA,
+  explanationSchema,
+  parseExplanationJson,
+  validateExplanation,
+  toExplanation,
+  previewExplanation,
+} from '../core/ai/explanation-schema.js';
+
+const valid = {
+  what: 'TypeError: Cannot read properties of undefined',
+  why: 'user is undefined when .name is read',
+  fixSteps: ['1. Check that getUser() found the user', 'Return early if it did not'],
+  example: { language: 'javascript', code: 'if (!user) return;\n' },
+  confidence: 'medium',
+};
+
+describe('EXPLANATION_SCHEMA', () => {
+  it('should require every field', () => {
+    assert.deepStrictEqual(EXPLANATION_SCHEMA.required, Object.keys(EXPLANATION_SCHEMA.properties));
+  });
+
+  it('should add a patch field on request', () => {
+    const schema = explanationSchema({ patch: true });
+
+    assert.deepStrictEqual(schema.properties.patch, { type: ['string', 'null'] });
+    assert.ok(schema.required.includes('patch'));
+    assert.ok(!EXPLANATION_SCHEMA.required.includes('patch'));
+  });
+});
+
+describe('validateExplanation()', () => {
+  it('should accept a valid answer', () => {
+    assert.deepStrictEqual(validateExplanation(valid), []);
+    assert.deepStrictEqual(validateExplanation({ ...valid, example: null }), []);
+  });
+
+  it('should list every problem', () => {
+    const errors = validateExplanation({ what: '', fixSteps: 'Restart', example: 'x', confidence: 'sure' });
+
+    assert.deepStrictEqual(errors, [
+      'what must be a non-empty string',
+      'why must be a non-empty string',
+      'fixSteps must be a non-empty list of strings',
+      'example must be null or { "language": string, "code": string }',
+      'confidence must be one of: high, medium, low',
+    ]);
+  });
+
+  it('should only accept a string patch', () => {
+    assert.deepStrictEqual(validateExplanation({ ...valid, patch: '@@ -1 +1 @@' }), []);
+    assert.deepStrictEqual(validateExplanation({ ...valid, patch: ['-a', '+b'] }), ['patch must be a unified diff string or null']);
+  });
+
+  it('should reject non-objects', () => {
+    assert.deepStrictEqual(validateExplanation([]), ['answer must be a JSON object']);
+    assert.deepStrictEqual(validateExplanation(null), ['answer must be a JSON object']);
+  });
+});
+
+describe('parseExplanationJson()', () => {
+  it('should parse plain and fenced JSON', () => {
+    assert.deepStrictEqual(parseExplanationJson(JSON.stringify(valid)).errors, []);
+    assert.deepStrictEqual(parseExplanationJson('```json\n' + JSON.stringify(valid) + '\n```').errors, []);
+  });
+
+  it('should report invalid JSON', () => {
+    const { data, errors } = parseExplanationJson('WHAT: a bug');
+
+    assert.strictEqual(data, null);
+    assert.match(errors[0], /^not valid JSON/);
+  });
+});
+
+describe('toExplanation()', () => {
+  it('should build the explanation used by the formatter and history', () => {
+    const explanation = toExplanation(valid, 'raw');
+
+    assert.deepStrictEqual(explanation.fixSteps, ['Check that getUser() found the user', 'Return early if it did not']);
+    assert.strictEqual(explanation.fix, '1. Check that getUser() found the user\n2. Return early if it did not');
+    assert.strictEqual(explanation.example, 'if (!user) return;');
+    assert.strictEqual(explanation.exampleLanguage, 'javascript');
+    assert.strictEqual(explanation.confidence, 'medium');
+    assert.strictEqual(explanation.patch, null);
+    assert.strictEqual(explanation.raw, 'raw');
+  });
+
+  it('should treat an empty example as none', () => {
+    const explanation = toExplanation({ ...valid, example: { language: 'text', code: ' ' } }, 'raw');
+
+    assert.strictEqual(explanation.example, null);
+    assert.strictEqual(explanation.exampleLanguage, null);
+  });
+});
+
+describe('previewExplanation()', () => {
+  const json = JSON.stringify(valid);
+
+  it('should show labelled sections from partial JSON', () => {
+    const partial = json.substring(0, json.indexOf('Return early') + 6);
+
+    assert.strictEqual(previewExplanation(partial), [
+      `WHAT: ${valid.what}`,
+      `WHY: ${valid.why}`,
+      'FIX:',
+      '1. 1. Check that getUser() found the user',
+      '2. Return',
+    ].join('\n'));
+  });
+
+  it('should only ever grow while the answer streams', () => {
+    let previous = '';
+    for (let i = 1; i <= json.length; i++) {
+      const preview = previewExplanation(json.substring(0, i));
+      assert.ok(preview.startsWith(previous), `preview shrank at ${i}: ${JSON.stringify(preview)}`);
+      previous = preview;
+    }
+    assert.ok(previous.endsWith('EXAMPLE:\nif (!user) return;\n'));
+  });
+
+  it('should drop escapes cut off at the end', () => {
+    assert.strictEqual(previewExplanation('{"what": "say \\"hi\\'), 'WHAT: say "hi');
+    assert.strictEqual(previewExplanation('{"what": "caf\\u00'), 'WHAT: caf');
+  });
+
+  it('should pass through answers that are not JSON', () => {
+    assert.strictEqual(previewExplanation('WHAT: a bug'), 'WHAT: a bug');
+    assert.strictEqual(previewExplanation(''), '');
+  });
+});
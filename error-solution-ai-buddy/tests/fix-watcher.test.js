@@ -0,0 +1,87 @@
+/**
+ * Tests for the --until-fixed watcher
+ *
+ * Run with: node --test tests/fix-watcher.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { FixWatcher, filesToWatch, fixOutcome } from '../cli/fix-watcher.js';
+
+const typeError = {
+  isError: true,
+  language: 'javascript',
+  errorType: 'TypeError',
+  errorMessage: "Cannot read properties of undefined (reading 'name')",
+  frames: [{ file: '/src/app.js', function: 'main', isUserCode: true }],
+};
+
+describe('fixOutcome', () => {
+  it('should report fixed when the run has no error', () => {
+    assert.strictEqual(fixOutcome(typeError, null), 'fixed');
+    assert.strictEqual(fixOutcome(typeError, { isError: false }), 'fixed');
+  });
+
+  it('should report persists for the same error on another line', () => {
+    const sameError = { ...typeError, line: 40, errorMessage: "Cannot read properties of undefined (reading 'name')" };
+    assert.strictEqual(fixOutcome(typeError, sameError), 'persists');
+  });
+
+  it('should report changed for a different error', () => {
+    assert.strictEqual(fixOutcome(typeError, { ...typeError, errorType: 'ReferenceError' }), 'changed');
+    assert.strictEqual(fixOutcome(typeError, { ...typeError, errorMessage: "Cannot read properties of undefined (reading 'id')" }), 'changed');
+  });
+});
+
+describe('FixWatcher', () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'errbuddy-watch-'));
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should watch existing user-code files from the stack trace', () => {
+    writeFileSync(join(root, 'app.js'), '');
+    const analysis = {
+      file: 'app.js',
+      frames: [
+        { file: join(root, 'app.js'), isUserCode: true },
+        { file: join(root, 'missing.js'), isUserCode: true },
+        { file: join(root, 'node_modules', 'lib.js'), isUserCode: false },
+      ],
+    };
+
+    assert.deepStrictEqual(filesToWatch(analysis, root), [join(root, 'app.js')]);
+  });
+
+  it('should resolve when a watched file changes', async () => {
+    const file = join(root, 'app.js');
+    writeFileSync(file, 'broken');
+    const watcher = new FixWatcher({ input: new PassThrough(), settleMs: 10 });
+
+    const waiting = watcher.waitForChange([file]);
+    setTimeout(() => writeFileSync(file, 'fixed'), 50);
+
+    assert.strictEqual(await waiting, 'change');
+  });
+
+  it('should resolve on Enter when stdin is a terminal', async () => {
+    const input = new PassThrough();
+    input.isTTY = true;
+    const watcher = new FixWatcher({ input });
+
+    const waiting = watcher.waitForChange([]);
+    input.write('\n');
+
+    assert.strictEqual(await waiting, 'enter');
+    assert.strictEqual(input.listenerCount('data'), 0);
+  });
+});
@@ -53,6 +53,42 @@ describe('Formatter', () => {
       const wrapped = formatter.wrapText(text, 50);
       assert.strictEqual(wrapped, 'Short text');
     });
+
+    it('should keep existing line breaks', () => {
+      assert.strictEqual(formatter.wrapText('1. Check user\n2. Retry', 50), '1. Check user\n2. Retry');
+    });
+  });
+
+  describe('formatExplanationSections()', () => {
+    const formatter = new Formatter({ useEmoji: false });
+    const explanation = {
+      what: 'A TypeError',
+      why: 'user is undefined',
+      fix: '1. Check user\n2. Retry',
+      fixSteps: ['Check user', 'Load the user before reading user.name so it is never undefined here'],
+      example: null,
+      confidence: 'low',
+    };
+
+    it('should number fix steps and indent wrapped lines', () => {
+      const lines = formatter.formatExplanationSections(explanation).split('\n');
+      const first = lines.findIndex(line => line.startsWith('1. '));
+
+      assert.strictEqual(lines[first], '1. Check user');
+      assert.ok(lines[first + 1].startsWith('2. Load the user'));
+      assert.ok(lines[first + 2].startsWith('   '));
+    });
+
+    it('should warn about low confidence', () => {
+      assert.ok(formatter.formatExplanationSections(explanation).includes('Confidence: low - double-check'));
+    });
+
+    it('should fall back to the fix text without steps', () => {
+      const content = formatter.formatExplanationSections({ what: 'A', fix: 'Restart the server' });
+
+      assert.ok(content.includes('Restart the server'));
+      assert.ok(!content.includes('Confidence'));
+    });
   });
 
   describe('formatCode()', () => {
@@ -76,6 +112,140 @@ describe('Formatter', () => {
     });
   });
 
+  describe('formatStack()', () => {
+    const formatter = new Formatter();
+    const frames = [
+      { function: 'Layer.handle', file: '/app/node_modules/express/layer.js', line: 95, column: 5, isInternal: false, isDependency: true, isUserCode: false },
+      { function: 'getUser', file: '/app/src/users.js', line: 12, column: 20, isInternal: false, isDependency: false, isUserCode: true },
+      { function: null, file: '/app/src/main.js', line: 3, column: 1, isInternal: false, isDependency: false, isUserCode: true },
+      { function: 'Module._compile', file: 'node:internal/modules/cjs/loader', line: 1241, column: 14, isInternal: true, isDependency: false, isUserCode: false },
+    ];
+
+    it('should show only user-code frames', () => {
+      const stack = formatter.formatStack(frames);
+
+      assert.ok(stack.includes('at getUser (/app/src/users.js:12:20)'));
+      assert.ok(stack.includes('at /app/src/main.js:3:1'));
+      assert.ok(!stack.includes('node_modules'));
+      assert.ok(!stack.includes('node:internal'));
+    });
+
+    it('should report how many frames were hidden', () => {
+      assert.ok(formatter.formatStack(frames).includes('2 more frames hidden'));
+      assert.ok(formatter.formatStack(frames, 1).includes('3 more frames hidden'));
+    });
+
+    it('should return empty string without user frames', () => {
+      assert.strictEqual(formatter.formatStack([frames[0], frames[3]]), '');
+      assert.strictEqual(formatter.formatStack(undefined), '');
+    });
+
+    it('should show the compiled location of source-mapped frames', () => {
+      const mapped = {
+        ...frames[1],
+        file: '/app/src/users.ts',
+        line: 10,
+        column: 18,
+        generated: { file: '/app/dist/users.js', line: 12, column: 20 },
+      };
+      const stack = formatter.formatStack([mapped]);
+
+      assert.ok(stack.includes('at getUser (/app/src/users.ts:10:18)'));
+      assert.ok(stack.includes('← /app/dist/users.js:12:20'));
+    });
+  });
+
+  describe('formatWhereSection()', () => {
+    const formatter = new Formatter();
+
+    it('should show the file and line of an error without a stack', () => {
+      const analysis = { file: 'src/main/java/com/inv/Stock.java', line: 31, column: null, frames: [] };
+      assert.ok(formatter.formatWhereSection(analysis).includes('at src/main/java/com/inv/Stock.java:31\n'));
+    });
+
+    it('should not show a location for a stack without user code', () => {
+      const frame = { function: 'Layer.handle', file: '/app/node_modules/express/layer.js', line: 95, column: 5, isUserCode: false };
+      assert.strictEqual(formatter.formatWhereSection({ file: frame.file, line: 95, column: 5, frames: [frame] }), '');
+      assert.strictEqual(formatter.formatWhereSection({ file: null, line: null, column: null, frames: [] }), '');
+    });
+  });
+
+  describe('formatTable()', () => {
+    const formatter = new Formatter();
+
+    it('should size each column to its longest cell', () => {
+      const lines = formatter.formatTable(['ID', 'Name'], [['7', 'a'], ['12345', 'longer name']]).split('\n');
+
+      assert.ok(lines[0].includes('ID     Name'));
+      assert.strictEqual(lines[1], '7      a');
+      assert.strictEqual(lines[2], '12345  longer name');
+    });
+  });
+
+  describe('formatAuditTable()', () => {
+    const formatter = new Formatter();
+
+    it('should list requests with their redactions', () => {
+      const table = formatter.formatAuditTable([
+        { id: 2, kind: 'repair', time: '2024-03-01T14:05:00.000Z', model: 'qwen2.5:0.5b', url: 'http://localhost:11434/api/generate', redactions: {} },
+        { id: 1, kind: 'explain', time: '2024-03-01T14:05:00.000Z', model: 'qwen2.5:0.5b', url: 'http://localhost:11434/api/generate', redactions: { email: 1, ipv4: 2 } },
+      ]);
+
+      assert.ok(table.includes('2 (repair)'));
+      assert.ok(table.includes('http://localhost:11434/api/generate'));
+      assert.ok(table.includes('1 email, 2 ipv4'));
+      assert.ok(table.includes('nothing'));
+    });
+
+    it('should say when the log is empty', () => {
+      assert.ok(formatter.formatAuditTable([]).includes('No requests'));
+    });
+  });
+
+  describe('formatRulesTable()', () => {
+    const formatter = new Formatter();
+
+    it('should show what each rule does and where it comes from', () => {
+      const lines = formatter.formatRulesTable([
+        { id: 'acme/quota', language: 'java', priority: 10, captures: {}, explanation: {}, source: 'project' },
+        { id: 'acme/code', language: null, priority: 0, captures: null, explanation: {}, source: 'user' },
+      ]).split('\n');
+
+      assert.match(lines[1], /^acme\/quota\s+java\s+10\s+detects, explains\s+project$/);
+      assert.match(lines[2], /^acme\/code\s+any\s+0\s+explains\s+user$/);
+    });
+  });
+
+  describe('formatHistoryTable()', () => {
+    const formatter = new Formatter();
+    const entries = [
+      { id: 12, timestamp: '2024-03-01T14:05:00Z', language: 'python', errorType: 'KeyError', errorMessage: "'name'", helpful: true },
+      { id: 3, timestamp: '2024-02-01T09:00:00Z', language: null, errorType: null, errorMessage: 'x'.repeat(80), helpful: null },
+    ];
+
+    it('should print one row per entry under a header', () => {
+      const lines = formatter.formatHistoryTable(entries).split('\n');
+
+      assert.strictEqual(lines.length, 3);
+      assert.ok(lines[0].includes('Helpful'));
+      assert.ok(lines[1].startsWith('12'));
+      assert.ok(lines[1].includes('Python'));
+      assert.ok(lines[1].endsWith('yes'));
+    });
+
+    it('should truncate long messages and fill empty cells', () => {
+      const row = formatter.formatHistoryTable(entries).split('\n')[2];
+
+      assert.ok(row.includes('x'.repeat(47) + '...'));
+      assert.ok(!row.includes('x'.repeat(48)));
+      assert.ok(row.includes(' - '));
+    });
+
+    it('should say when there is nothing to show', () => {
+      assert.ok(formatter.formatHistoryTable([]).includes('No matching errors'));
+    });
+  });
+
   describe('formatLanguage()', () => {
     const formatter = new Formatter();
 
@@ -95,6 +265,20 @@ describe('Formatter', () => {
       assert.strictEqual(formatter.formatLanguage('rust'), 'rust');
     });
   });
+
+  describe('formatLanguageGuess()', () => {
+    const formatter = new Formatter();
+
+    it('should say how sure the language is', () => {
+      assert.strictEqual(formatter.formatLanguageGuess({ language: 'java', confidence: 0.92 }), 'Java');
+      assert.strictEqual(formatter.formatLanguageGuess({ language: 'java', confidence: 0.82 }), 'probably Java (82%)');
+      assert.strictEqual(formatter.formatLanguageGuess({ language: 'javascript', confidence: 0.33 }), 'possibly JavaScript/Node.js (33%)');
+    });
+
+    it('should show just the name without a confidence', () => {
+      assert.strictEqual(formatter.formatLanguageGuess({ language: 'python' }), 'Python');
+    });
+  });
 });
 
 describe('Formatter Output Structure', () => {
@@ -157,3 +341,32 @@ describe('Formatter Output Structure', () => {
     }
   });
 });
+
+describe('Formatter error summary', () => {
+  const errors = [
+    { text: "Program.cs(10,15): error CS0103: ...", count: 2, analysis: { errorType: 'CS0103', errorMessage: "The name 'x' does not exist", file: 'Program.cs', line: 10 } },
+    { text: 'Main.java:5: error: cannot find symbol', count: 1, analysis: { errorType: null, errorMessage: null, file: 'Main.java', line: 5 } },
+    { text: 'TypeError: boom', count: 1, analysis: { errorType: 'TypeError', errorMessage: 'boom', file: null, line: null } },
+  ];
+
+  it('should list every error with location and repeat count', () => {
+    const formatter = new Formatter();
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (...args) => logs.push(args.join(' '));
+
+    try {
+      formatter.printErrorSummary(errors, 2);
+      const output = logs.join('\n');
+
+      assert.ok(output.includes('Found 3 errors'));
+      assert.ok(output.includes("1. CS0103: The name 'x' does not exist"));
+      assert.ok(output.includes('Program.cs:10'));
+      assert.ok(output.includes('(2×)'));
+      assert.ok(output.includes('2. Main.java:5: error: cannot find symbol'));
+      assert.ok(output.includes('Explaining the first 2'));
+    } finally {
+      console.log = originalLog;
+    }
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Golden-file tests: analyzeError() over the corpus in tests/corpus/
+ *
+ * Every tests/corpus/<language>/<name>.log has the expected analysis in
+ * <name>.json next to it. The goldens hold a summary of the analysis
+ * (see summarize), not all of it: classifier weights and explanation
+ * texts are tuned on purpose, and that shouldn't touch every golden. So
+ * candidates are kept in rank order without their confidence, and the
+ * explanation as the id of its rule.
+ *
+ * Run with:    node --test tests/golden.test.js
+ * Regenerate:  npm run goldens:update   (then review the diff)
+ * Coverage:    npm run goldens:coverage
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ErrorListener } from '../core/error-listener.js';
+
+const CORPUS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'corpus');
+const UPDATE = process.argv.includes('--update');
+const COVERAGE = process.argv.includes('--coverage');
+
+function readFixtures() {
+  return readdirSync(CORPUS_DIR).flatMap(label =>
+    readdirSync(join(CORPUS_DIR, label))
+      .filter(file => file.endsWith('.log'))
+      .map(file => ({
+        name: `${label}/${file}`,
+        label,
+        text: readFileSync(join(CORPUS_DIR, label, file), 'utf8'),
+        golden: join(CORPUS_DIR, label, file.replace(/\.log$/, '.json')),
+      })),
+  );
+}
+
+/**
+ * The parts of an analysis a golden checks, in a form that diffs well
+ */
+function summarize(analysis) {
+  const summary = {
+    isError: analysis.isError,
+    language: analysis.language,
+    candidates: analysis.candidates.map(candidate => candidate.language),
+    errorType: analysis.errorType,
+    errorMessage: analysis.errorMessage,
+    file: analysis.file,
+    line: analysis.line,
+    column: analysis.column,
+    rule: analysis.rule,
+    explanation: analysis.localExplanation?.rule ?? null,
+    frames: analysis.frames.map(formatFrame),
+  };
+  if (analysis.chain) {
+    summary.chain = analysis.chain.map(item => `${item.errorType}: ${item.errorMessage}`);
+  }
+  return summary;
+}
+
+function formatFrame(frame) {
+  const location = [frame.file, frame.line, frame.column].filter(part => part !== null).join(':');
+  const kind = frame.isUserCode ? 'user' : frame.isInternal ? 'internal' : 'dependency';
+  return `${frame.function ?? '<anonymous>'} ${location} [${kind}]`;
+}
+
+describe('Golden analyses of the corpus', () => {
+  const listener = new ErrorListener();
+  const fixtures = readFixtures().map(fixture => ({
+    ...fixture,
+    summary: summarize(listener.analyzeError(fixture.text)),
+  }));
+
+  for (const fixture of fixtures) {
+    it(fixture.name, () => {
+      if (UPDATE) {
+        writeFileSync(fixture.golden, JSON.stringify(fixture.summary, null, 2) + '\n');
+        return;
+      }
+
+      assert.ok(existsSync(fixture.golden), `No golden for ${fixture.name}: run "npm run goldens:update"`);
+      assert.deepStrictEqual(fixture.summary, JSON.parse(readFileSync(fixture.golden, 'utf8')));
+    });
+  }
+
+  it('should have a fixture for every golden', () => {
+    const goldens = new Set(fixtures.map(fixture => fixture.golden));
+    const orphans = readdirSync(CORPUS_DIR).flatMap(label =>
+      readdirSync(join(CORPUS_DIR, label))
+        .filter(file => file.endsWith('.json') && !goldens.has(join(CORPUS_DIR, label, file)))
+        .map(file => `${label}/${file}`),
+    );
+
+    assert.deepStrictEqual(orphans, []);
+  });
+
+  it('should report which rules the corpus never hits', (t) => {
+    const hits = new Map();
+    const count = (rule) => rule && hits.set(rule, (hits.get(rule) || 0) + 1);
+    for (const { summary } of fixtures) {
+      count(summary.rule);
+      if (summary.explanation !== summary.rule) count(summary.explanation);
+    }
+
+    const rules = listener.ruleSet.rules;
+    const missed = (kind) => rules.filter(rule => rule[kind] && !hits.has(rule.id)).map(rule => rule.id);
+    const explanations = rules.filter(rule => rule.explanation);
+    const missedExplanations = missed('explanation');
+
+    t.diagnostic(`${explanations.length - missedExplanations.length}/${explanations.length} explanations hit by ${fixtures.length} fixtures`);
+    if (COVERAGE) {
+      for (const line of formatCoverage(fixtures)) t.diagnostic(line);
+      t.diagnostic(`Explanations never hit: ${missedExplanations.join(', ') || 'none'}`);
+      t.diagnostic(`Detections never hit: ${missed('captures').join(', ') || 'none'}`);
+    }
+
+    // A rule a golden names must still exist; renaming one means --update
+    const unknown = [...hits.keys()].filter(id => !rules.some(rule => rule.id === id));
+    assert.deepStrictEqual(unknown, []);
+  });
+});
+
+/**
+ * One line per language and error type: how many fixtures, and the
+ * rules that detected and explained them
+ */
+function formatCoverage(fixtures) {
+  const rows = new Map();
+  for (const { summary } of fixtures) {
+    const key = `${summary.language}  ${summary.errorType ?? '(no type)'}`;
+    const row = rows.get(key) || { fixtures: 0, rules: new Set() };
+    row.fixtures++;
+    row.rules.add(`${summary.rule ?? '-'} → ${summary.explanation ?? '-'}`);
+    rows.set(key, row);
+  }
+
+  const width = Math.max(...[...rows.keys()].map(key => key.length));
+  return [...rows.keys()].sort().map(key => {
+    const { fixtures: count, rules } = rows.get(key);
+    return `${key.padEnd(width)}  ×${count}  ${[...rules].join('; ')}`;
+  });
+}
@@ -0,0 +1,106 @@
+/**
+ * Stress tests for History Service with parallel errbuddy processes
+ *
+ * Run with: node --test tests/history-concurrency.test.js
+ *
+ * Several writer processes save to the same history at once. Every
+ * entry must be kept, exactly once, with a unique ID.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { HistoryService } from '../backend/src/services/history-service.js';
+
+const WRITERS = 8;
+const ENTRIES_PER_WRITER = 25;
+
+const serviceUrl = new URL('../backend/src/services/history-service.js', import.meta.url).href;
+
+/**
+ * Start a process that saves `count` entries, then exits
+ */
+function runWriter(dir, storage, writer, count) {
+  const script = `
+    import { HistoryService } from ${JSON.stringify(serviceUrl)};
+    const history = new HistoryService({ dir: ${JSON.stringify(dir)}, storage: ${JSON.stringify(storage)} });
+    for (let i = 0; i < ${count}; i++) {
+      history.saveError({ language: 'javascript', errorType: 'Error', errorMessage: 'writer ${writer} entry ' + i }, null);
+    }
+    history.close();
+  `;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`Writer ${writer} exited with ${code}: ${stderr}`));
+    });
+  });
+}
+
+for (const storage of ['json', 'sqlite']) {
+  describe(`History concurrency (${storage})`, { skip: storage === 'sqlite' && !HistoryService.isSqliteAvailable() && 'node:sqlite not available' }, () => {
+    let root;
+
+    beforeEach(() => {
+      root = mkdtempSync(join(tmpdir(), 'errbuddy-concurrency-'));
+    });
+
+    afterEach(() => {
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should keep every entry from parallel writers exactly once', { timeout: 120000 }, async () => {
+      const writers = [];
+      for (let writer = 0; writer < WRITERS; writer++) {
+        writers.push(runWriter(root, storage, writer, ENTRIES_PER_WRITER));
+      }
+      await Promise.all(writers);
+
+      const history = new HistoryService({ dir: root, storage });
+      const entries = history.getRecent(WRITERS * ENTRIES_PER_WRITER * 2);
+      history.close();
+
+      assert.strictEqual(entries.length, WRITERS * ENTRIES_PER_WRITER);
+      assert.strictEqual(new Set(entries.map(e => e.id)).size, entries.length, 'IDs must be unique');
+      assert.strictEqual(new Set(entries.map(e => e.errorMessage)).size, entries.length, 'No entry may be duplicated');
+    });
+  });
+}
+
+describe('History file lock', () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'errbuddy-lock-'));
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should take over a lock left by a process that no longer runs', () => {
+    // PIDs are never this high, so the owner is certainly gone
+    writeFileSync(join(root, 'history.json.lock'), '999999999');
+
+    const history = new HistoryService({ dir: root, storage: 'json' });
+    history.saveError({ errorType: 'Error' }, null);
+
+    assert.strictEqual(history.getRecent().length, 1);
+    assert.ok(!existsSync(join(root, 'history.json.lock')));
+  });
+
+  it('should not leave temp files behind', () => {
+    const history = new HistoryService({ dir: root, storage: 'json' });
+    history.saveError({ errorType: 'Error' }, null);
+
+    assert.ok(!existsSync(join(root, `history.json.${process.pid}.tmp`)));
+  });
+});
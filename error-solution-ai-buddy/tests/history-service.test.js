@@ -0,0 +1,289 @@
+/**
+ * Tests for History Service
+ *
+ * Run with: node --test tests/history-service.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { HistoryService, errorFingerprint } from '../backend/src/services/history-service.js';
+
+const sqliteAvailable = HistoryService.isSqliteAvailable();
+
+// Run the same behaviour tests against both stores
+for (const storage of ['json', 'sqlite']) {
+  describe(`HistoryService (${storage})`, { skip: storage === 'sqlite' && !sqliteAvailable && 'node:sqlite not available' }, () => {
+    let root;
+    let history;
+
+    const typeError = {
+      language: 'javascript',
+      errorType: 'TypeError',
+      errorMessage: "Cannot read properties of undefined (reading 'map')",
+      file: 'app.js',
+      line: 12,
+    };
+    const explanation = { what: 'What', why: 'Why', fix: 'Fix', example: null };
+
+    beforeEach(() => {
+      root = mkdtempSync(join(tmpdir(), 'errbuddy-history-'));
+      history = new HistoryService({ dir: root, storage });
+    });
+
+    afterEach(() => {
+      history.close();
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should use the requested storage', () => {
+      assert.strictEqual(history.storage, storage);
+    });
+
+    it('should save entries and return them newest first', () => {
+      history.saveError(typeError, explanation, 'node app.js');
+      history.saveError({ language: 'python', errorType: 'KeyError' }, null);
+
+      const recent = history.getRecent();
+      assert.deepStrictEqual(recent.map(e => e.errorType), ['KeyError', 'TypeError']);
+      assert.strictEqual(recent[1].explanationWhat, 'What');
+      assert.strictEqual(recent[1].command, 'node app.js');
+    });
+
+    it('should persist entries to disk', () => {
+      const id = history.saveError(typeError, explanation);
+
+      const reloaded = new HistoryService({ dir: root, storage });
+      assert.strictEqual(reloaded.getById(id).errorType, 'TypeError');
+      assert.strictEqual(reloaded.getById(id).lineNumber, 12);
+      reloaded.close();
+    });
+
+    it('should keep a suggested patch and its file', () => {
+      const id = history.saveError(typeError, { ...explanation, patch: '--- a/app.js', patchFile: '/src/app.js' });
+      const plain = history.saveError(typeError, explanation);
+
+      assert.strictEqual(history.getById(id).patch, '--- a/app.js');
+      assert.strictEqual(history.getById(id).patchFile, '/src/app.js');
+      assert.strictEqual(history.getById(plain).patch, null);
+    });
+
+    it('should find entries by ID', () => {
+      const id = history.saveError(typeError, explanation);
+
+      assert.strictEqual(history.getById(id).id, id);
+      assert.strictEqual(history.getById(999), null);
+    });
+
+    it('should search by type, message and explanation', () => {
+      history.saveError(typeError, { what: 'The list was never loaded' });
+      history.saveError({ language: 'python', errorType: 'KeyError', errorMessage: "'name'" }, null);
+
+      assert.strictEqual(history.search('typeerror').length, 1);
+      assert.strictEqual(history.search('reading').length, 1);
+      assert.strictEqual(history.search('never loaded').length, 1);
+      assert.strictEqual(history.search('nothing').length, 0);
+    });
+
+    it('should keep more than 500 entries', () => {
+      for (let i = 0; i < 510; i++) {
+        history.saveError(typeError, null);
+      }
+      assert.strictEqual(history.getStats().total, 510);
+    });
+
+    it('should delete entries older than the retention period', () => {
+      history.saveError(typeError, explanation);
+      history.close();
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 40 * 24 * 60 * 60 * 1000;
+      try {
+        history = new HistoryService({ dir: root, storage, retentionDays: 30 });
+      } finally {
+        Date.now = realNow;
+      }
+
+      assert.strictEqual(history.getRecent().length, 0);
+    });
+
+    it('should find similar errors by type and language', () => {
+      history.saveError(typeError, explanation);
+      history.saveError({ ...typeError, language: 'python' }, explanation);
+
+      assert.strictEqual(history.findSimilar('TypeError', 'javascript').length, 1);
+    });
+
+    it('should record feedback and report unknown IDs', () => {
+      const id = history.saveError(typeError, explanation);
+
+      assert.strictEqual(history.markHelpful(id, true), true);
+      assert.strictEqual(history.getById(id).helpful, true);
+      assert.strictEqual(history.markHelpful(999, false), false);
+    });
+
+    it('should record re-run outcomes as feedback', () => {
+      const fixed = history.saveError(typeError, explanation);
+      const persists = history.saveError(typeError, explanation);
+
+      assert.strictEqual(history.recordFixOutcome(fixed, 'fixed'), true);
+      assert.strictEqual(history.recordFixOutcome(persists, 'persists'), true);
+      assert.strictEqual(history.recordFixOutcome(999, 'fixed'), false);
+
+      assert.strictEqual(history.getById(fixed).fixOutcome, 'fixed');
+      assert.strictEqual(history.getById(fixed).helpful, true);
+      assert.strictEqual(history.getById(persists).helpful, false);
+      assert.strictEqual(history.recall(typeError).entry, null);
+
+      history.recordFixOutcome(persists, 'changed');
+      assert.strictEqual(history.recall(typeError).entry.id, persists);
+    });
+
+    it('should count errors in stats', () => {
+      const id = history.saveError(typeError, explanation);
+      history.saveError(typeError, explanation);
+      history.markHelpful(id, false);
+
+      const stats = history.getStats();
+      assert.strictEqual(stats.total, 2);
+      assert.deepStrictEqual(stats.topErrors, [{ errorType: 'TypeError', count: 2 }]);
+      assert.deepStrictEqual(stats.feedback, { helpful: 0, notHelpful: 1, noFeedback: 1 });
+    });
+
+    it('should clear history and return the number removed', () => {
+      history.saveError(typeError, explanation);
+      history.saveError(typeError, explanation);
+
+      assert.strictEqual(history.clearHistory(), 2);
+      assert.strictEqual(history.getRecent().length, 0);
+    });
+
+    describe('recall()', () => {
+      const frames = [
+        { function: 'loadUsers', file: '/tmp/run-1/src/users.js', line: 12, isUserCode: true },
+      ];
+      const error = { ...typeError, frames };
+
+      it('should report nothing for a new error', () => {
+        assert.deepStrictEqual(history.recall(error), { count: 0, lastSeen: null, entry: null });
+      });
+
+      it('should count earlier occurrences without reusing unrated ones', () => {
+        history.saveError(error, explanation);
+        history.saveError(error, explanation);
+
+        const recall = history.recall(error);
+        assert.strictEqual(recall.count, 2);
+        assert.ok(recall.lastSeen);
+        assert.strictEqual(recall.entry, null);
+      });
+
+      it('should reuse the latest explanation marked helpful', () => {
+        const first = history.saveError(error, explanation);
+        history.markHelpful(first, true);
+        history.saveError(error, { what: 'Newer' });
+
+        assert.strictEqual(history.recall(error).entry.id, first);
+      });
+
+      it('should not reuse it once a newer explanation was marked unhelpful', () => {
+        history.markHelpful(history.saveError(error, explanation), true);
+        history.markHelpful(history.saveError(error, explanation), false);
+
+        assert.strictEqual(history.recall(error).entry, null);
+      });
+    });
+  });
+
+}
+
+describe('HistoryService storage', () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'errbuddy-history-'));
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should back up a corrupt history.json instead of overwriting it', () => {
+    writeFileSync(join(root, 'history.json'), '{ "errors": [');
+
+    const history = new HistoryService({ dir: root, storage: 'json' });
+    assert.strictEqual(history.getRecent().length, 0);
+
+    history.saveError({ errorType: 'Error' }, null);
+    assert.strictEqual(history.getRecent().length, 1);
+    assert.ok(readdirSync(root).some(name => name.startsWith('history.json.corrupt-')));
+  });
+
+  it('should pick SQLite automatically when available', () => {
+    const history = new HistoryService({ dir: root });
+    assert.strictEqual(history.storage, sqliteAvailable ? 'sqlite' : 'json');
+    history.close();
+  });
+
+  it('should import history.json into SQLite once', { skip: !sqliteAvailable && 'node:sqlite not available' }, () => {
+    const json = new HistoryService({ dir: root, storage: 'json' });
+    const id = json.saveError({ language: 'python', errorType: 'KeyError', errorMessage: "'name'" }, { what: 'Missing key' });
+    json.markHelpful(id, true);
+
+    const history = new HistoryService({ dir: root, storage: 'sqlite' });
+    const entry = history.getById(id);
+
+    assert.strictEqual(entry.errorType, 'KeyError');
+    assert.strictEqual(entry.explanationWhat, 'Missing key');
+    assert.strictEqual(entry.helpful, true);
+    assert.strictEqual(history.search('missing').length, 1);
+    assert.ok(!existsSync(join(root, 'history.json')));
+    assert.ok(existsSync(join(root, 'history.json.imported')));
+
+    // New entries continue after the imported IDs
+    assert.strictEqual(history.saveError({ errorType: 'Error' }, null), id + 1);
+    history.close();
+  });
+
+  it('should record the schema version', { skip: !sqliteAvailable && 'node:sqlite not available' }, () => {
+    const history = new HistoryService({ dir: root, storage: 'sqlite' });
+    assert.ok(history.store.schemaVersion >= 2);
+    history.close();
+  });
+});
+
+describe('errorFingerprint()', () => {
+  const base = {
+    language: 'javascript',
+    errorType: 'Error',
+    errorMessage: "Cannot find module '/home/dev/app/config.js'",
+    frames: [{ function: 'start', file: '/home/dev/app/server.js', line: 3, isUserCode: true }],
+  };
+
+  it('should ignore paths, numbers and line numbers', () => {
+    const other = {
+      ...base,
+      errorMessage: "Cannot find module '/tmp/build-42/config.js'",
+      frames: [{ function: 'start', file: 'C:\\work\\app\\server.js', line: 99, isUserCode: true }],
+    };
+
+    assert.strictEqual(errorFingerprint(other), errorFingerprint(base));
+  });
+
+  it('should keep quoted names', () => {
+    const a = { ...base, errorMessage: "Cannot find module 'express'" };
+    const b = { ...base, errorMessage: "Cannot find module 'lodash'" };
+
+    assert.notStrictEqual(errorFingerprint(a), errorFingerprint(b));
+  });
+
+  it('should differ for a different type or user frame', () => {
+    assert.notStrictEqual(errorFingerprint({ ...base, errorType: 'TypeError' }), errorFingerprint(base));
+    assert.notStrictEqual(
+      errorFingerprint({ ...base, frames: [{ function: 'stop', file: 'server.js', isUserCode: true }] }),
+      errorFingerprint(base)
+    );
+  });
+});
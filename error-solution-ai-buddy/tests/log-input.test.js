@@ -0,0 +1,113 @@
+/**
+ * Tests for errbuddy explain input handling
+ *
+ * Run with: node --test tests/log-input.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'stream';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { readErrorInput, cleanLogText, focusOnError, InputError } from '../cli/log-input.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+describe('readErrorInput', () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'errbuddy-input-'));
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should read a file path relative to cwd', async () => {
+    writeFileSync(join(root, 'build.log'), 'TypeError: x is not a function\n');
+
+    const input = await readErrorInput('build.log', { cwd: root });
+    assert.deepStrictEqual(input, { text: 'TypeError: x is not a function', label: 'build.log' });
+  });
+
+  it('should treat an argument that is not a file as the error text', async () => {
+    const input = await readErrorInput("NameError: name 'foo' is not defined", { cwd: root });
+    assert.strictEqual(input.label, 'text');
+    assert.strictEqual(input.text, "NameError: name 'foo' is not defined");
+  });
+
+  it('should report a file that does not exist', async () => {
+    for (const source of ['./missing.log', 'logs/build.txt', 'build.log', 'C:\\ci\\out']) {
+      await assert.rejects(readErrorInput(source, { cwd: root }), { name: 'InputError', message: `No such file: ${source}` });
+    }
+  });
+
+  it('should not mistake a one-word error for a path', async () => {
+    for (const source of ['java.lang.OutOfMemoryError', 'ECONNREFUSED', "Error: ENOENT: no such file or directory, open '/app/config.json'"]) {
+      assert.strictEqual((await readErrorInput(source, { cwd: root })).label, 'text');
+    }
+  });
+
+  it('should read piped stdin', async () => {
+    const stdin = Readable.from(['Traceback (most recent call last):\n', '  File "app.py", line 1\n']);
+
+    const input = await readErrorInput(undefined, { stdin });
+    assert.strictEqual(input.label, 'stdin');
+    assert.match(input.text, /^Traceback/);
+  });
+
+  it('should refuse to wait for input typed into a terminal', async () => {
+    const stdin = Readable.from([]);
+    stdin.isTTY = true;
+
+    await assert.rejects(readErrorInput(undefined, { stdin }), InputError);
+  });
+});
+
+describe('cleanLogText', () => {
+  it('should strip CI timestamps, annotations and colors', () => {
+    const log = [
+      '2024-03-01T12:00:00.1234567Z ##[group]Run npm test',
+      '2024-03-01T12:00:01.0000000Z \x1b[31mTypeError: x is not a function\x1b[0m',
+      '2024-03-01T12:00:01.0000000Z     at main (src/app.js:3:5)',
+    ].join('\n');
+
+    assert.strictEqual(cleanLogText(log), 'Run npm test\nTypeError: x is not a function\n    at main (src/app.js:3:5)');
+  });
+
+  it('should keep a timestamp that is part of a single message', () => {
+    const text = 'Error: backup failed\n12:00:00 is not a valid slot\nat run (job.js:1:1)';
+    assert.strictEqual(cleanLogText(text), text);
+  });
+
+  it('should keep only the last redraw of a progress line', () => {
+    assert.strictEqual(cleanLogText('10%\r50%\r100%\nError: boom'), '100%\nError: boom');
+  });
+});
+
+describe('focusOnError', () => {
+  const listener = new ErrorListener();
+
+  it('should drop log lines far above the error', () => {
+    const noise = Array.from({ length: 50 }, (_, i) => `step ${i} ok`);
+    const text = [...noise, "TypeError: Cannot read properties of undefined (reading 'id')", '    at main (/app/src/index.js:3:17)'].join('\n');
+
+    const focused = focusOnError(text, listener.analyzeError(text));
+    const lines = focused.split('\n');
+    assert.strictEqual(lines[0], 'step 45 ok');
+    assert.strictEqual(lines.length, 7);
+  });
+
+  it('should find Python errors by their traceback', () => {
+    const noise = Array.from({ length: 20 }, (_, i) => `collected ${i}`);
+    const text = [...noise, 'Traceback (most recent call last):', '  File "app.py", line 2, in <module>', "KeyError: 'id'"].join('\n');
+
+    const lines = focusOnError(text, listener.analyzeError(text)).split('\n');
+    assert.strictEqual(lines[5], 'Traceback (most recent call last):');
+  });
+
+  it('should return the text unchanged when the error is not found', () => {
+    assert.strictEqual(focusOnError('something odd', { errorMessage: null }), 'something odd');
+  });
+});
@@ -1,7 +1,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { AIService } from '../backend/src/ai/ollama-service.js';
+import { AIService } from '../core/ai/ollama-service.js';
 
 describe('AIService Timeouts', () => {
   // Store original fetch to restore later
@@ -9,7 +9,8 @@
 
 import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
-import { AIService } from '../backend/src/ai/ollama-service.js';
+import { AIService } from '../core/ai/ollama-service.js';
+import { OllamaProvider } from '../core/ai/ollama-provider.js';
 
 describe('AIService', () => {
   describe('constructor', () => {
@@ -51,10 +52,43 @@ describe('AIService', () => {
       assert.ok(prompt.includes('C#'));
     });
 
+    it('should format Python language correctly', () => {
+      const prompt = service.buildPrompt('error', 'python');
+      assert.ok(prompt.includes('Python'));
+    });
+
     it('should handle unknown language', () => {
       const prompt = service.buildPrompt('error', 'unknown');
       assert.ok(prompt.includes('programming'));
     });
+
+    it('should include source context when provided', () => {
+      const sourceContext = { file: 'src/app.js', line: 12, text: '>> 12 |   return user.name;' };
+      const prompt = service.buildPrompt('TypeError: boom', 'javascript', sourceContext);
+
+      assert.ok(prompt.includes('src/app.js, line 12'));
+      assert.ok(prompt.includes('>> 12 |   return user.name;'));
+      assert.ok(prompt.indexOf('TypeError: boom') < prompt.indexOf('>> 12'));
+    });
+
+    it('should leave out the source section without context', () => {
+      const prompt = service.buildPrompt('TypeError: boom', 'javascript');
+      assert.ok(!prompt.includes('Source code around the error'));
+    });
+  });
+
+  describe('buildRequest()', () => {
+    const service = new AIService();
+
+    it('should only ask for a patch when the source is included', () => {
+      const sourceContext = { file: 'src/app.js', line: 12, text: '>> 12 |   return user.name;' };
+      const withSource = service.buildRequest('prompt', sourceContext);
+      const withoutSource = service.buildRequest('prompt');
+
+      assert.ok(withSource.format.required.includes('patch'));
+      assert.ok(!withoutSource.format.required.includes('patch'));
+      assert.ok(service.buildPrompt('boom', 'javascript', sourceContext).includes('unified diff'));
+    });
   });
 
   describe('parseResponse()', () => {
@@ -144,3 +178,185 @@ FIX: Do these steps:
     assert.strictEqual(parsed.fix, null);
   });
 });
+
+describe('OllamaProvider Streaming', () => {
+  const originalFetch = global.fetch;
+
+  // Fake fetch that streams the given chunks as the response body
+  function mockStream(chunks, { ok = true, status = 200, text = '' } = {}) {
+    global.fetch = async () => ({
+      ok,
+      status,
+      text: async () => text,
+      body: new ReadableStream({
+        start(controller) {
+          for (const chunk of chunks) {
+            controller.enqueue(new TextEncoder().encode(chunk));
+          }
+          controller.close();
+        },
+      }),
+    });
+  }
+
+  async function collect(provider) {
+    const tokens = [];
+    for await (const token of provider.stream({ system: 'Explain errors', prompt: 'TypeError: boom' })) {
+      tokens.push(token);
+    }
+    return tokens;
+  }
+
+  it('should yield tokens from JSON lines split across chunks', async () => {
+    mockStream([
+      '{"response":"WHAT: ","done":false}\n{"resp',
+      'onse":"a bug","done":false}\n',
+      '{"response":"","done":true}\n',
+    ]);
+
+    try {
+      const tokens = await collect(new OllamaProvider());
+      assert.deepStrictEqual(tokens, ['WHAT: ', 'a bug']);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should throw when the stream ends without a done message', async () => {
+    mockStream(['{"response":"WHAT: half an answ","done":false}\n']);
+
+    try {
+      await assert.rejects(collect(new OllamaProvider()), /ended unexpectedly/);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should throw errors reported inside the stream', async () => {
+    mockStream(['{"error":"model not found"}\n']);
+
+    try {
+      await assert.rejects(collect(new OllamaProvider()), /model not found/);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('should throw on HTTP errors', async () => {
+    mockStream([], { ok: false, status: 500, text: 'model requires more system memory' });
+
+    try {
+      await assert.rejects(collect(new OllamaProvider()), /Not enough RAM/);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
+
+describe('AIService Structured Output', () => {
+  const answer = {
+    what: 'TypeError: user is undefined',
+    why: 'getUser() returned nothing',
+    fixSteps: ['Check the user exists'],
+    example: null,
+    confidence: 'high',
+  };
+
+  // Ollama provider that returns the given answers in order
+  function createService(answers, options = {}) {
+    const requests = [];
+    const provider = Object.assign(new OllamaProvider({ model: 'test' }), {
+      async complete(request) {
+        requests.push(request);
+        return answers.shift();
+      },
+      async *stream(request) {
+        requests.push(request);
+        yield* answers.shift().match(/[\s\S]{1,5}/g);
+      },
+    });
+    return { service: new AIService(null, 'test', { provider, ...options }), requests };
+  }
+
+  it('should send the schema and read a valid answer', async () => {
+    const { service, requests } = createService([JSON.stringify(answer)]);
+    const explanation = await service.explainError('TypeError: boom', 'javascript');
+
+    assert.strictEqual(explanation.what, answer.what);
+    assert.deepStrictEqual(explanation.fixSteps, ['Check the user exists']);
+    assert.strictEqual(explanation.confidence, 'high');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].format.type, 'object');
+  });
+
+  it('should ask once to repair an invalid answer', async () => {
+    const { service, requests } = createService([
+      JSON.stringify({ ...answer, confidence: 'very' }),
+      JSON.stringify(answer),
+    ]);
+    const explanation = await service.explainError('TypeError: boom');
+
+    assert.strictEqual(explanation.confidence, 'high');
+    assert.strictEqual(requests.length, 2);
+    assert.ok(requests[1].prompt.includes('confidence must be one of'));
+    assert.ok(requests[1].prompt.includes('"confidence":"very"'));
+  });
+
+  it('should fall back to the text parser when the repair fails too', async () => {
+    const { service, requests } = createService([
+      'WHAT: A bug\nWHY: Because\nFIX: Fix it',
+      'still not JSON',
+    ]);
+    const explanation = await service.explainError('TypeError: boom');
+
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(explanation.what, 'A bug');
+    assert.strictEqual(explanation.fix, 'Fix it');
+    assert.strictEqual(explanation.confidence, undefined);
+  });
+
+  it('should stream readable text instead of raw JSON', async () => {
+    const { service } = createService([JSON.stringify(answer)]);
+    let shown = '';
+
+    const explanation = await service.explainError('TypeError: boom', 'javascript', null, {
+      onText: (text) => { shown += text; },
+    });
+
+    assert.strictEqual(shown, `WHAT: ${answer.what}\nWHY: ${answer.why}\nFIX:\n1. Check the user exists`);
+    assert.strictEqual(explanation.what, answer.what);
+  });
+
+  it('should record every request in the audit log', async () => {
+    const entries = [];
+    const auditLog = { record: entry => entries.push(entry) };
+    const { service, requests } = createService([
+      JSON.stringify({ ...answer, confidence: 'very' }),
+      JSON.stringify(answer),
+    ], { auditLog });
+
+    await service.explainError('TypeError: boom', 'javascript', null, { redactions: { email: 1 }, onText: () => {} });
+
+    assert.deepStrictEqual(entries.map(entry => entry.kind), ['explain', 'repair']);
+    assert.strictEqual(entries[0].url, 'http://localhost:11434/api/generate');
+    assert.strictEqual(entries[0].model, 'test');
+    assert.strictEqual(entries[0].prompt, requests[0].prompt);
+    assert.strictEqual(entries[0].system, requests[0].system);
+    assert.strictEqual(entries[0].options.stream, true);
+    assert.strictEqual(entries[1].options.stream, false);
+    assert.strictEqual(entries[1].prompt, requests[1].prompt);
+    assert.deepStrictEqual(entries[1].redactions, { email: 1 });
+  });
+
+  it('should still ask the AI when the audit log fails', async () => {
+    const auditLog = { record: () => { throw new Error('disk full'); } };
+    const { service } = createService([JSON.stringify(answer)], { auditLog });
+
+    assert.strictEqual((await service.explainError('TypeError: boom')).what, answer.what);
+  });
+
+  it('should reject an empty answer', async () => {
+    const { service } = createService(['  ']);
+    await assert.rejects(service.explainError('TypeError: boom'), /empty explanation/);
+  });
+});
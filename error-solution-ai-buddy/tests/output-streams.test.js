@@ -0,0 +1,88 @@
+/**
+ * Tests for choosing which output of a command is analyzed
+ *
+ * Run with: node --test tests/output-streams.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { OutputCapture, streamsFor, errorOutput } from '../cli/output-streams.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+const tscOutput = "src/app.ts(3,5): error TS2322: Type 'string' is not assignable to type 'number'.";
+
+describe('OutputCapture', () => {
+  it('should keep everything below the limit', () => {
+    const capture = new OutputCapture(100);
+    capture.append(Buffer.from('one\n'));
+    capture.append('two\n');
+
+    assert.strictEqual(capture.read(), 'one\ntwo\n');
+  });
+
+  it('should keep only the last whole lines above the limit', () => {
+    const capture = new OutputCapture(10);
+    for (let i = 1; i <= 20; i++) {
+      capture.append(`line ${i}\n`);
+    }
+
+    assert.strictEqual(capture.read(), 'line 20\n');
+  });
+});
+
+describe('streamsFor', () => {
+  const setting = { tsc: 'stdout', 'npm test': 'stderr', npm: 'both' };
+
+  it('should use both streams for commands that are not listed', () => {
+    assert.deepStrictEqual(streamsFor('node', ['app.js'], setting), ['stderr', 'stdout']);
+    assert.deepStrictEqual(streamsFor('node', ['app.js']), ['stderr', 'stdout']);
+  });
+
+  it('should prefer "command firstArg" over the command alone', () => {
+    assert.deepStrictEqual(streamsFor('npm', ['test'], setting), ['stderr']);
+    assert.deepStrictEqual(streamsFor('npm', ['run', 'build'], setting), ['stderr', 'stdout']);
+  });
+
+  it('should match commands given with a path or extension', () => {
+    assert.deepStrictEqual(streamsFor('./node_modules/.bin/tsc', ['--noEmit'], setting), ['stdout']);
+    assert.deepStrictEqual(streamsFor('tsc.cmd', [], setting), ['stdout']);
+  });
+});
+
+describe('errorOutput', () => {
+  const listener = new ErrorListener();
+  const both = ['stderr', 'stdout'];
+
+  it('should analyze stdout of a failed command', () => {
+    const run = { exitCode: 2, stdout: tscOutput, stderr: '' };
+    assert.strictEqual(errorOutput(run, both, listener), tscOutput);
+  });
+
+  it('should ignore stdout of a command that succeeded', () => {
+    const run = { exitCode: 0, stdout: '[INFO] error handler registered', stderr: '' };
+    assert.strictEqual(errorOutput(run, both, listener), '');
+  });
+
+  it('should treat a command killed by a signal as failed', () => {
+    const run = { exitCode: null, stdout: tscOutput, stderr: '' };
+    assert.strictEqual(errorOutput(run, both, listener), tscOutput);
+  });
+
+  it('should analyze stderr of a failed command', () => {
+    const run = { exitCode: 1, stdout: '', stderr: 'TypeError: x is not a function' };
+    assert.strictEqual(errorOutput(run, both, listener), 'TypeError: x is not a function');
+  });
+
+  it('should ignore stderr of a command that succeeded', () => {
+    const run = { exitCode: 0, stdout: '', stderr: 'Error: connect ECONNREFUSED 127.0.0.1:6379 (retrying in 1s)' };
+    assert.strictEqual(errorOutput(run, both, listener), '');
+  });
+
+  it('should only use the chosen streams', () => {
+    const run = { exitCode: 1, stdout: tscOutput, stderr: 'npm ERR! Test failed.' };
+
+    assert.strictEqual(errorOutput(run, ['stdout'], listener), tscOutput);
+    assert.strictEqual(errorOutput(run, ['stderr'], listener), 'npm ERR! Test failed.');
+    assert.strictEqual(errorOutput(run, both, listener), `npm ERR! Test failed.\n${tscOutput}`);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for suggested patches
+ *
+ * Run with: node --test tests/patch.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  parsePatch,
+  applyPatch,
+  checkPatch,
+  isPatchApplied,
+  writePatchedFile,
+  PatchError,
+} from '../core/patch.js';
+
+const source = [
+  'function getName(users, id) {',
+  '  const user = users[id];',
+  '  return user.name;',
+  '}',
+  '',
+  'module.exports = { getName };',
+].join('\n');
+
+const patch = [
+  '--- a/app.js',
+  '+++ b/app.js',
+  '@@ -2,2 +2,3 @@',
+  '   const user = users[id];',
+  '+  if (!user) return null;',
+  '   return user.name;',
+].join('\n');
+
+const fixed = source.replace('  return user.name;', '  if (!user) return null;\n  return user.name;');
+
+describe('parsePatch()', () => {
+  it('should read hunks and ignore file headers', () => {
+    const hunks = parsePatch(patch);
+
+    assert.strictEqual(hunks.length, 1);
+    assert.strictEqual(hunks[0].oldStart, 2);
+    assert.deepStrictEqual(hunks[0].lines.map(l => l.type), [' ', '+', ' ']);
+  });
+
+  it('should accept a ```diff fence and a missing @@ header', () => {
+    const hunks = parsePatch('```diff\n   const user = users[id];\n+  if (!user) return null;\n```', 3);
+
+    assert.strictEqual(hunks[0].oldStart, 3);
+    assert.strictEqual(hunks[0].lines.length, 2);
+  });
+
+  it('should strip copied source line numbers only when every line has one', () => {
+    const numbered = parsePatch('@@ -2 +2 @@\n    2 |   const user = users[id];\n+>> 3 |   if (!user) return null;');
+    assert.strictEqual(numbered[0].lines[0].text, '  const user = users[id];');
+
+    const code = parsePatch('@@ -1 +1 @@\n-x = 1 | 2\n+x = 1 | 3');
+    assert.strictEqual(code[0].lines[0].text, 'x = 1 | 2');
+  });
+
+  it('should treat "---" inside a hunk as a removed line', () => {
+    const hunks = parsePatch('@@ -1 +1 @@\n---count;\n+count -= 1;');
+    assert.deepStrictEqual(hunks[0].lines, [{ type: '-', text: '--count;' }, { type: '+', text: 'count -= 1;' }]);
+  });
+
+  it('should reject patches without changes or with stray lines', () => {
+    assert.throws(() => parsePatch('@@ -1 +1 @@\n a'), PatchError);
+    assert.throws(() => parsePatch('@@ -1 +1 @@\n a\nnot a diff line'), /Unexpected line/);
+  });
+});
+
+describe('applyPatch()', () => {
+  it('should apply a patch', () => {
+    assert.strictEqual(applyPatch(source, patch).content, fixed);
+  });
+
+  it('should place hunks by content when the line numbers are wrong', () => {
+    const wrongLines = patch.replace('@@ -2,2 +2,3 @@', '@@ -40,7 +40,9 @@');
+    assert.strictEqual(applyPatch(source, wrongLines).content, fixed);
+  });
+
+  it('should ignore trailing whitespace differences', () => {
+    const trailing = source.replace('users[id];', 'users[id];   ');
+    assert.ok(applyPatch(trailing, patch).content.includes('if (!user) return null;'));
+  });
+
+  it('should keep Windows line endings', () => {
+    const crlf = source.replace(/\n/g, '\r\n');
+    assert.strictEqual(applyPatch(crlf, patch).content, fixed.replace(/\n/g, '\r\n'));
+  });
+
+  it('should reject a patch that does not match the file', () => {
+    assert.throws(() => applyPatch(source.replace('users[id]', 'users.get(id)'), patch), /does not match/);
+  });
+
+  it('should reject a patch that matches in several far-apart places', () => {
+    const repeated = source + '\n' + '\n'.repeat(30) + source;
+    const noHint = patch.replace('@@ -2,2 +2,3 @@', '@@ -20,2 +20,3 @@');
+
+    assert.throws(() => applyPatch(repeated, noHint), /more than one place/);
+    assert.ok(applyPatch(repeated, patch).content.startsWith(fixed));
+  });
+});
+
+describe('checkPatch()', () => {
+  it('should rewrite a patch with correct headers', () => {
+    const messy = '@@ -9,1 +9,9 @@\n   const user = users[id];\n+  if (!user) return null;';
+
+    assert.strictEqual(checkPatch(messy, source, 'src/app.js'), [
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -2,1 +2,2 @@',
+      '   const user = users[id];',
+      '+  if (!user) return null;',
+    ].join('\n'));
+  });
+
+  it('should return null for patches that do not apply', () => {
+    assert.strictEqual(checkPatch('@@ -1 +1 @@\n-nope\n+yes', source, 'app.js'), null);
+    assert.strictEqual(checkPatch(null, source, 'app.js'), null);
+  });
+});
+
+describe('isPatchApplied()', () => {
+  it('should recognise a patch that is already in the file', () => {
+    assert.strictEqual(isPatchApplied(fixed, patch), true);
+    assert.strictEqual(isPatchApplied(source, patch), false);
+  });
+});
+
+describe('writePatchedFile()', () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'errbuddy-patch-'));
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should keep the original in a backup that is never overwritten', () => {
+    const file = join(root, 'app.js');
+    writeFileSync(file, source);
+
+    const first = writePatchedFile(file, fixed, 7);
+    const second = writePatchedFile(file, 'third', 7);
+
+    assert.strictEqual(first, `${file}.errbuddy-7.bak`);
+    assert.strictEqual(second, `${file}.errbuddy-7-2.bak`);
+    assert.strictEqual(readFileSync(first, 'utf-8'), source);
+    assert.strictEqual(readFileSync(second, 'utf-8'), fixed);
+    assert.strictEqual(readFileSync(file, 'utf-8'), 'third');
+  });
+});
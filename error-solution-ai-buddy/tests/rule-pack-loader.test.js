@@ -0,0 +1,110 @@
+/**
+ * Tests for reading rule packs from the project and user directories
+ *
+ * Run with: node --test tests/rule-pack-loader.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { parse as parseYaml } from 'yaml';
+import { RulePackLoader } from '../core/rule-pack-loader.js';
+import { RulePackError } from '../core/rule-packs.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+const YAML_PACK = `name: acme
+language: java
+rules:
+  - id: quota
+    match: '(com\\.acme\\.QuotaException): (.*)$'
+    captures: { errorType: 1, errorMessage: 2 }
+    priority: 10
+`;
+
+function jsonPack(name) {
+  return JSON.stringify({ name, rules: [{ id: 'code', match: 'ACME-\\d+', captures: {} }] });
+}
+
+describe('RulePackLoader', () => {
+  let dir;
+  let userDir;
+  let projectDir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'errbuddy-rules-'));
+    userDir = join(dir, 'home', '.errbuddy', 'rules');
+    projectDir = join(dir, 'repo', '.errbuddy', 'rules');
+    mkdirSync(userDir, { recursive: true });
+    mkdirSync(projectDir, { recursive: true });
+    mkdirSync(join(dir, 'repo', 'src', 'api'), { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function loader(cwd = join(dir, 'repo', 'src', 'api')) {
+    return new RulePackLoader({ cwd, userDir, parseYaml });
+  }
+
+  it('should read YAML and JSON packs, project packs first', () => {
+    writeFileSync(join(userDir, 'sdk.json'), jsonPack('sdk'));
+    writeFileSync(join(projectDir, 'acme.yaml'), YAML_PACK);
+    writeFileSync(join(projectDir, 'README.md'), 'not a pack');
+
+    const packs = loader().load();
+
+    assert.deepStrictEqual(packs.map(pack => [pack.name, pack.source]), [['acme', 'project'], ['sdk', 'user']]);
+    assert.strictEqual(packs[0].file, join(projectDir, 'acme.yaml'));
+    assert.strictEqual(packs[0].rules[0].match, '(com\\.acme\\.QuotaException): (.*)$');
+  });
+
+  it('should find the project directory from a subdirectory', () => {
+    assert.strictEqual(loader().projectDir, projectDir);
+  });
+
+  it('should not take the user directory for a project one', () => {
+    assert.strictEqual(loader(join(dir, 'home')).projectDir, null);
+  });
+
+  it('should load nothing without rule directories', () => {
+    assert.deepStrictEqual(new RulePackLoader({ cwd: dir, userDir: join(dir, 'none') }).load(), []);
+  });
+
+  it('should name the file of a broken pack', () => {
+    writeFileSync(join(projectDir, 'bad.yml'), 'name: acme\nrules: [\n');
+    assert.throws(() => loader().load(), (err) => err instanceof RulePackError && /Invalid YAML in .*bad\.yml/.test(err.message));
+
+    writeFileSync(join(projectDir, 'bad.yml'), 'name: acme\nrules:\n  - id: a\n    match: x\n');
+    assert.throws(() => loader().load(), /Invalid rule pack .*bad\.yml: rule "a": needs "captures"/);
+  });
+
+  it('should read only JSON packs without a YAML parser', () => {
+    writeFileSync(join(userDir, 'sdk.json'), jsonPack('sdk'));
+    assert.deepStrictEqual(new RulePackLoader({ cwd: dir, userDir }).load().map(pack => pack.name), ['sdk']);
+
+    writeFileSync(join(projectDir, 'acme.yaml'), YAML_PACK);
+    assert.throws(() => new RulePackLoader({ cwd: join(dir, 'repo'), userDir }).load(), /acme\.yaml: YAML packs are not supported here, use JSON/);
+  });
+
+  // How the extension builds its listener for a workspace folder
+  it('should give an ErrorListener the workspace packs', () => {
+    writeFileSync(join(projectDir, 'acme.yaml'), YAML_PACK);
+    const listener = new ErrorListener({ rulePacks: loader(join(dir, 'repo')).load() });
+
+    const analysis = listener.analyzeError('Exception in thread "main" com.acme.QuotaException: 1000 calls\n\tat com.example.App.main(App.java:12)');
+    assert.strictEqual(analysis.rule, 'acme/quota');
+    assert.strictEqual(analysis.errorType, 'com.acme.QuotaException');
+  });
+
+  it('should reject two packs with the same name', () => {
+    writeFileSync(join(projectDir, 'acme.yaml'), YAML_PACK);
+    writeFileSync(join(userDir, 'acme.json'), jsonPack('acme'));
+    assert.throws(() => loader().load(), /"acme" in .*acme\.json is already used by .*acme\.yaml/);
+
+    writeFileSync(join(userDir, 'acme.json'), jsonPack('java'));
+    assert.throws(() => loader().load(), /"java" .* is already used by the built-in packs/);
+  });
+});
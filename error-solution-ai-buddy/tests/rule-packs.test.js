@@ -0,0 +1,184 @@
+/**
+ * Tests for rule packs: validation, detection and explanation ranking
+ *
+ * Run with: node --test tests/rule-packs.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RuleSet, RulePackError, validateRulePack, runExamples } from '../core/rule-packs.js';
+import { BUILT_IN_RULE_PACKS } from '../core/rules/index.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+const EXPLANATION = { what: 'What.', why: 'Why.', fix: 'Fix.' };
+
+function pack(rules, extra = {}) {
+  return { name: 'acme', rules, ...extra };
+}
+
+describe('Rule packs', () => {
+  describe('validateRulePack()', () => {
+    it('should accept every built-in pack', () => {
+      for (const builtIn of BUILT_IN_RULE_PACKS) {
+        assert.strictEqual(validateRulePack(builtIn), true, builtIn.name);
+      }
+    });
+
+    it('should accept detection-only, explanation-only and combined rules', () => {
+      assert.strictEqual(validateRulePack(pack([
+        { id: 'a', match: 'ACME-\\d+', captures: {} },
+        { id: 'b', errorType: 'QuotaError', explanation: EXPLANATION },
+        { id: 'c', language: 'java', match: '(?<type>\\w+Exception): (.*)', flags: 'i', captures: { errorType: 'type', errorMessage: [2, 0] }, priority: 5, explanation: { ...EXPLANATION, example: 'x' } },
+      ])), true);
+    });
+
+    it('should reject what cannot be used', () => {
+      const cases = [
+        [null, /must be an object/],
+        [{ name: 'acme', rules: [] }, /at least one rule/],
+        [{ name: 'my pack', rules: [{ id: 'a', match: 'x', captures: {} }] }, /"name" must be a word/],
+        [pack([{ id: 'a', match: 'x', captures: {} }], { extra: 1 }), /unknown key "extra"/],
+        [pack([{ id: 'a', match: 'x' }]), /rule "a": needs "captures"/],
+        [pack([{ id: 'a', pattern: 'x', captures: {} }]), /rule "a": unknown key "pattern"/],
+        [pack([{ id: 'a', match: '(', captures: {} }]), /"match" is not a valid regular expression/],
+        [pack([{ id: 'a', match: 'x', flags: 'g', captures: {} }]), /"flags" can only contain/],
+        [pack([{ id: 'a', match: '(x)', captures: { errorType: 2 } }]), /"captures.errorType" refers to group 2/],
+        [pack([{ id: 'a', match: '(x)', captures: { errorType: 'name' } }]), /refers to group "name"/],
+        [pack([{ id: 'a', match: '(x)', captures: { severity: 1 } }]), /can't set "severity"/],
+        [pack([{ id: 'a', explanation: EXPLANATION }]), /needs a "match" or an "errorType"/],
+        [pack([{ id: 'a', errorType: 'E', explanation: { what: 'x' } }]), /"explanation.why" must be a non-empty string/],
+        [pack([{ id: 'a', match: 'x', captures: {}, language: 'go' }]), /"language" must be one of/],
+        [pack([{ id: 'a', match: 'x', captures: {} }, { id: 'a', match: 'y', captures: {} }]), /rule "a": another rule has the same id/],
+        [pack([{ id: 'a', match: 'x', captures: {}, examples: [{ expect: {} }] }]), /example 1 needs a "log"/],
+      ];
+
+      for (const [input, expected] of cases) {
+        assert.match(validateRulePack(input), expected);
+      }
+    });
+  });
+
+  describe('RuleSet', () => {
+    it('should throw for an invalid pack', () => {
+      assert.throws(() => new RuleSet([{ name: 'acme', rules: [], file: 'acme.yaml' }]), (err) => {
+        assert.ok(err instanceof RulePackError);
+        assert.match(err.message, /Invalid rule pack acme.yaml/);
+        return true;
+      });
+    });
+
+    it('should capture fields by number, name or the first group that matched', () => {
+      const rules = new RuleSet([pack([{
+        id: 'job',
+        match: '^JOB FAILED (?:(?<code>E\\d+)|(\\w+)) at (.+?):(\\d+)$',
+        captures: { errorType: ['code', 2], errorMessage: 0, file: 3, line: 4 },
+      }])]);
+
+      assert.deepStrictEqual(rules.detect('log\nJOB FAILED oops at jobs/nightly.yml:7', 'unknown'), {
+        rule: 'acme/job',
+        language: null,
+        fields: { errorType: 'oops', errorMessage: 'JOB FAILED oops at jobs/nightly.yml:7', file: 'jobs/nightly.yml', line: 7, column: null },
+      });
+      assert.strictEqual(rules.detect('JOB FAILED E42 at a.yml:1', 'java').fields.errorType, 'E42');
+    });
+
+    it('should only use rules for the language, or without one', () => {
+      const rules = new RuleSet([pack([
+        { id: 'java-only', language: 'java', match: 'boom', captures: {} },
+        { id: 'any', match: 'boom', captures: {} },
+      ])]);
+
+      assert.strictEqual(rules.detect('boom', 'java').rule, 'acme/java-only');
+      assert.strictEqual(rules.detect('boom', 'python').rule, 'acme/any');
+      assert.strictEqual(rules.detect('fine', 'python'), null);
+    });
+
+    it('should try higher priorities first, then earlier packs', () => {
+      const first = { name: 'project', rules: [{ id: 'a', match: 'boom', captures: {} }] };
+      const second = { name: 'user', rules: [{ id: 'a', match: 'boom', captures: {} }, { id: 'b', match: 'boom', captures: {}, priority: 1 }] };
+
+      assert.deepStrictEqual(new RuleSet([first, second]).rules.map(rule => rule.id), ['user/b', 'project/a', 'user/a']);
+      assert.strictEqual(new RuleSet([first, second]).detect('boom', 'java').rule, 'user/b');
+    });
+
+    it('should prefer explanations for the detected error type', () => {
+      const rules = new RuleSet([pack([
+        { id: 'key', errorType: 'KeyError', explanation: { ...EXPLANATION, what: 'key' } },
+        { id: 'name', errorType: 'NameError', explanation: { ...EXPLANATION, what: 'name' } },
+      ])]);
+      const text = 'KeyError: x\n\nDuring handling of the above exception, another exception occurred:\n\nNameError: y';
+
+      assert.strictEqual(rules.explain({ language: 'python', errorType: 'NameError' }, text).rule, 'acme/name');
+      assert.strictEqual(rules.explain({ language: 'python', errorType: null }, text).rule, 'acme/key');
+      assert.strictEqual(rules.explain({ language: 'python', errorType: 'OSError' }, 'OSError: z'), null);
+    });
+
+    it('should prefer the explanation of the rule that detected the error', () => {
+      const rules = new RuleSet([pack([
+        { id: 'generic', match: 'ACME-\\d+', explanation: { ...EXPLANATION, what: 'generic' } },
+        { id: 'quota', match: 'ACME-4012', captures: {}, explanation: { ...EXPLANATION, what: 'quota' } },
+      ])]);
+
+      const explanation = rules.explain({ language: 'unknown', errorType: null, rule: 'acme/quota' }, 'ACME-4012');
+      assert.deepStrictEqual(explanation, { what: 'quota', why: 'Why.', fix: 'Fix.', example: null, rule: 'acme/quota' });
+    });
+  });
+
+  describe('in ErrorListener', () => {
+    const acme = pack([
+      {
+        id: 'quota',
+        language: 'java',
+        match: '(com\\.acme\\.QuotaException): (.*)$',
+        captures: { errorType: 1, errorMessage: 2 },
+        explanation: { ...EXPLANATION, what: 'Out of quota.' },
+        examples: [{ log: 'Exception in thread "main" com.acme.QuotaException: 1000 calls\n\tat com.example.App.main(App.java:12)', expect: { line: 12 } }],
+      },
+      {
+        id: 'code',
+        match: '\\b(ACME-\\d{4}): (.+)$',
+        captures: { errorType: 1, errorMessage: 2 },
+        explanation: { ...EXPLANATION, what: 'An Acme error code.' },
+      },
+    ]);
+    const listener = new ErrorListener({ rulePacks: [acme] });
+
+    it('should let a pack win over the built-in rules', () => {
+      const analysis = listener.analyzeError('Exception in thread "main" com.acme.QuotaException: 1000 calls\n\tat com.example.App.main(App.java:12)');
+
+      assert.strictEqual(analysis.rule, 'acme/quota');
+      assert.strictEqual(analysis.errorType, 'com.acme.QuotaException');
+      assert.strictEqual(analysis.errorMessage, '1000 calls');
+      assert.strictEqual(analysis.localExplanation.what, 'Out of quota.');
+    });
+
+    it('should detect and explain output in no known language', () => {
+      const analysis = listener.analyzeError('starting worker\n[worker] ACME-4012: token expired');
+
+      assert.strictEqual(analysis.language, 'unknown');
+      assert.strictEqual(analysis.isError, true);
+      assert.strictEqual(analysis.errorType, 'ACME-4012');
+      assert.strictEqual(analysis.localExplanation.rule, 'acme/code');
+    });
+
+    it('should keep the built-in behaviour without packs', () => {
+      const analysis = new ErrorListener().analyzeError("TypeError: Cannot read properties of undefined (reading 'map')");
+
+      assert.strictEqual(analysis.rule, 'javascript/error-line');
+      assert.strictEqual(analysis.localExplanation.rule, 'javascript/type-error-property-access');
+    });
+
+    it('should run the examples of a pack', () => {
+      const [result] = runExamples(acme, listener);
+      assert.strictEqual(result.rule, 'acme/quota');
+      assert.deepStrictEqual(result.failures, []);
+
+      const failing = runExamples(pack([{ ...acme.rules[0], examples: [{ log: 'java.lang.IllegalStateException: no\n\tat com.example.App.main(App.java:9)', expect: { line: 3 } }] }]), listener);
+      assert.deepStrictEqual(failing[0].failures, [
+        'detected by java/exception-line',
+        'explained by no rule',
+        'line is 9, expected 3',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+"""
+Sample Python file with intentional errors
+Run to test Error Buddy
+
+To test:
+errbuddy python tests/samples/python_errors.py
+"""
+
+
+# Example 1: KeyError - missing dictionary key
+def test_key_error():
+    config = {"host": "localhost"}
+    return config["port"]  # KeyError!
+
+
+# Example 2: AttributeError - using None
+def test_none_attribute():
+    user = None
+    return user.name  # AttributeError!
+
+
+# Example 3: Chained exception - error raised while handling another
+def test_chained():
+    try:
+        test_key_error()
+    except KeyError:
+        return int("not a number")  # ValueError during handling of KeyError!
+
+
+if __name__ == "__main__":
+    # Uncomment one to test:
+
+    # test_key_error()
+    # test_none_attribute()
+    # test_chained()
+
+    print("Python test file. Uncomment a function call to trigger an error.")
@@ -0,0 +1,101 @@
+/**
+ * Tests for Source Context Reader
+ *
+ * Run with: node --test tests/source-context.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { SourceContextReader } from '../core/source-context.js';
+
+describe('SourceContextReader', () => {
+  let root;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'errbuddy-source-'));
+    mkdirSync(join(root, 'src'));
+    const code = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+    writeFileSync(join(root, 'src', 'app.js'), code);
+    writeFileSync(join(root, 'binary.dat'), 'abc\0def');
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should read a window around the failing line and mark it', () => {
+    const reader = new SourceContextReader({ contextLines: 2, cwd: root });
+    const context = reader.read({ file: join(root, 'src', 'app.js'), line: 10 });
+
+    assert.strictEqual(context.startLine, 8);
+    assert.strictEqual(context.endLine, 12);
+    assert.ok(context.text.includes('>> 10 | line 10'));
+    assert.ok(context.text.includes('    8 | line 8'));
+    assert.ok(!context.text.includes('line 13'));
+  });
+
+  it('should resolve relative paths against cwd and show a relative path', () => {
+    const reader = new SourceContextReader({ cwd: root });
+    const context = reader.read({ file: 'src/app.js', line: 1 });
+
+    assert.strictEqual(context.file, 'src/app.js');
+    assert.strictEqual(context.path, join(root, 'src', 'app.js'));
+    assert.strictEqual(context.startLine, 1);
+  });
+
+  it('should only show the file name for files outside cwd', () => {
+    const reader = new SourceContextReader({ cwd: join(root, 'src', 'nested') });
+    const context = reader.read({ file: join(root, 'src', 'app.js'), line: 5 });
+
+    assert.strictEqual(context.file, 'app.js');
+  });
+
+  it('should clamp the window at the end of the file', () => {
+    const reader = new SourceContextReader({ contextLines: 5, cwd: root });
+    const context = reader.read({ file: 'src/app.js', line: 20 });
+
+    assert.strictEqual(context.endLine, 20);
+  });
+
+  it('should shrink the window to fit the character budget', () => {
+    const reader = new SourceContextReader({ contextLines: 5, cwd: root });
+    const context = reader.read({ file: 'src/app.js', line: 10 }, { maxLength: 60 });
+
+    assert.ok(context.text.length <= 60);
+    assert.ok(context.text.includes('>> 10 | line 10'));
+  });
+
+  it('should return null when nothing fits the budget', () => {
+    const reader = new SourceContextReader({ cwd: root });
+    assert.strictEqual(reader.read({ file: 'src/app.js', line: 10 }, { maxLength: 5 }), null);
+  });
+
+  it('should apply the sanitize function', () => {
+    const reader = new SourceContextReader({ contextLines: 0, cwd: root });
+    const context = reader.read({ file: 'src/app.js', line: 3 }, { sanitize: text => text.replace('line', '[x]') });
+
+    assert.ok(context.text.includes('[x] 3'));
+  });
+
+  it('should return null for missing files, binary files and bad lines', () => {
+    const reader = new SourceContextReader({ cwd: root });
+
+    assert.strictEqual(reader.read({ file: 'missing.js', line: 1 }), null);
+    assert.strictEqual(reader.read({ file: 'binary.dat', line: 1 }), null);
+    assert.strictEqual(reader.read({ file: 'src/app.js', line: 99 }), null);
+    assert.strictEqual(reader.read({ file: 'src/app.js', line: null }), null);
+    assert.strictEqual(reader.read({ file: null, line: 1 }), null);
+  });
+
+  it('should format text that is already loaded (unsaved editor contents)', () => {
+    const reader = new SourceContextReader({ contextLines: 1, cwd: root });
+    const context = reader.snippet('a\nb (edited)\nc\nd', join(root, 'src', 'app.js'), 2);
+
+    assert.strictEqual(context.file, 'src/app.js');
+    assert.strictEqual(context.text, '   1 | a\n>> 2 | b (edited)\n   3 | c');
+    assert.strictEqual(reader.snippet('a', join(root, 'src', 'app.js'), 2), null);
+  });
+});
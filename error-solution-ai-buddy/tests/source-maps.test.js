@@ -0,0 +1,114 @@
+/**
+ * Tests for source map resolution of stack frames
+ *
+ * Run with: node --test tests/source-maps.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { SourceMapResolver } from '../core/source-maps.js';
+import { ErrorListener } from '../core/error-listener.js';
+
+// dist/app.js line 1 <- src/app.ts line 1, line 2 column 5 <- line 3 column 7
+const MAP = { version: 3, file: 'app.js', sources: ['../src/app.ts'], names: [], mappings: 'AAAA;IAEM' };
+const CODE = '"use strict";\nconst x = null;\nx.name;\n';
+
+describe('SourceMapResolver', () => {
+  let dir;
+  let resolver;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'errbuddy-maps-'));
+    mkdirSync(join(dir, 'dist'));
+    mkdirSync(join(dir, 'src'));
+    resolver = new SourceMapResolver({ cwd: dir });
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should map a frame through an adjacent .map file', () => {
+    const file = join(dir, 'dist', 'app.js');
+    writeFileSync(file, CODE);
+    writeFileSync(`${file}.map`, JSON.stringify(MAP));
+
+    const frame = resolver.mapFrame({ function: 'main', file, line: 2, column: 5 });
+
+    assert.deepStrictEqual(frame, {
+      function: 'main',
+      file: join(dir, 'src', 'app.ts'),
+      line: 3,
+      column: 7,
+      generated: { file, line: 2, column: 5 },
+    });
+  });
+
+  it('should map a frame through an inline data: URL', () => {
+    const file = join(dir, 'dist', 'app.js');
+    const encoded = Buffer.from(JSON.stringify(MAP)).toString('base64');
+    writeFileSync(file, `${CODE}//# sourceMappingURL=data:application/json;charset=utf-8;base64,${encoded}\n`);
+
+    assert.deepStrictEqual(resolver.originalLocation(file, 2, 5), { file: join(dir, 'src', 'app.ts'), line: 3, column: 7 });
+  });
+
+  it('should follow a sourceMappingURL to a map in another directory', () => {
+    mkdirSync(join(dir, 'maps'));
+    const file = join(dir, 'dist', 'app.js');
+    writeFileSync(file, `${CODE}//# sourceMappingURL=../maps/app.js.map`);
+    writeFileSync(join(dir, 'maps', 'app.js.map'), JSON.stringify({ ...MAP, sources: ['app.ts'], sourceRoot: '../src' }));
+
+    assert.strictEqual(resolver.originalLocation(file, 2, 5).file, join(dir, 'src', 'app.ts'));
+  });
+
+  it('should resolve bundler URLs against the project', () => {
+    const file = join(dir, 'dist', 'app.js');
+    writeFileSync(file, CODE);
+    writeFileSync(`${file}.map`, JSON.stringify({ ...MAP, sources: ['webpack://my-app/./src/app.ts'] }));
+
+    assert.strictEqual(resolver.originalLocation(file, 2, 5).file, join(dir, 'src', 'app.ts'));
+  });
+
+  it('should leave frames without a source map unchanged', () => {
+    const file = join(dir, 'dist', 'plain.js');
+    writeFileSync(file, CODE);
+    const frame = { function: 'main', file, line: 2, column: 5 };
+
+    assert.strictEqual(resolver.mapFrame(frame), frame);
+    assert.strictEqual(resolver.mapFrame({ function: null, file: null, line: null, column: null }).file, null);
+  });
+
+  it('should not map lines the map has no mappings for', () => {
+    const file = join(dir, 'dist', 'app.js');
+    writeFileSync(file, CODE);
+    writeFileSync(`${file}.map`, JSON.stringify(MAP));
+
+    assert.strictEqual(resolver.originalLocation(file, 3, 1), null);
+  });
+
+  it('should ignore broken maps and files that are not JavaScript', () => {
+    const file = join(dir, 'dist', 'app.js');
+    writeFileSync(file, CODE);
+    writeFileSync(`${file}.map`, '{ not json');
+
+    assert.strictEqual(resolver.originalLocation(file, 2, 5), null);
+    assert.strictEqual(resolver.originalLocation(join(dir, 'src', 'app.ts'), 1, 1), null);
+  });
+
+  it('should be used for JavaScript frames by ErrorListener', () => {
+    const file = join(dir, 'dist', 'app.js');
+    writeFileSync(file, CODE);
+    writeFileSync(`${file}.map`, JSON.stringify(MAP));
+
+    const listener = new ErrorListener({ sourceMaps: resolver });
+    const analysis = listener.analyzeError(`TypeError: Cannot read properties of null (reading 'name')\n    at main (${file}:2:5)\n`);
+
+    assert.strictEqual(analysis.file, join(dir, 'src', 'app.ts'));
+    assert.strictEqual(analysis.line, 3);
+    assert.deepStrictEqual(analysis.generated, { file, line: 2, column: 5 });
+    assert.deepStrictEqual(analysis.frames[0].generated, { file, line: 2, column: 5 });
+  });
+});
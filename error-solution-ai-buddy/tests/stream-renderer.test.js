@@ -0,0 +1,105 @@
+/**
+ * Tests for Stream Renderer
+ *
+ * Run with: node --test tests/stream-renderer.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { StreamRenderer } from '../cli/stream-renderer.js';
+import { stripAnsi } from '../core/ansi.js';
+
+// Minimal stand-in for process.stdout
+function createOutput(options = {}) {
+  return {
+    isTTY: options.isTTY ?? true,
+    columns: options.columns ?? 80,
+    rows: options.rows ?? 40,
+    written: '',
+    write(text) {
+      this.written += text;
+      return true;
+    },
+  };
+}
+
+function plain(text) {
+  return stripAnsi(text);
+}
+
+describe('StreamRenderer', () => {
+  it('should turn section labels into headings as tokens arrive', () => {
+    const output = createOutput();
+    const renderer = new StreamRenderer({ output, useEmoji: false });
+
+    for (const token of ['WH', 'AT: A type', ' error.\n', 'WHY', ': x is', ' undefined.']) {
+      renderer.write(token);
+    }
+    renderer.end();
+
+    assert.strictEqual(plain(output.written), '[What]\nA type error.\n\n[Why]\nx is undefined.');
+  });
+
+  it('should hold back a line only while it could still be a label', () => {
+    const output = createOutput();
+    const renderer = new StreamRenderer({ output, useEmoji: false });
+
+    renderer.write('WH');
+    assert.strictEqual(output.written, '');
+
+    renderer.write('ERE');
+    assert.strictEqual(plain(output.written), 'WHERE');
+  });
+
+  it('should accept markdown-style labels', () => {
+    const output = createOutput();
+    const renderer = new StreamRenderer({ output, useEmoji: false });
+
+    renderer.write('**Fix:** Add a null check');
+    renderer.end();
+
+    assert.strictEqual(plain(output.written), '[Fix]\nAdd a null check');
+  });
+
+  it('should return the full raw text', () => {
+    const renderer = new StreamRenderer({ output: createOutput() });
+    renderer.write('WHAT: one\n');
+    renderer.write('FIX: two');
+
+    assert.strictEqual(renderer.end(), 'WHAT: one\nFIX: two');
+  });
+
+  it('should print nothing when output is not a terminal', () => {
+    const output = createOutput({ isTTY: false });
+    const renderer = new StreamRenderer({ output });
+
+    renderer.write('WHAT: something\n');
+    assert.strictEqual(renderer.end(), 'WHAT: something\n');
+    assert.strictEqual(renderer.clear(), false);
+    assert.strictEqual(output.written, '');
+  });
+
+  it('should count wrapped lines and move the cursor back to the start', () => {
+    const output = createOutput({ columns: 10 });
+    const renderer = new StreamRenderer({ output, useEmoji: false });
+
+    renderer.write('0123456789abcde\nxyz');
+    assert.strictEqual(renderer.rows, 2);
+
+    output.written = '';
+    assert.strictEqual(renderer.clear(), true);
+    assert.ok(output.written.includes('\x1b[2A'));
+    assert.ok(output.written.includes('\x1b[0J'));
+  });
+
+  it('should leave text in place when it scrolled off the screen', () => {
+    const output = createOutput({ rows: 2 });
+    const renderer = new StreamRenderer({ output, useEmoji: false });
+
+    renderer.write('one\ntwo\nthree');
+    output.written = '';
+
+    assert.strictEqual(renderer.clear(), false);
+    assert.strictEqual(output.written, '\n');
+  });
+});